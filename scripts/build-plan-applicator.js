@@ -0,0 +1,1206 @@
+// Build Plan Applicator - Applies level choices (from a build plan or the wizard) to an actor
+import { MODULE_NAME, debugLog } from './module.js';
+import BuildPlanManager from './build-plan-manager.js';
+import { SPELL_CHOICE_KEYS } from './build-plan-schema.js';
+import * as AbilityHelpers from './helpers/ability-helpers.js';
+import { getClassSlug } from './helpers/class-features-helpers.js';
+import * as FocusSpellHelpers from './helpers/focus-spell-helpers.js';
+import * as KineticistHelpers from './helpers/kineticist-helpers.js';
+import * as SkillsHelpers from './helpers/skills-helpers.js';
+import * as SpellHelpers from './helpers/spell-helpers.js';
+import * as VariantRulesHelpers from './helpers/variant-rules-helpers.js';
+import * as SpellSlotProgression from './helpers/spell-slot-progression.js';
+import { resolveClassProgression } from './helpers/class-progression-resolver.js';
+import dataProvider from './data-provider.js';
+
+/**
+ * Maps choice keys to the PF2e feat location group used in system.location
+ */
+export const FEAT_LOCATION_GROUPS = {
+  classFeats: 'class',
+  ancestryFeats: 'ancestry',
+  skillFeats: 'skill',
+  generalFeats: 'general',
+  freeArchetypeFeats: 'archetype',
+  ancestryParagonFeats: 'xdy_ancestryparagon',
+  mythicFeats: 'mythic',
+  dualClassFeats: 'xdy_dualclass'
+};
+
+/**
+ * Maps choice keys to their label key under labels.feat-type in the language file
+ */
+const FEAT_TYPE_LABEL_KEYS = {
+  classFeats: 'class',
+  ancestryFeats: 'ancestry',
+  skillFeats: 'skill',
+  generalFeats: 'general',
+  freeArchetypeFeats: 'archetype',
+  ancestryParagonFeats: 'ancestryParagon',
+  mythicFeats: 'mythic',
+  dualClassFeats: 'dualClass'
+};
+
+/**
+ * BuildPlanApplicator - Writes a level's choices onto an actor
+ * Static class shared by the Level Up Wizard and the build plan level-up prompt
+ */
+export class BuildPlanApplicator {
+  /**
+   * Apply the choices stored in a build plan for a level, then mark the level applied
+   * @param {Actor} actor - The actor to apply to
+   * @param {Object} plan - The build plan
+   * @param {number} level - The level to apply
+   * @param {Object} options - Apply options (see applyChoices)
+   * @returns {Promise<void>}
+   */
+  static async applyLevel(actor, plan, level, options = {}) {
+    if (!actor) {
+      throw new Error('No actor provided');
+    }
+
+    if (!plan) {
+      throw new Error('No plan provided');
+    }
+
+    const choices = BuildPlanManager.getLevelChoices(plan, level);
+    if (!choices) {
+      throw new Error(`No choices found in plan for level ${level}`);
+    }
+
+    await this.applyChoices(actor, level, choices, options);
+
+    BuildPlanManager.markLevelApplied(plan, level);
+    await BuildPlanManager.savePlan(actor, plan);
+
+    debugLog('BuildPlanApplicator.applyLevel', `Applied plan for level ${level} to ${actor.name}`);
+  }
+
+  /**
+   * Apply a set of level choices to an actor as a single transaction
+   * If any step throws, including recording the change journal, everything written so far is rolled back
+   * before the error is rethrown, so a level is never left applied without a journal entry to undo it
+   * @param {Actor} actor - The actor to apply to
+   * @param {number} level - The level the choices belong to
+   * @param {Object} choices - Level choices (feat UUIDs, skill increases, boosts, spells)
+   * @param {Object} options - Apply options
+   * @param {Set<string>} options.exclude - Preview change IDs the user unticked (see previewLevels)
+   * @returns {Promise<void>}
+   */
+  static async applyChoices(actor, level, choices, options = {}) {
+    const snapshot = this.createSnapshot(actor, level, choices);
+
+    try {
+      await this._applyChoicesUnsafe(actor, level, choices, options);
+      await this.recordJournal(actor, level, snapshot);
+    } catch (error) {
+      console.error(`${MODULE_NAME} | Level ${level} apply failed, rolling back:`, error);
+      await this.rollback(actor, snapshot);
+      throw error;
+    }
+  }
+
+  /**
+   * Apply several consecutive levels as one transaction (multi-level catch-up)
+   * Each level still gets its own change journal entry, but a failure at any level
+   * rolls the actor back to its state before the first one
+   * @param {Actor} actor - The actor to apply to
+   * @param {Array<Object>} steps - Levels to apply as { level, choices, exclude? }, in ascending order
+   * @returns {Promise<void>}
+   */
+  static async applyLevels(actor, steps) {
+    // Capture every path any step can touch before anything is written
+    const snapshot = this.createSnapshot(actor, steps[0].level, steps[0].choices);
+    for (const step of steps.slice(1)) {
+      const stepSnapshot = this.createSnapshot(actor, step.level, step.choices);
+      snapshot.systemValues = { ...stepSnapshot.systemValues, ...snapshot.systemValues };
+      snapshot.removedItems.push(...stepSnapshot.removedItems.filter(data => !snapshot.removedItems.some(r => r._id === data._id)));
+      snapshot.itemValues = { ...stepSnapshot.itemValues, ...snapshot.itemValues };
+    }
+
+    const appliedLevels = [];
+    try {
+      for (const step of steps) {
+        const stepSnapshot = this.createSnapshot(actor, step.level, step.choices);
+        await this._applyChoicesUnsafe(actor, step.level, step.choices, { exclude: step.exclude });
+        await this.recordJournal(actor, step.level, stepSnapshot);
+        appliedLevels.push(step.level);
+      }
+    } catch (error) {
+      console.error(`${MODULE_NAME} | Catch-up apply failed, rolling back:`, error);
+      await this.rollback(actor, snapshot);
+
+      const journalCleanup = {};
+      for (const level of appliedLevels) {
+        journalCleanup[`flags.${MODULE_NAME}.levelUpJournal.-=${level}`] = null;
+      }
+      if (appliedLevels.length > 0) await actor.update(journalCleanup);
+
+      throw error;
+    }
+  }
+
+  /**
+   * Write every choice to the actor, step by step, with no rollback
+   * @param {Actor} actor - The actor to apply to
+   * @param {number} level - The level the choices belong to
+   * @param {Object} choices - Level choices
+   * @param {Object} options - Apply options (see applyChoices)
+   * @returns {Promise<void>}
+   * @private
+   */
+  static async _applyChoicesUnsafe(actor, level, choices, options = {}) {
+    choices = this.excludeFromChoices(choices, options.exclude);
+    const currentLevel = actor.system.details.level.value;
+
+    // Only update the level when actually leveling up, not when already at the target level
+    if (currentLevel < level) {
+      // Flag the update so the level-up detection hook doesn't prompt for it again
+      await actor.update({ 'system.details.level.value': level }, { [MODULE_NAME]: { levelUpWizard: true } });
+      ui.notifications.info(`Level increased to ${level}`);
+    }
+
+    await this.applyFeats(actor, level, choices);
+    await this.applySkillIncreases(actor, choices);
+    await this.applyAbilityBoosts(actor, level, choices);
+    await this.applyGateThreshold(actor, level, choices);
+    await this.applyRunes(actor, choices);
+
+    const spellcastingEntry = SpellHelpers.getClassSpellcastingEntry(actor);
+    debugLog('BuildPlanApplicator.applyChoices', `Spellcasting entry: ${spellcastingEntry?.name ?? 'NONE'}`);
+
+    await this.applySpells(actor, choices, spellcastingEntry);
+    await this.applySpellSwap(actor, choices, spellcastingEntry);
+    await this.applySignatureSpells(actor, choices, spellcastingEntry);
+
+    // Runs for ALL spellcasters, including auto-learn classes like Cleric/Druid
+    if (spellcastingEntry) {
+      await this.updateSpellSlots(actor, level, spellcastingEntry, options);
+    }
+
+    // Also runs for non-casters, since champions and monks get focus spells
+    await this.applyFocusSpells(actor, level, choices, options.exclude);
+  }
+
+  // ============================================================================
+  // TRANSACTION SUPPORT
+  // ============================================================================
+
+  /**
+   * Capture the actor state that applying a level's choices can change
+   * @param {Actor} actor - The actor
+   * @param {number} level - The level about to be applied
+   * @param {Object} choices - Level choices about to be applied
+   * @returns {Object} Snapshot for rollback()
+   */
+  static createSnapshot(actor, level, choices) {
+    const paths = ['system.details.level.value', 'system.resources.focus.max'];
+
+    for (const skillKey of choices.skillIncreases ?? []) {
+      paths.push(`system.skills.${skillKey}.rank`);
+    }
+
+    const boostSet = this.getBoostSetForLevel(level);
+    if (boostSet && choices.abilityBoosts?.length) {
+      paths.push(`system.build.attributes.boosts.${boostSet}`);
+    }
+
+    if (choices.gateThreshold) {
+      paths.push(`flags.${MODULE_NAME}.gateThresholds`);
+    }
+
+    const systemValues = {};
+    for (const path of paths) {
+      systemValues[path] = foundry.utils.deepClone(foundry.utils.getProperty(actor._source, path));
+    }
+
+    const spellcastingEntry = SpellHelpers.getClassSpellcastingEntry(actor);
+
+    // A repertoire swap deletes a spell, which has to be recreated on rollback
+    const swappedOut = choices.spellSwap && this._findOwnedSpell(actor, choices.spellSwap.remove);
+
+    // Signature spells move the signature flag between spells in the entry
+    const itemValues = {};
+    if (spellcastingEntry && choices.signatureSpells?.length) {
+      for (const spell of actor.itemTypes.spell) {
+        if (spell.system.location?.value !== spellcastingEntry.id) continue;
+        itemValues[spell.id] = { 'system.location.signature': !!spell._source.system.location?.signature };
+      }
+    }
+
+    // Focus spells the system granted outside any spellcasting entry may be moved into the focus entry
+    for (const spell of actor.itemTypes.spell) {
+      if (spell._source.system.location?.value) continue;
+      itemValues[spell.id] = { 'system.location.value': spell._source.system.location?.value ?? null };
+    }
+
+    return {
+      itemIds: new Set(actor.items.map(i => i.id)),
+      removedItems: swappedOut ? [swappedOut.toObject()] : [],
+      itemValues,
+      systemValues,
+      spellcastingEntry: spellcastingEntry ? {
+        id: spellcastingEntry.id,
+        slots: foundry.utils.deepClone(spellcastingEntry._source.system?.slots ?? {})
+      } : null
+    };
+  }
+
+  /**
+   * Restore an actor to a snapshot taken by createSnapshot()
+   * @param {Actor} actor - The actor
+   * @param {Object} snapshot - Snapshot from createSnapshot()
+   * @returns {Promise<boolean>} True if every step was restored
+   */
+  static async rollback(actor, snapshot) {
+    const createdIds = actor.items.filter(i => !snapshot.itemIds.has(i.id)).map(i => i.id);
+    const restored = await this._restoreState(actor, createdIds, snapshot);
+
+    if (restored) {
+      ui.notifications.warn(`Level-up failed - ${actor.name} has been restored to its previous state`);
+    } else {
+      ui.notifications.error(`Level-up failed and could not be fully rolled back - check ${actor.name}'s sheet`);
+    }
+
+    return restored;
+  }
+
+  /**
+   * Delete items and write back previous system values, item values, spell slots and removed items
+   * Each step is attempted even if an earlier one fails, so as much as possible is restored
+   * @param {Actor} actor - The actor
+   * @param {Array<string>} itemIds - IDs of items to delete
+   * @param {Object} state - Snapshot or journal entry to restore:
+   *   { systemValues, spellcastingEntry, removedItems?, itemValues? }
+   *   systemValues maps system path to previous value, spellcastingEntry is { id, slots },
+   *   removedItems holds data of items to recreate (with their original IDs) and
+   *   itemValues maps item ID to { path: previous value }
+   * @returns {Promise<boolean>} True if every step succeeded
+   * @private
+   */
+  static async _restoreState(actor, itemIds, state) {
+    const { systemValues, spellcastingEntry, removedItems = [], itemValues = {} } = state;
+    let restored = true;
+
+    const idsToDelete = itemIds.filter(id => actor.items.has(id));
+    if (idsToDelete.length > 0) {
+      try {
+        await actor.deleteEmbeddedDocuments('Item', idsToDelete);
+      } catch (e) {
+        restored = false;
+        console.error(`${MODULE_NAME} | Failed to remove items:`, e);
+      }
+    }
+
+    const itemsToRecreate = removedItems.filter(data => !actor.items.has(data._id));
+    if (itemsToRecreate.length > 0) {
+      try {
+        await actor.createEmbeddedDocuments('Item', itemsToRecreate, { keepId: true });
+      } catch (e) {
+        restored = false;
+        console.error(`${MODULE_NAME} | Failed to recreate removed items:`, e);
+      }
+    }
+
+    const itemUpdates = Object.entries(itemValues)
+      .filter(([id]) => actor.items.has(id))
+      .map(([id, values]) => ({ _id: id, ...values }));
+    if (itemUpdates.length > 0) {
+      try {
+        await actor.updateEmbeddedDocuments('Item', itemUpdates);
+      } catch (e) {
+        restored = false;
+        console.error(`${MODULE_NAME} | Failed to restore item data:`, e);
+      }
+    }
+
+    const systemUpdate = {};
+    for (const [path, value] of Object.entries(systemValues)) {
+      if (value === undefined || value === null) {
+        // Path did not exist before - remove it
+        systemUpdate[path.replace(/\.([^.]+)$/, '.-=$1')] = null;
+      } else {
+        systemUpdate[path] = value;
+      }
+    }
+
+    try {
+      await actor.update(systemUpdate);
+    } catch (e) {
+      restored = false;
+      console.error(`${MODULE_NAME} | Failed to restore actor data:`, e);
+    }
+
+    const entry = spellcastingEntry && actor.items.get(spellcastingEntry.id);
+    if (entry) {
+      try {
+        await entry.update({ 'system.slots': spellcastingEntry.slots });
+      } catch (e) {
+        restored = false;
+        console.error(`${MODULE_NAME} | Failed to restore spell slots:`, e);
+      }
+    }
+
+    return restored;
+  }
+
+  // ============================================================================
+  // CHANGE JOURNAL (UNDO)
+  // ============================================================================
+
+  /**
+   * Record what a completed level-up changed, so it can be undone later
+   * Stored per level in actor flags under 'levelUpJournal'
+   * @param {Actor} actor - The actor
+   * @param {number} level - The level that was applied
+   * @param {Object} snapshot - Snapshot taken before the level was applied
+   * @returns {Promise<void>}
+   */
+  static async recordJournal(actor, level, snapshot) {
+    const createdItems = actor.items.filter(i => !snapshot.itemIds.has(i.id));
+
+    // Undo always drops the character below the level it reverts
+    const systemValues = {};
+    for (const [path, value] of Object.entries(snapshot.systemValues)) {
+      // Flags are stored as JSON, so keep missing values as explicit nulls
+      systemValues[path] = value ?? null;
+    }
+    const levelPath = 'system.details.level.value';
+    systemValues[levelPath] = Math.min(systemValues[levelPath] ?? level - 1, level - 1);
+
+    const entry = {
+      level,
+      timestamp: Date.now(),
+      createdItems: createdItems.map(i => ({ id: i.id, name: i.name, type: i.type })),
+      removedItems: snapshot.removedItems.filter(data => !actor.items.has(data._id)),
+      itemValues: snapshot.itemValues,
+      // Stored as [path, value] pairs - as object keys, the dotted paths would be expanded into nested objects
+      systemValues: Object.entries(systemValues),
+      spellcastingEntry: snapshot.spellcastingEntry
+    };
+
+    // Replace rather than merge any entry left by an earlier submit for the same level
+    await actor.update({ [`flags.${MODULE_NAME}.levelUpJournal.-=${level}`]: null });
+    await actor.setFlag(MODULE_NAME, 'levelUpJournal', { [level]: entry });
+
+    debugLog('BuildPlanApplicator.recordJournal', `Recorded level ${level} journal for ${actor.name}`, entry);
+  }
+
+  /**
+   * Get the previous system values of a journal entry, keyed by path
+   * @param {Object} entry - Journal entry
+   * @returns {Object} Map of system path to previous value
+   */
+  static getJournalSystemValues(entry) {
+    const systemValues = entry?.systemValues ?? [];
+    // Entries recorded before values were stored as pairs hold them as expanded objects
+    return Array.isArray(systemValues) ? Object.fromEntries(systemValues) : foundry.utils.flattenObject(systemValues);
+  }
+
+  /**
+   * Get the journal entry for the most recent undoable level-up
+   * Only the actor's current level can be undone, so older entries stay consistent
+   * @param {Actor} actor - The actor
+   * @returns {Object|null} Journal entry or null
+   */
+  static getUndoableEntry(actor) {
+    const journal = actor.getFlag(MODULE_NAME, 'levelUpJournal');
+    if (!journal) return null;
+
+    const currentLevel = actor.system.details.level.value;
+    return journal[currentLevel] ?? null;
+  }
+
+  /**
+   * Revert the most recent level-up using its change journal
+   * Removes the items it added, restores skill ranks, boosts, spell slots, swapped-out and signature spells,
+   * drops the character back a level and un-applies the level in the build plan
+   * @param {Actor} actor - The actor
+   * @returns {Promise<boolean>} True if fully reverted
+   */
+  static async undoLevel(actor) {
+    const entry = this.getUndoableEntry(actor);
+    if (!entry) {
+      throw new Error(`No recorded level-up to undo for level ${actor.system.details.level.value}`);
+    }
+
+    const restored = await this._restoreState(actor, entry.createdItems.map(i => i.id), {
+      ...entry,
+      systemValues: this.getJournalSystemValues(entry)
+    });
+
+    await actor.update({ [`flags.${MODULE_NAME}.levelUpJournal.-=${entry.level}`]: null });
+
+    const plan = BuildPlanManager.loadPlan(actor);
+    if (plan?.levels?.[entry.level]) {
+      plan.levels[entry.level].applied = false;
+      await BuildPlanManager.savePlan(actor, plan);
+    }
+
+    debugLog('BuildPlanApplicator.undoLevel', `Reverted level ${entry.level} for ${actor.name}`);
+    return restored;
+  }
+
+  // ============================================================================
+  // PREVIEW (DRY RUN)
+  // ============================================================================
+
+  /**
+   * Work out everything applying one or more levels would change, without writing anything
+   * Later levels are projected on top of earlier ones (skill ranks, known spells, slots)
+   * @param {Actor} actor - The actor
+   * @param {Array<Object>} steps - Levels to preview as { level, choices }, in ascending order
+   * @returns {Promise<Array<Object>>} One preview per level:
+   *   { level, levelChange, feats, spells, swaps, signatures, focusSpells, focusPool, gates, runes, skills, boosts, slots, autoLearned }
+   *   Every untickable change has an `id` that can be passed back via options.exclude
+   */
+  static async previewLevels(actor, steps) {
+    await resolveClassProgression(actor);
+
+    const spellcastingEntry = SpellHelpers.getClassSpellcastingEntry(actor);
+    const classItem = actor.items.find(i => i.type === 'class');
+    const classSlug = classItem ? getClassSlug(classItem) : null;
+
+    const projection = {
+      level: actor.system.details.level.value,
+      skillRanks: {},
+      modifiers: {},
+      knownSpellNames: new Set(actor.items.filter(i => i.type === 'spell').map(i => i.name.toLowerCase())),
+      focusSpells: new Set(),
+      focusMax: FocusSpellHelpers.getFocusPoolMax(actor),
+      slots: {}
+    };
+    for (let rank = 1; rank <= 10; rank++) {
+      projection.slots[rank] = spellcastingEntry?._source.system?.slots?.[`slot${rank}`]?.max || 0;
+    }
+
+    const previews = [];
+    for (const { level, choices } of steps) {
+      const preview = {
+        level,
+        levelChange: projection.level < level ? { from: projection.level, to: level } : null,
+        feats: [],
+        spells: [],
+        swaps: [],
+        signatures: [],
+        focusSpells: [],
+        focusPool: null,
+        gates: [],
+        runes: [],
+        skills: [],
+        boosts: [],
+        slots: [],
+        autoLearned: []
+      };
+      projection.level = Math.max(projection.level, level);
+
+      for (const [featType, locationGroup] of Object.entries(FEAT_LOCATION_GROUPS)) {
+        const featUuid = choices[featType];
+        if (!featUuid) continue;
+
+        const feat = await fromUuid(featUuid).catch(() => null);
+        if (!feat || this._findExistingFeat(actor, feat, featUuid, `${locationGroup}-${level}`)) continue;
+
+        preview.feats.push({
+          id: `feat:${featType}`,
+          uuid: featUuid,
+          name: feat.name,
+          label: game.i18n.localize(`${MODULE_NAME}.labels.feat-type.${FEAT_TYPE_LABEL_KEYS[featType]}`)
+        });
+      }
+
+      for (const spellUuid of this.getSpellChoiceUuids(choices)) {
+        const spell = await fromUuid(spellUuid).catch(() => null);
+        if (!spell || this._findExistingSpell(actor, spell, spellUuid)) continue;
+
+        projection.knownSpellNames.add(spell.name.toLowerCase());
+        preview.spells.push({ id: `spell:${spellUuid}`, uuid: spellUuid, name: spell.name, rank: spell.system?.level?.value ?? 0 });
+      }
+
+      if (choices.spellSwap?.remove && choices.spellSwap?.add) {
+        const oldSpell = this._findOwnedSpell(actor, choices.spellSwap.remove) ?? await fromUuid(choices.spellSwap.remove).catch(() => null);
+        const newSpell = await fromUuid(choices.spellSwap.add).catch(() => null);
+        if (oldSpell && newSpell) {
+          projection.knownSpellNames.delete(oldSpell.name.toLowerCase());
+          projection.knownSpellNames.add(newSpell.name.toLowerCase());
+          preview.swaps.push({
+            id: 'swap:spell',
+            from: oldSpell.name,
+            to: newSpell.name,
+            rank: SpellHelpers.getSpellRank(newSpell)
+          });
+        }
+      }
+
+      for (const spellUuid of choices.signatureSpells || []) {
+        const spell = this._findOwnedSpell(actor, spellUuid) ?? await fromUuid(spellUuid).catch(() => null);
+        if (!spell || spell.system.location?.signature) continue;
+
+        preview.signatures.push({ id: `signature:${spellUuid}`, uuid: spellUuid, name: spell.name, rank: SpellHelpers.getSpellRank(spell) });
+      }
+
+      const focusGains = await FocusSpellHelpers.getFocusSpellGains(actor, level, choices, projection.focusSpells);
+      for (const gain of focusGains) {
+        projection.focusSpells.add(gain.uuid);
+        preview.focusSpells.push({ id: `focus:${gain.uuid}`, uuid: gain.uuid, name: gain.name, source: gain.source });
+      }
+      const focusPool = FocusSpellHelpers.getFocusPoolChange(projection.focusMax, focusGains.length);
+      if (focusPool.to !== focusPool.from) {
+        preview.focusPool = focusPool;
+        projection.focusMax = focusPool.to;
+      }
+
+      const gateThreshold = choices.gateThreshold;
+      if (gateThreshold && !KineticistHelpers.getAppliedGateThresholds(actor).some(t => t.level === level)) {
+        preview.gates.push({ id: 'gate:threshold', name: KineticistHelpers.describeGateThreshold(gateThreshold) });
+      }
+
+      for (const runeUuid of choices.runes || []) {
+        const rune = await fromUuid(runeUuid).catch(() => null);
+        if (!rune || actor.items.some(i => i.name === rune.name)) continue;
+
+        preview.runes.push({ id: `rune:${runeUuid}`, uuid: runeUuid, name: rune.name, runeLevel: rune.system?.level?.value ?? 0 });
+      }
+
+      for (const skillKey of choices.skillIncreases || []) {
+        const from = projection.skillRanks[skillKey] ?? (actor.system.skills[skillKey]?.rank || 0);
+        const to = from + 1;
+        projection.skillRanks[skillKey] = to;
+
+        preview.skills.push({
+          id: `skill:${skillKey}`,
+          key: skillKey,
+          name: SkillsHelpers.getSkillTranslation(skillKey),
+          from: SkillsHelpers.getRankName(from),
+          to: SkillsHelpers.getRankName(to)
+        });
+      }
+
+      for (const ability of choices.abilityBoosts || []) {
+        const from = projection.modifiers[ability] ?? (actor.system.abilities?.[ability]?.mod ?? 0);
+        // Boosting an attribute at +4 or higher only grants a partial boost
+        const partial = from >= 4;
+        const to = partial ? from : from + 1;
+        projection.modifiers[ability] = to;
+
+        preview.boosts.push({
+          id: `boost:${ability}`,
+          ability,
+          name: AbilityHelpers.ABILITY_NAMES[ability] || ability,
+          from: AbilityHelpers.formatModifier(from),
+          to: AbilityHelpers.formatModifier(to),
+          partial
+        });
+      }
+
+      if (spellcastingEntry && classSlug) {
+        const targetSlots = SpellSlotProgression.getSpellSlotsAtLevel(classSlug, level);
+
+        if (targetSlots || SpellSlotProgression.isWaveCaster(classSlug)) {
+          for (let rank = 1; rank <= 10; rank++) {
+            const to = (targetSlots && targetSlots[rank]) || 0;
+            if (to !== projection.slots[rank]) {
+              preview.slots.push({ rank, from: projection.slots[rank], to });
+              projection.slots[rank] = to;
+            }
+          }
+        }
+
+        if (SpellHelpers.autoLearnsCommonSpells(actor)) {
+          const spells = await this.getAutoLearnSpells(actor, spellcastingEntry, targetSlots, projection.knownSpellNames);
+          preview.autoLearned = spells.map(spell => ({
+            id: `auto:${spell.uuid}`,
+            uuid: spell.uuid,
+            name: spell.name,
+            rank: spell.system?.level?.value ?? 0
+          }));
+        }
+      }
+
+      previews.push(preview);
+    }
+
+    return previews;
+  }
+
+  /**
+   * Remove unticked preview changes from a set of level choices
+   * Auto-learned spells are not part of the choices and are filtered when they are added
+   * @param {Object} choices - Level choices
+   * @param {Set<string>} exclude - Preview change IDs to drop
+   * @returns {Object} Filtered copy of the choices (or the original if nothing is excluded)
+   */
+  static excludeFromChoices(choices, exclude) {
+    if (!exclude?.size) return choices;
+
+    const filtered = foundry.utils.deepClone(choices);
+
+    for (const featType of Object.keys(FEAT_LOCATION_GROUPS)) {
+      if (exclude.has(`feat:${featType}`)) filtered[featType] = null;
+    }
+
+    if (exclude.has('swap:spell')) filtered.spellSwap = null;
+    if (exclude.has('gate:threshold')) filtered.gateThreshold = null;
+    filtered.signatureSpells = (filtered.signatureSpells || []).filter(uuid => !exclude.has(`signature:${uuid}`));
+    filtered.runes = (filtered.runes || []).filter(uuid => !exclude.has(`rune:${uuid}`));
+
+    filtered.skillIncreases = (filtered.skillIncreases || []).filter(key => !exclude.has(`skill:${key}`));
+    filtered.abilityBoosts = (filtered.abilityBoosts || []).filter(key => !exclude.has(`boost:${key}`));
+
+    const dropSpells = list => list.filter(uuid => !exclude.has(`spell:${uuid}`));
+    for (const [key, value] of Object.entries(filtered)) {
+      if (Array.isArray(value) && (key === 'cantrips' || /Spells$/.test(key))) {
+        filtered[key] = dropSpells(value);
+      }
+    }
+
+    return filtered;
+  }
+
+  // ============================================================================
+  // INDIVIDUAL STEPS
+  // ============================================================================
+
+  /**
+   * Add selected feats to the actor in their level-specific feat slots
+   * @param {Actor} actor - The actor
+   * @param {number} level - The level the feats are taken at
+   * @param {Object} choices - Level choices
+   * @returns {Promise<Array>} Created feat items
+   */
+  static async applyFeats(actor, level, choices) {
+    const featsToCreate = [];
+
+    for (const [featType, locationGroup] of Object.entries(FEAT_LOCATION_GROUPS)) {
+      const featUuid = choices[featType];
+      if (!featUuid) continue;
+
+      try {
+        const feat = await fromUuid(featUuid);
+        if (!feat) continue;
+
+        const targetLocation = `${locationGroup}-${level}`;
+        if (this._findExistingFeat(actor, feat, featUuid, targetLocation)) {
+          debugLog('BuildPlanApplicator.applyFeats', `Feat ${feat.name} already exists at ${targetLocation}, skipping`);
+          continue;
+        }
+
+        const featClone = foundry.utils.duplicate(feat.toObject());
+        featClone.system.location = targetLocation;
+        featClone.system.level = {
+          ...featClone.system.level,
+          taken: level
+        };
+        featsToCreate.push(featClone);
+      } catch (e) {
+        console.warn(`${MODULE_NAME} | Failed to load feat ${featUuid}:`, e);
+      }
+    }
+
+    if (featsToCreate.length === 0) {
+      if (Object.keys(FEAT_LOCATION_GROUPS).some(key => choices[key])) {
+        ui.notifications.info('All selected feats already exist on character');
+      }
+      return [];
+    }
+
+    const created = await actor.createEmbeddedDocuments('Item', featsToCreate);
+    ui.notifications.info(`Added ${created.length} feat(s)`);
+    return created;
+  }
+
+  /**
+   * Raise the proficiency rank of each selected skill by one step
+   * @param {Actor} actor - The actor
+   * @param {Object} choices - Level choices
+   * @returns {Promise<void>}
+   */
+  static async applySkillIncreases(actor, choices) {
+    if (!choices.skillIncreases?.length) return;
+
+    const updates = {};
+    for (const skillKey of choices.skillIncreases) {
+      const currentRank = actor.system.skills[skillKey]?.rank || 0;
+      updates[`system.skills.${skillKey}.rank`] = currentRank + 1;
+    }
+
+    await actor.update(updates);
+    ui.notifications.info(`Increased ${choices.skillIncreases.length} skill(s)`);
+  }
+
+  /**
+   * Apply ability boosts using PF2e's build system
+   * PF2e stores boosts in system.build.attributes.boosts.{boostSet}, where the
+   * boost set is the level milestone (5, 10, 15, 20) the level belongs to
+   * @param {Actor} actor - The actor
+   * @param {number} level - The level being applied
+   * @param {Object} choices - Level choices
+   * @returns {Promise<void>}
+   */
+  static async applyAbilityBoosts(actor, level, choices) {
+    if (!choices.abilityBoosts?.length) return;
+
+    const boostSet = this.getBoostSetForLevel(level);
+    if (!boostSet) {
+      console.warn(`${MODULE_NAME} | Could not determine boost set for level ${level}`);
+      return;
+    }
+
+    const boostPath = `system.build.attributes.boosts.${boostSet}`;
+    let boosts = choices.abilityBoosts;
+
+    // Gradual boosts fill a set one level at a time, so keep boosts from earlier levels in the set
+    if (VariantRulesHelpers.isGradualBoostsEnabled()) {
+      const existing = foundry.utils.getProperty(actor._source, boostPath) || [];
+      boosts = [...new Set([...existing, ...boosts])];
+    }
+
+    await actor.update({ [boostPath]: boosts });
+    ui.notifications.info(`Applied ${choices.abilityBoosts.length} ability boost(s)`);
+  }
+
+  /**
+   * Get the boost set (5, 10, 15, 20) a level's ability boosts are stored under
+   * @param {number} level - The level
+   * @returns {number|undefined} Boost set level
+   */
+  static getBoostSetForLevel(level) {
+    return [5, 10, 15, 20].find(setLevel => setLevel >= level);
+  }
+
+  /**
+   * Collect every spell UUID selected in a set of level choices
+   * (cantrips, rankNSpells, additionalRankNSpells)
+   * @param {Object} choices - Level choices
+   * @returns {Array<string>} Unique spell UUIDs
+   */
+  static getSpellChoiceUuids(choices) {
+    const uuids = [];
+    for (const key of SPELL_CHOICE_KEYS) {
+      if (Array.isArray(choices[key])) uuids.push(...choices[key]);
+    }
+
+    return [...new Set(uuids.filter(Boolean))];
+  }
+
+  /**
+   * Add selected spells to the actor's class spellcasting entry
+   * @param {Actor} actor - The actor
+   * @param {Object} choices - Level choices
+   * @param {Item|null} spellcastingEntry - The class spellcasting entry
+   * @returns {Promise<Array>} Created spell items
+   */
+  static async applySpells(actor, choices, spellcastingEntry) {
+    const spellsToCreate = [];
+
+    for (const spellUuid of this.getSpellChoiceUuids(choices)) {
+      try {
+        const spell = await fromUuid(spellUuid);
+        if (!spell) continue;
+
+        if (this._findExistingSpell(actor, spell, spellUuid)) {
+          debugLog('BuildPlanApplicator.applySpells', `Spell ${spell.name} already exists, skipping`);
+          continue;
+        }
+
+        spellsToCreate.push(this._prepareSpellData(spell, spellUuid, spellcastingEntry));
+      } catch (e) {
+        console.warn(`${MODULE_NAME} | Failed to load spell ${spellUuid}:`, e);
+      }
+    }
+
+    if (spellsToCreate.length === 0) return [];
+
+    const created = await actor.createEmbeddedDocuments('Item', spellsToCreate);
+    debugLog('BuildPlanApplicator.applySpells', `Created ${created.length} spell(s)`);
+    ui.notifications.info(`Added ${created.length} spell(s) to your character`);
+    return created;
+  }
+
+  /**
+   * Swap a spell out of a spontaneous repertoire for the replacement chosen on level up
+   * The replacement is created before the old spell is deleted, and any failure rolls back the whole level
+   * @param {Actor} actor - The actor
+   * @param {Object} choices - Level choices
+   * @param {Item|null} spellcastingEntry - The class spellcasting entry
+   * @returns {Promise<Item|null>} The spell swapped in, or null if there was no swap
+   */
+  static async applySpellSwap(actor, choices, spellcastingEntry) {
+    const swap = choices.spellSwap;
+    if (!swap?.remove || !swap?.add) return null;
+
+    if (!SpellHelpers.canReplaceSpells(actor)) {
+      throw new Error('Only spontaneous casters can swap repertoire spells on level up');
+    }
+
+    const oldSpell = this._findOwnedSpell(actor, swap.remove);
+    if (!oldSpell) {
+      throw new Error(`The spell to swap out is not in ${actor.name}'s repertoire`);
+    }
+
+    const newSpell = await fromUuid(swap.add);
+    if (!newSpell) {
+      throw new Error(`Spell not found: ${swap.add}`);
+    }
+
+    if (this._findExistingSpell(actor, newSpell, swap.add)) {
+      throw new Error(`${newSpell.name} is already in ${actor.name}'s repertoire`);
+    }
+
+    const swapError = SpellHelpers.getSpellSwapError(actor, oldSpell, newSpell);
+    if (swapError) {
+      throw new Error(swapError);
+    }
+
+    const [created] = await actor.createEmbeddedDocuments('Item', [
+      this._prepareSpellData(newSpell, swap.add, spellcastingEntry)
+    ]);
+    await actor.deleteEmbeddedDocuments('Item', [oldSpell.id]);
+
+    debugLog('BuildPlanApplicator.applySpellSwap', `Swapped ${oldSpell.name} for ${newSpell.name}`);
+    ui.notifications.info(`Swapped ${oldSpell.name} for ${newSpell.name}`);
+    return created;
+  }
+
+  /**
+   * Mark the chosen spells as signature spells in the class spellcasting entry
+   * A caster has one signature spell per rank, so any other signature spell of the same rank is unmarked.
+   * @param {Actor} actor - The actor
+   * @param {Object} choices - Level choices
+   * @param {Item|null} spellcastingEntry - The class spellcasting entry
+   * @returns {Promise<void>}
+   */
+  static async applySignatureSpells(actor, choices, spellcastingEntry) {
+    const signatureUuids = choices.signatureSpells ?? [];
+    if (!spellcastingEntry || signatureUuids.length === 0) return;
+
+    const entrySpells = actor.itemTypes.spell.filter(spell => spell.system.location?.value === spellcastingEntry.id);
+    const signatures = new Map(
+      entrySpells.filter(spell => spell.system.location?.signature).map(spell => [SpellHelpers.getSpellRank(spell), spell.id])
+    );
+
+    for (const spellUuid of signatureUuids) {
+      const spell = this._findOwnedSpell(actor, spellUuid);
+      if (!spell || spell.system.location?.value !== spellcastingEntry.id) {
+        console.warn(`${MODULE_NAME} | Signature spell ${spellUuid} is not in the repertoire, skipping`);
+        continue;
+      }
+      signatures.set(SpellHelpers.getSpellRank(spell), spell.id);
+    }
+
+    const signatureIds = new Set(signatures.values());
+    const updates = entrySpells
+      .filter(spell => !!spell.system.location?.signature !== signatureIds.has(spell.id))
+      .map(spell => ({ _id: spell.id, 'system.location.signature': signatureIds.has(spell.id) }));
+    if (updates.length === 0) return;
+
+    await actor.updateEmbeddedDocuments('Item', updates);
+    debugLog('BuildPlanApplicator.applySignatureSpells', `Updated signature flag on ${updates.length} spell(s)`);
+  }
+
+  /**
+   * Record a kineticist's gate's threshold and add the class feature it grants
+   * The choice is always recorded in actor flags, so the gate or junction is tracked even when the class
+   * features compendium has no matching item to add.
+   * @param {Actor} actor - The actor
+   * @param {number} level - The level being applied
+   * @param {Object} choices - Level choices
+   * @returns {Promise<Item|null>} The class feature added, if any
+   */
+  static async applyGateThreshold(actor, level, choices) {
+    const threshold = choices.gateThreshold;
+    if (!threshold) return null;
+
+    const applied = KineticistHelpers.getAppliedGateThresholds(actor).filter(t => t.level !== level);
+    await actor.update({ [`flags.${MODULE_NAME}.gateThresholds`]: [...applied, { level, ...threshold }] });
+
+    const description = KineticistHelpers.describeGateThreshold(threshold);
+    const feature = await KineticistHelpers.findGateThresholdFeature(threshold);
+    if (!feature) {
+      ui.notifications.info(`Recorded ${description} - add its class feature to the sheet by hand`);
+      return null;
+    }
+
+    if (actor.items.some(i => i.slug && i.slug === feature.slug)) {
+      debugLog('BuildPlanApplicator.applyGateThreshold', `${feature.name} already on actor, skipping`);
+      return null;
+    }
+
+    const featureData = foundry.utils.duplicate(feature.toObject());
+    featureData.system.level = { ...featureData.system.level, taken: level };
+    const [created] = await actor.createEmbeddedDocuments('Item', [featureData]);
+
+    ui.notifications.info(`Added ${description}`);
+    return created;
+  }
+
+  /**
+   * Add the runes a Runesmith picked for their runic repertoire
+   * @param {Actor} actor - The actor
+   * @param {Object} choices - Level choices
+   * @returns {Promise<Array>} Created rune items
+   */
+  static async applyRunes(actor, choices) {
+    if (!choices.runes?.length) return [];
+
+    const runesToCreate = [];
+    for (const runeUuid of choices.runes) {
+      const rune = await fromUuid(runeUuid);
+      if (!rune) {
+        throw new Error(`Rune not found: ${runeUuid}`);
+      }
+
+      if (actor.items.some(i => i.name === rune.name)) {
+        debugLog('BuildPlanApplicator.applyRunes', `Rune ${rune.name} already on actor, skipping`);
+        continue;
+      }
+
+      runesToCreate.push(foundry.utils.duplicate(rune.toObject()));
+    }
+
+    if (runesToCreate.length === 0) return [];
+
+    const created = await actor.createEmbeddedDocuments('Item', runesToCreate);
+    ui.notifications.info(`Added ${created.length} rune(s) to your runic repertoire`);
+    return created;
+  }
+
+  /**
+   * Add focus spells granted by the level's feats and class features, and grow the focus pool to match
+   * Spells the system already granted without a spellcasting entry are moved into the focus entry rather than duplicated.
+   * @param {Actor} actor - The actor
+   * @param {number} level - The level being applied
+   * @param {Object} choices - Level choices
+   * @param {Set<string>} exclude - Preview change IDs the user unticked
+   * @returns {Promise<Array<Object>>} Focus spells gained as { uuid, name, source }
+   */
+  static async applyFocusSpells(actor, level, choices, exclude = new Set()) {
+    const gains = (await FocusSpellHelpers.getFocusSpellGains(actor, level, choices))
+      .filter(gain => !exclude?.has(`focus:${gain.uuid}`));
+    if (gains.length === 0) return [];
+
+    const focusEntry = await FocusSpellHelpers.getOrCreateFocusSpellcastingEntry(actor);
+
+    const spellsToCreate = [];
+    const spellsToMove = [];
+    const added = [];
+    for (const gain of gains) {
+      const existing = this._findExistingSpell(actor, gain.spell, gain.uuid);
+      if (existing?.system.location?.value) {
+        // Already known through another spellcasting entry
+        continue;
+      }
+
+      if (existing) {
+        spellsToMove.push({ _id: existing.id, 'system.location.value': focusEntry.id });
+      } else {
+        spellsToCreate.push(this._prepareSpellData(gain.spell, gain.uuid, focusEntry));
+      }
+      added.push(gain);
+    }
+
+    if (spellsToMove.length > 0) await actor.updateEmbeddedDocuments('Item', spellsToMove);
+    if (spellsToCreate.length > 0) await actor.createEmbeddedDocuments('Item', spellsToCreate);
+
+    const pool = FocusSpellHelpers.getFocusPoolChange(FocusSpellHelpers.getFocusPoolMax(actor), added.length);
+    if (pool.to !== pool.from) {
+      await actor.update({ 'system.resources.focus.max': pool.to });
+    }
+
+    if (added.length > 0) {
+      debugLog('BuildPlanApplicator.applyFocusSpells', `Added ${added.length} focus spell(s), focus pool ${pool.from} -> ${pool.to}`);
+      ui.notifications.info(`Added focus spell(s): ${added.map(gain => gain.name).join(', ')}`);
+    }
+
+    return added.map(({ uuid, name, source }) => ({ uuid, name, source }));
+  }
+
+  /**
+   * Set spell slots on the spellcasting entry to the class progression at a level
+   * @param {Actor} actor - The actor
+   * @param {number} level - The level being applied
+   * @param {Item} spellcastingEntry - The class spellcasting entry
+   * @param {Object} options - Apply options (see applyChoices)
+   * @returns {Promise<void>}
+   */
+  static async updateSpellSlots(actor, level, spellcastingEntry, options = {}) {
+    const classItem = actor.items.find(i => i.type === 'class');
+    if (!classItem) return;
+
+    // Applying from a build plan prompt can happen before the wizard or planner has resolved the progression
+    await resolveClassProgression(actor);
+
+    const classSlug = getClassSlug(classItem);
+    const targetSlots = SpellSlotProgression.getSpellSlotsAtLevel(classSlug, level);
+
+    // Always update slots for wave casters - they need lost ranks set to 0
+    if (targetSlots || SpellSlotProgression.isWaveCaster(classSlug)) {
+      const slotsUpdate = {};
+      for (let rank = 1; rank <= 10; rank++) {
+        const slotCount = (targetSlots && targetSlots[rank]) || 0;
+        // PF2e uses slot1, slot2, etc. for each rank (slot0 is cantrips)
+        slotsUpdate[`system.slots.slot${rank}`] = {
+          max: slotCount,
+          value: slotCount // Refill current slots on level up
+        };
+      }
+
+      await spellcastingEntry.update(slotsUpdate);
+      debugLog('BuildPlanApplicator.updateSpellSlots', `Updated slots for ${classSlug} at level ${level}`, targetSlots);
+    } else {
+      debugLog('BuildPlanApplicator.updateSpellSlots', `No spell slot data found for class: ${classSlug}`);
+    }
+
+    // Auto-learn classes (Cleric, Druid, Animist) know every common spell they can cast
+    if (SpellHelpers.autoLearnsCommonSpells(actor)) {
+      await this.addAutoLearnSpells(actor, spellcastingEntry, targetSlots, options.exclude);
+    }
+  }
+
+  /**
+   * Add all common spells for auto-learn classes (Cleric, Druid, Animist)
+   * These classes have access to all common spells from their tradition
+   * @param {Actor} actor - The actor
+   * @param {Item} spellcastingEntry - The spellcasting entry to add spells to
+   * @param {Object} targetSlots - The spell slots at the target level
+   * @param {Set<string>} exclude - Preview change IDs the user unticked
+   * @returns {Promise<Array>} Created spell items
+   */
+  static async addAutoLearnSpells(actor, spellcastingEntry, targetSlots, exclude = new Set()) {
+    const tradition = spellcastingEntry.system?.tradition?.value;
+    const spells = (await this.getAutoLearnSpells(actor, spellcastingEntry, targetSlots))
+      .filter(spell => !exclude.has(`auto:${spell.uuid}`));
+
+    if (spells.length === 0) {
+      debugLog('BuildPlanApplicator.addAutoLearnSpells', 'No new spells to auto-learn');
+      return [];
+    }
+
+    const spellsToAdd = spells.map(spell => this._prepareSpellData(spell, spell.uuid, spellcastingEntry));
+    const created = await actor.createEmbeddedDocuments('Item', spellsToAdd);
+    ui.notifications.info(`Auto-learned ${created.length} ${tradition} spell(s)`);
+    return created;
+  }
+
+  /**
+   * Get the common spells an auto-learn class would gain, skipping ones already known
+   * @param {Actor} actor - The actor
+   * @param {Item} spellcastingEntry - The class spellcasting entry
+   * @param {Object} targetSlots - The spell slots at the target level
+   * @param {Set<string>} knownNames - Lowercase names to treat as known (defaults to the actor's spells)
+   * @returns {Promise<Array<Item>>} Compendium spells
+   */
+  static async getAutoLearnSpells(actor, spellcastingEntry, targetSlots, knownNames = null) {
+    const tradition = spellcastingEntry.system?.tradition?.value;
+    if (!tradition) {
+      debugLog('BuildPlanApplicator.getAutoLearnSpells', 'No tradition found on spellcasting entry, skipping auto-learn');
+      return [];
+    }
+
+    // Highest castable rank at this level (rank 0 covers cantrips)
+    const maxRank = targetSlots ? Math.max(...Object.keys(targetSlots).map(Number)) : 0;
+
+    const existingSpellNames = knownNames ?? new Set(
+      actor.items.filter(i => i.type === 'spell').map(s => s.name.toLowerCase())
+    );
+
+    const result = [];
+    for (let rank = 0; rank <= maxRank; rank++) {
+      const spells = await dataProvider.getSpells({
+        rank: rank,
+        tradition: tradition,
+        rarity: 'common' // Only common spells are auto-learned
+      });
+
+      for (const spell of spells) {
+        if (existingSpellNames.has(spell.name.toLowerCase())) continue;
+
+        result.push(spell);
+        existingSpellNames.add(spell.name.toLowerCase()); // Prevent duplicates in same batch
+      }
+    }
+
+    return result;
+  }
+
+  /**
+   * Find a feat the actor already has (by sourceId, UUID, or name in the same slot)
+   * @param {Actor} actor - The actor
+   * @param {Item} feat - The compendium feat
+   * @param {string} featUuid - The feat's UUID
+   * @param {string} targetLocation - The feat slot it would go into
+   * @returns {Item|undefined} Existing feat
+   * @private
+   */
+  static _findExistingFeat(actor, feat, featUuid, targetLocation) {
+    return actor.items.find(i =>
+      i.type === 'feat' && (
+        i.sourceId === featUuid ||
+        i.uuid === featUuid ||
+        i.flags?.core?.sourceId === featUuid ||
+        (i.name === feat.name && i.system.location === targetLocation)
+      )
+    );
+  }
+
+  /**
+   * Find a spell the actor already has (by sourceId, UUID, or name)
+   * @param {Actor} actor - The actor
+   * @param {Item} spell - The compendium spell
+   * @param {string} spellUuid - The spell's UUID
+   * @returns {Item|undefined} Existing spell
+   * @private
+   */
+  static _findExistingSpell(actor, spell, spellUuid) {
+    return actor.items.find(i =>
+      i.type === 'spell' && (
+        i.sourceId === spellUuid ||
+        i.uuid === spellUuid ||
+        i.flags?.core?.sourceId === spellUuid ||
+        i.name === spell.name
+      )
+    );
+  }
+
+  /**
+   * Find an owned spell by the UUID it was created from (or its own UUID)
+   * @param {Actor} actor - The actor
+   * @param {string} spellUuid - Source or item UUID
+   * @returns {Item|undefined} Owned spell
+   * @private
+   */
+  static _findOwnedSpell(actor, spellUuid) {
+    return actor.items.find(i =>
+      i.type === 'spell' && (
+        i.sourceId === spellUuid ||
+        i.uuid === spellUuid ||
+        i.flags?.core?.sourceId === spellUuid
+      )
+    );
+  }
+
+  /**
+   * Build item data for a compendium spell, linked to its source and spellcasting entry
+   * @param {Item} spell - The compendium spell
+   * @param {string} sourceUuid - UUID to record as the spell's source
+   * @param {Item|null} spellcastingEntry - Entry the spell should appear under
+   * @returns {Object} Spell item data
+   * @private
+   */
+  static _prepareSpellData(spell, sourceUuid, spellcastingEntry) {
+    const spellClone = foundry.utils.duplicate(spell.toObject());
+
+    if (!spellClone.flags) spellClone.flags = {};
+    if (!spellClone.flags.core) spellClone.flags.core = {};
+    spellClone.flags.core.sourceId = sourceUuid;
+
+    if (spellcastingEntry) {
+      if (!spellClone.system.location) spellClone.system.location = {};
+      spellClone.system.location.value = spellcastingEntry.id;
+    }
+
+    return spellClone;
+  }
+}
+
+export default BuildPlanApplicator;
@@ -0,0 +1,344 @@
+// Build Plan Exporter - Human-readable exports of build plans (Markdown, HTML, journal entries)
+import { MODULE_NAME, debugLog } from './module.js';
+import BuildPlanManager from './build-plan-manager.js';
+import { FEAT_CHOICE_KEYS } from './build-plan-schema.js';
+import * as ClassFeaturesHelpers from './helpers/class-features-helpers.js';
+import * as SkillsHelpers from './helpers/skills-helpers.js';
+import { ABILITY_NAMES } from './helpers/ability-helpers.js';
+
+// Journal flag identifying the actor and plan a journal was published from
+const JOURNAL_FLAG = 'publishedPlan';
+
+/**
+ * BuildPlanExporter - Resolves plan UUIDs to names and renders progression sheets
+ */
+export class BuildPlanExporter {
+  /**
+   * Resolve the UUIDs in a level's choices to item names
+   * Feats become a name, lists of UUIDs (spells) become lists of names; other values are kept as-is.
+   * @param {Object} choices - Level choices
+   * @returns {Promise<Object>} Choices with names in place of UUIDs
+   */
+  static async resolveChoiceNames(choices) {
+    const names = {};
+
+    for (const [key, value] of Object.entries(choices)) {
+      if (isUuid(value)) {
+        const item = await resolveItem(value);
+        names[key] = item?.name || value;
+      } else if (Array.isArray(value) && value.length > 0 && isUuid(value[0])) {
+        names[key] = [];
+        for (const uuid of value) {
+          const item = await resolveItem(uuid);
+          names[key].push(item?.name || uuid);
+        }
+      } else {
+        names[key] = value;
+      }
+    }
+
+    return names;
+  }
+
+  /**
+   * Collect everything shown on a progression sheet
+   * @param {Actor} actor - The actor
+   * @param {Object} plan - The build plan
+   * @returns {Promise<Object>} { actorName, planName, className, ancestryName, currentLevel, levels: Array, finalSkills: Array }
+   */
+  static async getSheetData(actor, plan) {
+    const currentLevel = actor.system.details.level.value;
+    const ranks = Object.fromEntries(SkillsHelpers.SKILLS.map(skill => [skill, actor.system.skills[skill]?.rank || 0]));
+    const levels = [];
+
+    for (let level = 1; level <= 20; level++) {
+      const levelData = plan.levels[level];
+      if (!levelData) continue;
+
+      const choices = levelData.choices;
+      const applied = !!levelData.applied;
+
+      const feats = [];
+      for (const field of FEAT_CHOICE_KEYS) {
+        if (!isUuid(choices[field])) continue;
+        const item = await resolveItem(choices[field]);
+        feats.push({
+          label: BuildPlanManager.getFieldLabel(field),
+          uuid: choices[field],
+          name: item?.name || choices[field],
+          traits: item?.system?.traits?.value ?? []
+        });
+      }
+
+      // The actor's ranks already include applied levels, so only project ranks for levels still to come
+      const skills = (choices.skillIncreases || []).map(skill => {
+        if (!applied && skill in ranks) ranks[skill] = Math.min(ranks[skill] + 1, SkillsHelpers.SKILL_PROFICIENCY_RANKS.LEGENDARY);
+        return {
+          name: SkillsHelpers.getSkillTranslation(skill),
+          rank: applied ? null : SkillsHelpers.getRankName(ranks[skill])
+        };
+      });
+
+      const boosts = (choices.abilityBoosts || []).map(ability => ABILITY_NAMES[ability] || ability);
+
+      const spellsByRank = new Map();
+      for (const [key, uuids] of Object.entries(choices)) {
+        const rank = key === 'cantrips' ? 0 : Number(key.match(/^(?:additionalR|r)ank(\d+)Spells$/)?.[1]);
+        if (Number.isNaN(rank) || !Array.isArray(uuids)) continue;
+
+        for (const uuid of uuids) {
+          const item = await resolveItem(uuid);
+          if (!spellsByRank.has(rank)) spellsByRank.set(rank, []);
+          spellsByRank.get(rank).push({ uuid, name: item?.name || uuid });
+        }
+      }
+      const spells = [...spellsByRank.entries()]
+        .sort(([a], [b]) => a - b)
+        .map(([rank, list]) => ({ rank, label: rank === 0 ? 'Cantrips' : `Rank ${rank}`, spells: list }));
+
+      levels.push({ level, applied, feats, skills, boosts, spells, notes: levelData.notes || '' });
+    }
+
+    const finalSkills = SkillsHelpers.SKILLS
+      .filter(skill => ranks[skill] > 0)
+      .map(skill => ({ name: SkillsHelpers.getSkillTranslation(skill), rank: SkillsHelpers.getRankName(ranks[skill]) }))
+      .sort((a, b) => a.name.localeCompare(b.name));
+
+    debugLog('BuildPlanExporter.getSheetData', `Collected sheet data for ${actor.name}`);
+
+    return {
+      actorName: actor.name,
+      planName: plan.name,
+      className: actor.items.find(i => i.type === 'class')?.name ?? '',
+      ancestryName: actor.items.find(i => i.type === 'ancestry')?.name ?? '',
+      currentLevel,
+      levels,
+      finalSkills
+    };
+  }
+
+  /**
+   * Render a progression sheet as Markdown
+   * @param {Actor} actor - The actor
+   * @param {Object} plan - The build plan
+   * @returns {Promise<string>} Markdown text
+   */
+  static async toMarkdown(actor, plan) {
+    const data = await this.getSheetData(actor, plan);
+    const cell = text => String(text).replace(/\|/g, '\\|').replace(/\n+/g, ' ');
+    const lines = [];
+
+    lines.push(`# ${data.actorName} — ${data.planName}`);
+    lines.push('');
+    lines.push(`*${[data.ancestryName, data.className].filter(Boolean).join(' ')} · currently level ${data.currentLevel}*`);
+    lines.push('');
+    lines.push('| Level | Feats | Skills | Boosts | Spells | Notes |');
+    lines.push('|---|---|---|---|---|---|');
+
+    for (const level of data.levels) {
+      const feats = level.feats.map(feat => `**${feat.label}:** ${feat.name}${feat.traits.length ? ` *(${feat.traits.join(', ')})*` : ''}`);
+      const skills = level.skills.map(skill => skill.rank ? `${skill.name} → ${skill.rank}` : skill.name);
+      const spells = level.spells.map(group => `**${group.label}:** ${group.spells.map(spell => spell.name).join(', ')}`);
+
+      lines.push(`| ${level.level}${level.applied ? ' ✓' : ''} | ${[
+        feats.join('<br>'),
+        skills.join(', '),
+        level.boosts.join(', '),
+        spells.join('<br>'),
+        level.notes
+      ].map(cell).join(' | ')} |`);
+    }
+
+    if (data.finalSkills.length) {
+      lines.push('');
+      lines.push('## Skills at Level 20');
+      lines.push('');
+      for (const skill of data.finalSkills) {
+        lines.push(`- ${skill.name}: ${skill.rank}`);
+      }
+    }
+
+    return lines.join('\n');
+  }
+
+  /**
+   * Render a progression sheet as a self-contained, printable HTML page
+   * @param {Actor} actor - The actor
+   * @param {Object} plan - The build plan
+   * @returns {Promise<string>} HTML document
+   */
+  static async toHTML(actor, plan) {
+    const data = await this.getSheetData(actor, plan);
+    const escape = text => foundry.utils.escapeHTML(String(text));
+
+    const rows = data.levels.map(level => `
+      <tr class="${level.applied ? 'applied' : ''}">
+        <td class="level">${level.level}${level.applied ? ' ✓' : ''}</td>
+        <td>${level.feats.map(feat => `<div><strong>${escape(feat.label)}:</strong> ${escape(feat.name)}${feat.traits.length ? ` <span class="traits">${feat.traits.map(escape).join(', ')}</span>` : ''}</div>`).join('')}</td>
+        <td>${level.skills.map(skill => `<div>${escape(skill.name)}${skill.rank ? ` &rarr; ${escape(skill.rank)}` : ''}</div>`).join('')}</td>
+        <td>${level.boosts.map(escape).join(', ')}</td>
+        <td>${level.spells.map(group => `<div><strong>${group.label}:</strong> ${group.spells.map(spell => escape(spell.name)).join(', ')}</div>`).join('')}</td>
+        <td class="notes">${escape(level.notes)}</td>
+      </tr>`).join('');
+
+    const skills = data.finalSkills.map(skill => `<li>${escape(skill.name)}: ${escape(skill.rank)}</li>`).join('');
+
+    return `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="utf-8">
+<title>${escape(data.actorName)} — ${escape(data.planName)}</title>
+<style>
+  body { font-family: Georgia, "Times New Roman", serif; margin: 2em; color: #222; }
+  h1 { margin-bottom: 0.2em; }
+  .subtitle { color: #666; font-style: italic; margin-top: 0; }
+  table { width: 100%; border-collapse: collapse; font-size: 0.9em; }
+  th, td { border: 1px solid #bbb; padding: 4px 6px; text-align: left; vertical-align: top; }
+  th { background: #5e0000; color: #fff; }
+  tr:nth-child(even) td { background: #f6f1e7; }
+  tr.applied td.level { color: #2e7d32; }
+  td.level { font-weight: bold; text-align: center; white-space: nowrap; }
+  td.notes { white-space: pre-wrap; }
+  .traits { color: #666; font-size: 0.85em; font-style: italic; }
+  @media print { body { margin: 0.5in; } th { -webkit-print-color-adjust: exact; print-color-adjust: exact; } }
+</style>
+</head>
+<body>
+<h1>${escape(data.actorName)} — ${escape(data.planName)}</h1>
+<p class="subtitle">${escape([data.ancestryName, data.className].filter(Boolean).join(' '))} · currently level ${data.currentLevel}</p>
+<table>
+  <thead>
+    <tr><th>Level</th><th>Feats</th><th>Skills</th><th>Boosts</th><th>Spells</th><th>Notes</th></tr>
+  </thead>
+  <tbody>${rows}
+  </tbody>
+</table>
+${skills ? `<h2>Skills at Level 20</h2>\n<ul>${skills}</ul>` : ''}
+</body>
+</html>`;
+  }
+
+  /**
+   * Publish a plan to a JournalEntry with one page per level
+   * Publishing the same plan again updates the journal created the first time.
+   * @param {Actor} actor - The actor
+   * @param {Object} plan - The build plan
+   * @returns {Promise<JournalEntry>} The created or updated journal
+   */
+  static async publishToJournal(actor, plan) {
+    const data = await this.getSheetData(actor, plan);
+    const name = `${data.actorName} — ${data.planName}`;
+
+    const pages = [];
+    for (const level of data.levels) {
+      const classFeatures = await ClassFeaturesHelpers.getClassFeaturesForLevel(actor, level.level);
+      pages.push({
+        name: `Level ${level.level}`,
+        type: 'text',
+        sort: level.level * 1000,
+        text: { content: this._getJournalPageContent(level, classFeatures) },
+        flags: { [MODULE_NAME]: { level: level.level } }
+      });
+    }
+
+    let journal = this.findPublishedJournal(actor, plan);
+    if (journal) {
+      const existing = new Map(journal.pages.map(page => [page.getFlag(MODULE_NAME, 'level'), page]));
+      const updates = [];
+      const creates = [];
+      for (const page of pages) {
+        const current = existing.get(page.flags[MODULE_NAME].level);
+        if (current) updates.push({ _id: current.id, name: page.name, 'text.content': page.text.content });
+        else creates.push(page);
+      }
+
+      await journal.update({ name });
+      if (updates.length) await journal.updateEmbeddedDocuments('JournalEntryPage', updates);
+      if (creates.length) await journal.createEmbeddedDocuments('JournalEntryPage', creates);
+    } else {
+      journal = await JournalEntry.create({
+        name,
+        pages,
+        flags: { [MODULE_NAME]: { [JOURNAL_FLAG]: { actorUuid: actor.uuid, planId: plan.id } } }
+      });
+    }
+
+    debugLog('BuildPlanExporter.publishToJournal', `Published plan "${plan.name}" to journal ${journal.id}`);
+    return journal;
+  }
+
+  /**
+   * Find the journal a plan was published to earlier
+   * @param {Actor} actor - The actor
+   * @param {Object} plan - The build plan
+   * @returns {JournalEntry|undefined} The journal
+   */
+  static findPublishedJournal(actor, plan) {
+    return game.journal.find(journal => {
+      const published = journal.getFlag(MODULE_NAME, JOURNAL_FLAG);
+      return published?.actorUuid === actor.uuid && published?.planId === plan.id;
+    });
+  }
+
+  /**
+   * Render one level of sheet data as journal page HTML with @UUID links
+   * @param {Object} level - Level entry from getSheetData()
+   * @param {Array<Item>} classFeatures - Class features gained at this level
+   * @returns {string} Page HTML
+   * @private
+   */
+  static _getJournalPageContent(level, classFeatures) {
+    const escape = text => foundry.utils.escapeHTML(String(text));
+    const link = entry => `@UUID[${entry.uuid}]{${entry.name}}`;
+    const sections = [];
+
+    if (level.applied) {
+      sections.push('<p><em>Already applied to the character.</em></p>');
+    }
+
+    if (classFeatures.length) {
+      sections.push(`<h2>Class Features</h2><ul>${classFeatures.map(feature => `<li>${feature.uuid ? link(feature) : escape(feature.name)}</li>`).join('')}</ul>`);
+    }
+    if (level.feats.length) {
+      sections.push(`<h2>Feats</h2><ul>${level.feats.map(feat => `<li><strong>${escape(feat.label)}:</strong> ${link(feat)}</li>`).join('')}</ul>`);
+    }
+    if (level.skills.length) {
+      sections.push(`<h2>Skill Increases</h2><ul>${level.skills.map(skill => `<li>${escape(skill.name)}${skill.rank ? ` &rarr; ${escape(skill.rank)}` : ''}</li>`).join('')}</ul>`);
+    }
+    if (level.boosts.length) {
+      sections.push(`<h2>Ability Boosts</h2><p>${level.boosts.map(escape).join(', ')}</p>`);
+    }
+    if (level.spells.length) {
+      sections.push(`<h2>Spells</h2><ul>${level.spells.map(group => `<li><strong>${group.label}:</strong> ${group.spells.map(link).join(', ')}</li>`).join('')}</ul>`);
+    }
+    if (level.notes) {
+      sections.push(`<h2>Notes</h2><p>${escape(level.notes).replace(/\n/g, '<br>')}</p>`);
+    }
+
+    return sections.join('\n') || '<p><em>Nothing planned for this level.</em></p>';
+  }
+}
+
+/**
+ * Check whether a value is an item UUID
+ * @param {*} value - Value to check
+ * @returns {boolean} True for compendium and world item UUIDs
+ */
+function isUuid(value) {
+  return typeof value === 'string' && (value.startsWith('Compendium.') || value.startsWith('Item.'));
+}
+
+/**
+ * Load an item by UUID, returning null if it cannot be found
+ * @param {string} uuid - Item UUID
+ * @returns {Promise<Item|null>} The item
+ */
+async function resolveItem(uuid) {
+  try {
+    return await fromUuid(uuid);
+  } catch (e) {
+    return null;
+  }
+}
+
+export default BuildPlanExporter;
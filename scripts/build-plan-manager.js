@@ -1,6 +1,42 @@
 // Build Plan Manager - Manages build plan CRUD operations and validation
 import { MODULE_NAME, debugLog } from './module.js';
 import * as VariantRulesHelpers from './helpers/variant-rules-helpers.js';
+import { PLAN_SCHEMA_VERSION, SPELL_CHOICE_KEYS, migratePlan, validatePlanSchema } from './build-plan-schema.js';
+
+// Flag holding { activePlanId, plans: { [id]: plan } }
+const PLANS_FLAG = 'buildPlans';
+
+// Single-plan flag used before named plans existed
+const LEGACY_PLAN_FLAG = 'buildPlan';
+
+const DEFAULT_PLAN_NAME = 'Main Plan';
+
+// Flag holding { [planId]: revisions[] }, newest first
+const HISTORY_FLAG = 'buildPlanHistory';
+
+// Oldest revisions are dropped past this many per plan
+const MAX_REVISIONS = 25;
+
+// Display labels for plan fields in revision summaries and diffs
+const FIELD_LABELS = {
+  classFeats: 'Class Feat',
+  ancestryFeats: 'Ancestry Feat',
+  skillFeats: 'Skill Feat',
+  generalFeats: 'General Feat',
+  freeArchetypeFeats: 'Free Archetype Feat',
+  ancestryParagonFeats: 'Ancestry Paragon Feat',
+  mythicFeats: 'Mythic Feat',
+  dualClassFeats: 'Dual Class Feat',
+  skillIncreases: 'Skill Increases',
+  abilityBoosts: 'Ability Boosts',
+  cantrips: 'Cantrips',
+  spellSwap: 'Repertoire Swap',
+  signatureSpells: 'Signature Spells',
+  gateThreshold: "Gate's Threshold",
+  runes: 'Runes',
+  notes: 'Notes',
+  applied: 'Applied'
+};
 
 /**
  * BuildPlanManager - Manages build plans stored in actor flags
@@ -8,34 +44,40 @@ import * as VariantRulesHelpers from './helpers/variant-rules-helpers.js';
  */
 export class BuildPlanManager {
   /**
-   * Load build plan from actor flags
+   * Load a build plan from actor flags
    * @param {Actor} actor - The actor to load plan from
+   * @param {string} planId - Plan to load (defaults to the active plan)
    * @returns {Object|null} Build plan object or null if none exists
    */
-  static loadPlan(actor) {
+  static loadPlan(actor, planId = null) {
     if (!actor) {
       console.error(`${MODULE_NAME} | BuildPlanManager.loadPlan: No actor provided`);
       return null;
     }
 
-    const plan = actor.getFlag(MODULE_NAME, 'buildPlan');
+    const collection = this.getPlanCollection(actor);
+    const plan = collection.plans[planId ?? collection.activePlanId] ?? null;
 
     if (plan) {
-      debugLog('BuildPlanManager.loadPlan', `Loaded plan for ${actor.name}`, plan);
+      debugLog('BuildPlanManager.loadPlan', `Loaded plan "${plan.name}" for ${actor.name}`, plan);
     } else {
       debugLog('BuildPlanManager.loadPlan', `No plan found for ${actor.name}`);
     }
 
-    return plan || null;
+    return plan;
   }
 
   /**
    * Save build plan to actor flags
+   * The plan is stored under its id; the first plan saved for an actor becomes the active one.
+   * Every save that changes the plan is also recorded as a revision in the plan's history.
    * @param {Actor} actor - The actor to save plan to
    * @param {Object} plan - The build plan object
+   * @param {Object} options - Save options
+   * @param {string} options.summary - Revision summary (defaults to a description of the changes)
    * @returns {Promise<void>}
    */
-  static async savePlan(actor, plan) {
+  static async savePlan(actor, plan, options = {}) {
     if (!actor) {
       throw new Error('No actor provided');
     }
@@ -47,37 +89,383 @@ export class BuildPlanManager {
     // Update lastModified timestamp
     plan.lastModified = Date.now();
 
-    // Ensure version is set
-    if (!plan.version) {
-      plan.version = '1.0.0';
+    // Plans are always stored in the current format; loadPlan() and importPlan() migrate older ones
+    plan.version = PLAN_SCHEMA_VERSION;
+
+    // Ensure identity is set
+    if (!plan.id) {
+      plan.id = foundry.utils.randomID();
+    }
+    if (!plan.name) {
+      plan.name = DEFAULT_PLAN_NAME;
     }
 
-    await actor.setFlag(MODULE_NAME, 'buildPlan', plan);
+    const collection = this.getPlanCollection(actor);
+    const update = {
+      [`flags.${MODULE_NAME}.${PLANS_FLAG}.plans.${plan.id}`]: plan
+    };
+
+    if (!collection.plans[collection.activePlanId]) {
+      update[`flags.${MODULE_NAME}.${PLANS_FLAG}.activePlanId`] = plan.id;
+    }
+
+    const previous = collection.plans[plan.id] ?? null;
+    const changes = previous ? this.diffPlans(previous, plan) : null;
+    if (!previous || changes.length > 0) {
+      const revision = {
+        id: foundry.utils.randomID(),
+        timestamp: plan.lastModified,
+        summary: options.summary || (previous ? this.summarizeChanges(changes) : 'Plan created'),
+        plan: foundry.utils.deepClone(plan)
+      };
+      update[`flags.${MODULE_NAME}.${HISTORY_FLAG}.${plan.id}`] = [revision, ...this.getHistory(actor, plan.id)].slice(0, MAX_REVISIONS);
+    }
 
-    debugLog('BuildPlanManager.savePlan', `Saved plan for ${actor.name}`);
+    // Move a single-plan flag from older versions into the collection
+    if (actor.getFlag(MODULE_NAME, LEGACY_PLAN_FLAG)) {
+      for (const [id, storedPlan] of Object.entries(collection.plans)) {
+        if (id !== plan.id) update[`flags.${MODULE_NAME}.${PLANS_FLAG}.plans.${id}`] = storedPlan;
+      }
+      update[`flags.${MODULE_NAME}.${PLANS_FLAG}.activePlanId`] = collection.activePlanId ?? plan.id;
+      update[`flags.${MODULE_NAME}.-=${LEGACY_PLAN_FLAG}`] = null;
+    }
+
+    await actor.update(update);
+
+    debugLog('BuildPlanManager.savePlan', `Saved plan "${plan.name}" for ${actor.name}`);
   }
 
   /**
-   * Delete build plan from actor
+   * Delete a build plan from actor
+   * If the active plan is deleted, another remaining plan becomes active
    * @param {Actor} actor - The actor to delete plan from
+   * @param {string} planId - Plan to delete (defaults to the active plan)
    * @returns {Promise<void>}
    */
-  static async deletePlan(actor) {
+  static async deletePlan(actor, planId = null) {
     if (!actor) {
       throw new Error('No actor provided');
     }
 
-    await actor.unsetFlag(MODULE_NAME, 'buildPlan');
+    const collection = this.getPlanCollection(actor);
+    const id = planId ?? collection.activePlanId;
+
+    if (actor.getFlag(MODULE_NAME, LEGACY_PLAN_FLAG)) {
+      // Older single-plan storage - persist the collection first so the delete below applies to it
+      const legacy = collection.plans[collection.activePlanId];
+      if (legacy) await this.savePlan(actor, legacy);
+    }
+
+    const update = {
+      [`flags.${MODULE_NAME}.${PLANS_FLAG}.plans.-=${id}`]: null,
+      [`flags.${MODULE_NAME}.${HISTORY_FLAG}.-=${id}`]: null
+    };
+
+    if (id === collection.activePlanId) {
+      const nextId = Object.keys(collection.plans).find(otherId => otherId !== id) ?? null;
+      update[`flags.${MODULE_NAME}.${PLANS_FLAG}.activePlanId`] = nextId;
+    }
+
+    await actor.update(update);
+
+    debugLog('BuildPlanManager.deletePlan', `Deleted plan ${id} for ${actor.name}`);
+  }
+
+  // ============================================================================
+  // NAMED PLANS
+  // ============================================================================
+
+  /**
+   * Get all stored plans for an actor
+   * Reads the single-plan flag used by older versions when no collection exists yet.
+   * Plans stored in an older format are migrated in memory; the upgrade is persisted on their next save.
+   * @param {Actor} actor - The actor
+   * @returns {Object} { activePlanId: string|null, plans: { [id]: plan } }
+   */
+  static getPlanCollection(actor) {
+    const stored = actor.getFlag(MODULE_NAME, PLANS_FLAG);
+    if (stored?.plans && Object.keys(stored.plans).length > 0) {
+      const collection = foundry.utils.deepClone(stored);
+      for (const [id, plan] of Object.entries(collection.plans)) {
+        collection.plans[id] = this.migrateStoredPlan(plan);
+      }
+      if (!collection.plans[collection.activePlanId]) {
+        collection.activePlanId = Object.keys(collection.plans)[0];
+      }
+      return collection;
+    }
+
+    const legacy = actor.getFlag(MODULE_NAME, LEGACY_PLAN_FLAG);
+    if (legacy) {
+      const plan = this.migrateStoredPlan(legacy);
+      plan.id = plan.id || 'default';
+      plan.name = plan.name || DEFAULT_PLAN_NAME;
+      return { activePlanId: plan.id, plans: { [plan.id]: plan } };
+    }
+
+    return { activePlanId: null, plans: {} };
+  }
+
+  /**
+   * Upgrade a plan read from actor flags to the current format
+   * A plan that cannot be migrated (e.g. written by a newer module version) is returned unchanged.
+   * @param {Object} plan - Stored plan
+   * @returns {Object} Migrated copy of the plan
+   */
+  static migrateStoredPlan(plan) {
+    try {
+      return migratePlan(plan);
+    } catch (error) {
+      console.error(`${MODULE_NAME} | Failed to migrate build plan "${plan?.name ?? plan?.id}":`, error);
+      return foundry.utils.deepClone(plan);
+    }
+  }
+
+  /**
+   * List an actor's plans for display
+   * @param {Actor} actor - The actor
+   * @returns {Array<Object>} [{ id, name, lastModified, isActive }] sorted by name
+   */
+  static listPlans(actor) {
+    const collection = this.getPlanCollection(actor);
+
+    return Object.values(collection.plans)
+      .map(plan => ({
+        id: plan.id,
+        name: plan.name,
+        lastModified: plan.lastModified,
+        isActive: plan.id === collection.activePlanId
+      }))
+      .sort((a, b) => a.name.localeCompare(b.name));
+  }
+
+  /**
+   * Get the id of the actor's active plan
+   * @param {Actor} actor - The actor
+   * @returns {string|null} Active plan id
+   */
+  static getActivePlanId(actor) {
+    return this.getPlanCollection(actor).activePlanId;
+  }
+
+  /**
+   * Make a plan the active one (used by the level-up prompt and plan auto-apply)
+   * @param {Actor} actor - The actor
+   * @param {string} planId - Plan to activate
+   * @returns {Promise<void>}
+   */
+  static async setActivePlan(actor, planId) {
+    const collection = this.getPlanCollection(actor);
+    if (!collection.plans[planId]) {
+      throw new Error(`Build plan not found: ${planId}`);
+    }
+
+    if (actor.getFlag(MODULE_NAME, LEGACY_PLAN_FLAG)) {
+      await this.savePlan(actor, collection.plans[collection.activePlanId]);
+    }
+
+    await actor.setFlag(MODULE_NAME, `${PLANS_FLAG}.activePlanId`, planId);
 
-    debugLog('BuildPlanManager.deletePlan', `Deleted plan for ${actor.name}`);
+    debugLog('BuildPlanManager.setActivePlan', `Active plan for ${actor.name} is now ${planId}`);
+  }
+
+  /**
+   * Create and save a new empty named plan
+   * @param {Actor} actor - The actor
+   * @param {string} name - Plan name
+   * @returns {Promise<Object>} The new plan
+   */
+  static async createNamedPlan(actor, name) {
+    const plan = this.createNewPlan(actor, name);
+    await this.savePlan(actor, plan);
+    return plan;
+  }
+
+  /**
+   * Copy an existing plan under a new name
+   * @param {Actor} actor - The actor
+   * @param {string} planId - Plan to copy
+   * @param {string} name - Name for the copy (defaults to "<name> (Copy)")
+   * @returns {Promise<Object>} The new plan
+   */
+  static async duplicatePlan(actor, planId, name = null) {
+    const source = this.loadPlan(actor, planId);
+    if (!source) {
+      throw new Error(`Build plan not found: ${planId}`);
+    }
+
+    const plan = foundry.utils.deepClone(source);
+    plan.id = foundry.utils.randomID();
+    plan.name = name || `${source.name} (Copy)`;
+
+    await this.savePlan(actor, plan);
+    return plan;
+  }
+
+  /**
+   * Rename a plan
+   * @param {Actor} actor - The actor
+   * @param {string} planId - Plan to rename
+   * @param {string} name - New name
+   * @returns {Promise<Object>} The renamed plan
+   */
+  static async renamePlan(actor, planId, name) {
+    const plan = this.loadPlan(actor, planId);
+    if (!plan) {
+      throw new Error(`Build plan not found: ${planId}`);
+    }
+    if (!name?.trim()) {
+      throw new Error('Plan name cannot be empty');
+    }
+
+    plan.name = name.trim();
+    await this.savePlan(actor, plan);
+    return plan;
+  }
+
+  // ============================================================================
+  // REVISION HISTORY
+  // ============================================================================
+
+  /**
+   * Get the saved revisions of a plan
+   * @param {Actor} actor - The actor
+   * @param {string} planId - The plan
+   * @returns {Array<Object>} Revisions { id, timestamp, summary, plan }, newest first
+   */
+  static getHistory(actor, planId) {
+    const history = actor.getFlag(MODULE_NAME, `${HISTORY_FLAG}.${planId}`);
+    if (!Array.isArray(history)) return [];
+
+    return history.map(revision => ({ ...revision, plan: this.migrateStoredPlan(revision.plan) }));
+  }
+
+  /**
+   * Get a single revision of a plan
+   * @param {Actor} actor - The actor
+   * @param {string} planId - The plan
+   * @param {string} revisionId - The revision
+   * @returns {Object|null} Revision or null
+   */
+  static getRevision(actor, planId, revisionId) {
+    return this.getHistory(actor, planId).find(revision => revision.id === revisionId) ?? null;
+  }
+
+  /**
+   * Replace a plan's contents with an earlier revision
+   * The plan keeps its id and name, and the restore itself becomes a new revision
+   * @param {Actor} actor - The actor
+   * @param {string} planId - The plan
+   * @param {string} revisionId - The revision to restore
+   * @returns {Promise<Object>} The restored plan
+   */
+  static async restoreRevision(actor, planId, revisionId) {
+    const current = this.loadPlan(actor, planId);
+    const revision = this.getRevision(actor, planId, revisionId);
+    if (!current || !revision) {
+      throw new Error('Build plan revision not found');
+    }
+
+    const plan = foundry.utils.deepClone(revision.plan);
+    plan.id = current.id;
+    plan.name = current.name;
+
+    const when = new Date(revision.timestamp).toLocaleString();
+    await this.savePlan(actor, plan, { summary: `Restored revision from ${when}` });
+
+    debugLog('BuildPlanManager.restoreRevision', `Restored revision ${revisionId} of plan ${planId}`);
+    return plan;
+  }
+
+  /**
+   * List the differences between two plans, level by level
+   * @param {Object} before - The older plan
+   * @param {Object} after - The newer plan
+   * @returns {Array<Object>} Changes { level, field, label, before, after } (level is null for plan-wide fields)
+   */
+  static diffPlans(before, after) {
+    const changes = [];
+    // An empty list, an empty string and a missing value all mean "nothing chosen"
+    const normalize = value => (value === '' || (Array.isArray(value) && value.length === 0)) ? null : (value ?? null);
+    const same = (a, b) => JSON.stringify(normalize(a)) === JSON.stringify(normalize(b));
+
+    if (!same(before?.name, after?.name)) {
+      changes.push({ level: null, field: 'name', label: 'Plan Name', before: before?.name, after: after?.name });
+    }
+
+    for (let level = 1; level <= 20; level++) {
+      const beforeLevel = before?.levels?.[level] ?? {};
+      const afterLevel = after?.levels?.[level] ?? {};
+      const beforeChoices = beforeLevel.choices ?? {};
+      const afterChoices = afterLevel.choices ?? {};
+
+      const fields = new Set([...Object.keys(beforeChoices), ...Object.keys(afterChoices)]);
+      for (const field of fields) {
+        if (same(beforeChoices[field], afterChoices[field])) continue;
+
+        changes.push({
+          level,
+          field,
+          label: this.getFieldLabel(field),
+          before: beforeChoices[field] ?? null,
+          after: afterChoices[field] ?? null
+        });
+      }
+
+      for (const field of ['notes', 'applied']) {
+        if (!same(beforeLevel[field] || null, afterLevel[field] || null)) {
+          changes.push({ level, field, label: FIELD_LABELS[field], before: beforeLevel[field], after: afterLevel[field] });
+        }
+      }
+    }
+
+    return changes;
+  }
+
+  /**
+   * Describe a list of plan changes in one short line
+   * @param {Array<Object>} changes - Changes from diffPlans()
+   * @returns {string} Summary, e.g. "L4 Class Feat; L5 Skill Increases, Notes"
+   */
+  static summarizeChanges(changes) {
+    if (!changes.length) return 'No changes';
+
+    const byLevel = new Map();
+    for (const change of changes) {
+      const key = change.level ? `L${change.level}` : 'Plan';
+      if (!byLevel.has(key)) byLevel.set(key, []);
+      byLevel.get(key).push(change.label);
+    }
+
+    const parts = [...byLevel.entries()].map(([key, labels]) => `${key} ${labels.join(', ')}`);
+    const shown = parts.slice(0, 3).join('; ');
+    return parts.length > 3 ? `${shown} (+${parts.length - 3} more levels)` : shown;
+  }
+
+  /**
+   * Get a display label for a plan choice key
+   * @param {string} field - Choice key (e.g. 'classFeats', 'rank2Spells', 'additionalRank3Spells')
+   * @returns {string} Label
+   */
+  static getFieldLabel(field) {
+    if (FIELD_LABELS[field]) return FIELD_LABELS[field];
+
+    const additional = field.match(/^additionalRank(\d+)Spells$/);
+    if (additional) return `Rank ${additional[1]} Spells Learned`;
+
+    const rank = field.match(/^rank(\d+)Spells$/);
+    if (rank) return `Rank ${rank[1]} Spells`;
+
+    return field;
   }
 
   /**
    * Create a new empty build plan
    * @param {Actor} actor - The actor to create plan for
+   * @param {string} name - Plan name
    * @returns {Object} New build plan object
    */
-  static createNewPlan(actor) {
+  static createNewPlan(actor, name = DEFAULT_PLAN_NAME) {
     const currentLevel = actor.system.details.level.value;
 
     // Get current variant rules
@@ -98,19 +486,11 @@ export class BuildPlanManager {
           dualClassFeats: variantRules.dualClass ? null : undefined,
           skillIncreases: [],
           abilityBoosts: [],
-          spells: {
-            cantrips: [],
-            rank1: [],
-            rank2: [],
-            rank3: [],
-            rank4: [],
-            rank5: [],
-            rank6: [],
-            rank7: [],
-            rank8: [],
-            rank9: [],
-            rank10: []
-          }
+          ...Object.fromEntries(SPELL_CHOICE_KEYS.map(key => [key, []])),
+          spellSwap: null,
+          signatureSpells: [],
+          gateThreshold: null,
+          runes: []
         },
         applied: i <= currentLevel, // Mark levels up to current as applied
         notes: ''
@@ -123,7 +503,9 @@ export class BuildPlanManager {
       : {};
 
     const plan = {
-      version: '1.0.0',
+      id: foundry.utils.randomID(),
+      name,
+      version: PLAN_SCHEMA_VERSION,
       lastModified: Date.now(),
       levels,
       variantRules,
@@ -306,23 +688,31 @@ export class BuildPlanManager {
 
   /**
    * Import build plan from JSON
+   * Plans exported by older versions are migrated to the current format
    * @param {string} json - JSON string
    * @returns {Object} Parsed build plan
    */
   static importPlan(json) {
     try {
-      const plan = JSON.parse(json);
+      const parsed = JSON.parse(json);
 
       // Basic validation
-      if (!plan.version) {
+      if (!parsed?.version) {
         throw new Error('Invalid plan format: missing version');
       }
 
-      if (!plan.levels) {
+      if (!parsed.levels) {
         throw new Error('Invalid plan format: missing levels');
       }
 
-      debugLog('BuildPlanManager.importPlan', 'Imported plan', plan);
+      const plan = migratePlan(parsed);
+
+      const { valid, errors } = validatePlanSchema(plan);
+      if (!valid) {
+        throw new Error(`Invalid plan format: ${errors.slice(0, 3).join('; ')}`);
+      }
+
+      debugLog('BuildPlanManager.importPlan', `Imported plan (version ${parsed.version})`, plan);
 
       return plan;
     } catch (error) {
@@ -352,7 +742,11 @@ export class BuildPlanManager {
       choices.dualClassFeats ||
       (choices.skillIncreases && choices.skillIncreases.length > 0) ||
       (choices.abilityBoosts && choices.abilityBoosts.length > 0) ||
-      (choices.spells && Object.values(choices.spells).some(arr => arr.length > 0))
+      SPELL_CHOICE_KEYS.some(key => choices[key]?.length > 0) ||
+      choices.spellSwap ||
+      choices.signatureSpells?.length > 0 ||
+      choices.gateThreshold ||
+      choices.runes?.length > 0
     );
   }
 }
@@ -0,0 +1,213 @@
+// Build Plan Schema - Plan format version, structural validation and migrations
+import { debugLog } from './module.js';
+
+/**
+ * Current build plan format version
+ * Bump this and append a migration below whenever the stored plan shape changes
+ */
+export const PLAN_SCHEMA_VERSION = '2.1.0';
+
+// Feat choice keys (one feat UUID or null per level)
+export const FEAT_CHOICE_KEYS = [
+  'classFeats',
+  'ancestryFeats',
+  'skillFeats',
+  'generalFeats',
+  'freeArchetypeFeats',
+  'ancestryParagonFeats',
+  'mythicFeats',
+  'dualClassFeats'
+];
+
+// Spell choice keys (arrays of spell UUIDs per level)
+export const SPELL_CHOICE_KEYS = ['cantrips'];
+for (let rank = 1; rank <= 10; rank++) {
+  SPELL_CHOICE_KEYS.push(`rank${rank}Spells`);
+}
+for (let rank = 1; rank <= 10; rank++) {
+  SPELL_CHOICE_KEYS.push(`additionalRank${rank}Spells`);
+}
+
+// Keys holding arrays of selections
+const ARRAY_CHOICE_KEYS = ['skillIncreases', 'abilityBoosts', 'signatureSpells', 'runes', ...SPELL_CHOICE_KEYS];
+
+/**
+ * Ordered plan migrations
+ * Each step upgrades a plan from the previous version to `version` and may mutate the plan in place.
+ * Plans without a version are treated as 1.0.0.
+ */
+const PLAN_MIGRATIONS = [
+  {
+    version: '1.1.0',
+    description: 'Fill in missing levels and plan-wide fields',
+    migrate(plan) {
+      plan.levels ??= {};
+      for (let level = 1; level <= 20; level++) {
+        const levelData = plan.levels[level] ??= {};
+        levelData.choices ??= {};
+        levelData.applied = !!levelData.applied;
+        levelData.notes ??= '';
+      }
+      plan.variantRules ??= {};
+      plan.mythicTiers ??= {};
+    }
+  },
+  {
+    version: '2.0.0',
+    description: 'Move nested spell choices (spells.rankN) to the flat wizard keys (rankNSpells)',
+    migrate(plan) {
+      for (const levelData of Object.values(plan.levels)) {
+        const choices = levelData.choices;
+        const nested = choices.spells;
+        delete choices.spells;
+        if (!nested || typeof nested !== 'object') continue;
+
+        for (const [key, uuids] of Object.entries(nested)) {
+          if (!Array.isArray(uuids) || uuids.length === 0) continue;
+
+          const rank = key.match(/^rank(\d+)$/)?.[1];
+          const target = key === 'cantrips' ? 'cantrips' : rank ? `rank${rank}Spells` : null;
+          if (!target) continue;
+
+          choices[target] = [...new Set([...(choices[target] || []), ...uuids])];
+        }
+      }
+    }
+  },
+  {
+    version: '2.1.0',
+    description: 'Add optional spell swap, signature spell, gate threshold and rune choices',
+    migrate() {
+      // The new choices are optional, so older plans need no changes
+    }
+  }
+];
+
+/**
+ * Compare two dotted version strings
+ * @param {string} a - First version
+ * @param {string} b - Second version
+ * @returns {number} Negative if a < b, positive if a > b, 0 if equal
+ */
+export function compareVersions(a, b) {
+  const partsA = String(a).split('.').map(Number);
+  const partsB = String(b).split('.').map(Number);
+
+  for (let i = 0; i < Math.max(partsA.length, partsB.length); i++) {
+    const diff = (partsA[i] || 0) - (partsB[i] || 0);
+    if (diff !== 0) return diff;
+  }
+
+  return 0;
+}
+
+/**
+ * Check whether a plan needs migrating to the current format
+ * @param {Object} plan - Build plan
+ * @returns {boolean} True if the plan is older than PLAN_SCHEMA_VERSION
+ */
+export function needsMigration(plan) {
+  return compareVersions(plan?.version || '1.0.0', PLAN_SCHEMA_VERSION) < 0;
+}
+
+/**
+ * Upgrade a plan to the current format by running every migration newer than its version, in order
+ * The input plan is not modified.
+ * @param {Object} plan - Build plan in any supported version
+ * @returns {Object} Migrated copy of the plan
+ * @throws {Error} If the plan was written by a newer version of the module
+ */
+export function migratePlan(plan) {
+  const from = plan?.version || '1.0.0';
+
+  if (compareVersions(from, PLAN_SCHEMA_VERSION) > 0) {
+    throw new Error(`Build plan version ${from} is newer than supported version ${PLAN_SCHEMA_VERSION}`);
+  }
+
+  const migrated = foundry.utils.deepClone(plan);
+  if (!needsMigration(migrated)) return migrated;
+
+  for (const migration of PLAN_MIGRATIONS) {
+    if (compareVersions(from, migration.version) >= 0) continue;
+
+    migration.migrate(migrated);
+    migrated.version = migration.version;
+    debugLog('migratePlan', `Migrated plan "${migrated.name ?? migrated.id}" to ${migration.version}: ${migration.description}`);
+  }
+
+  migrated.version = PLAN_SCHEMA_VERSION;
+  return migrated;
+}
+
+/**
+ * Check that a plan matches the current schema
+ * Only checks structure; rules are checked by BuildPlanManager.validatePlan()
+ * @param {Object} plan - Build plan (already migrated)
+ * @returns {Object} { valid: boolean, errors: Array<string> }
+ */
+export function validatePlanSchema(plan) {
+  const errors = [];
+
+  if (!plan || typeof plan !== 'object' || Array.isArray(plan)) {
+    return { valid: false, errors: ['Plan is not an object'] };
+  }
+
+  if (plan.version !== PLAN_SCHEMA_VERSION) {
+    errors.push(`Unexpected plan version ${plan.version} (expected ${PLAN_SCHEMA_VERSION})`);
+  }
+
+  if (plan.name !== undefined && typeof plan.name !== 'string') {
+    errors.push('Plan name must be a string');
+  }
+
+  if (!plan.levels || typeof plan.levels !== 'object') {
+    errors.push('Plan has no levels');
+    return { valid: false, errors };
+  }
+
+  for (const [key, levelData] of Object.entries(plan.levels)) {
+    const level = Number(key);
+    if (!Number.isInteger(level) || level < 1 || level > 20) {
+      errors.push(`Invalid level "${key}"`);
+      continue;
+    }
+
+    const choices = levelData?.choices;
+    if (!choices || typeof choices !== 'object') {
+      errors.push(`Level ${level}: missing choices`);
+      continue;
+    }
+
+    for (const field of FEAT_CHOICE_KEYS) {
+      const value = choices[field];
+      if (value != null && typeof value !== 'string') {
+        errors.push(`Level ${level}: ${field} must be a feat UUID`);
+      }
+    }
+
+    for (const field of ARRAY_CHOICE_KEYS) {
+      const value = choices[field];
+      if (value == null) continue;
+      if (!Array.isArray(value) || value.some(entry => typeof entry !== 'string')) {
+        errors.push(`Level ${level}: ${field} must be a list of strings`);
+      }
+    }
+
+    const swap = choices.spellSwap;
+    if (swap != null && (typeof swap !== 'object' || typeof swap.remove !== 'string' || typeof swap.add !== 'string')) {
+      errors.push(`Level ${level}: spellSwap must have remove and add spell UUIDs`);
+    }
+
+    const gate = choices.gateThreshold;
+    if (gate != null && (typeof gate !== 'object' || !['fork', 'junction'].includes(gate.type) || typeof gate.element !== 'string' ||
+        (gate.type === 'junction' && typeof gate.junction !== 'string'))) {
+      errors.push(`Level ${level}: gateThreshold must be a fork with an element or a junction with an element and junction`);
+    }
+
+    if (choices.spells !== undefined) {
+      errors.push(`Level ${level}: nested spell choices are no longer supported`);
+    }
+  }
+
+  return { valid: errors.length === 0, errors };
+}
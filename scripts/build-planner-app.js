@@ -1,11 +1,20 @@
 // Build Planner Application
 import { MODULE_NAME, debugLog } from './module.js';
 import BuildPlanManager from './build-plan-manager.js';
+import BuildTemplateLibrary from './build-template-library.js';
+import PathbuilderImporter from './pathbuilder-importer.js';
+import BuildPlanExporter from './build-plan-exporter.js';
 import * as ClassFeaturesHelpers from './helpers/class-features-helpers.js';
 import * as VariantRulesHelpers from './helpers/variant-rules-helpers.js';
 import * as SkillsHelpers from './helpers/skills-helpers.js';
 import * as SpellHelpers from './helpers/spell-helpers.js';
 import * as SpellSlotProgression from './helpers/spell-slot-progression.js';
+import * as SpellbookHelpers from './helpers/spellbook-helpers.js';
+import * as KineticistHelpers from './helpers/kineticist-helpers.js';
+import { resolveClassProgression } from './helpers/class-progression-resolver.js';
+import { getPlannedSteps, projectActorFromPlan } from './helpers/projected-actor.js';
+import { getProjectedStats } from './helpers/projected-stats.js';
+import * as Validators from './validators.js';
 import { FeatSelectorApp } from './feat-selector.js';
 import { SpellSelectorApp } from './spell-selector.js';
 
@@ -28,7 +37,7 @@ export class BuildPlannerApp extends foundry.applications.api.HandlebarsApplicat
     // Selected level (start at current level)
     this.selectedLevel = this.currentLevel;
 
-    // View mode: 'level' or 'summary'
+    // View mode: 'level', 'summary', 'history' or 'spellbook'
     this.viewMode = 'level';
 
     // Scroll position preservation
@@ -52,11 +61,24 @@ export class BuildPlannerApp extends foundry.applications.api.HandlebarsApplicat
       selectSpell: this._onSelectSpell,
       toggleAbilityBoost: this._onToggleAbilityBoost,
       toggleSkillIncrease: this._onToggleSkillIncrease,
+      toggleRune: this._onToggleRune,
       savePlan: this._onSavePlan,
       exportPlan: this._onExportPlan,
+      publishJournal: this._onPublishJournal,
       importPlan: this._onImportPlan,
+      saveTemplate: this._onSaveTemplate,
+      openTemplates: this._onOpenTemplates,
       showSummary: this._onShowSummary,
-      showLevel: this._onShowLevel
+      showLevel: this._onShowLevel,
+      showHistory: this._onShowHistory,
+      showSpellbook: this._onShowSpellbook,
+      compareRevision: this._onCompareRevision,
+      restoreRevision: this._onRestoreRevision,
+      newPlan: this._onNewPlan,
+      duplicatePlan: this._onDuplicatePlan,
+      renamePlan: this._onRenamePlan,
+      deletePlan: this._onDeletePlan,
+      setActivePlan: this._onSetActivePlan
     }
   };
 
@@ -80,6 +102,15 @@ export class BuildPlannerApp extends foundry.applications.api.HandlebarsApplicat
     context.selectedLevel = this.selectedLevel;
     context.viewMode = this.viewMode;
 
+    // Resolve the spell progression from the class item (falling back to the tables) before any slot lookups
+    if (!this.classProgression) this.classProgression = await resolveClassProgression(this.actor);
+    context.hasSpellbook = SpellbookHelpers.hasSpellbook(this.actor);
+
+    // Plan picker
+    context.plans = BuildPlanManager.listPlans(this.actor);
+    context.currentPlanId = this.buildPlan.id;
+    context.isActivePlan = this.buildPlan.id === BuildPlanManager.getActivePlanId(this.actor);
+
     // Level navigation
     context.levels = [];
     for (let i = 1; i <= 20; i++) {
@@ -114,6 +145,12 @@ export class BuildPlannerApp extends foundry.applications.api.HandlebarsApplicat
       // Get feat slots
       context.featSlots = ClassFeaturesHelpers.getFeatSlotsForLevel(this.actor, this.selectedLevel);
 
+      // Planned feats whose prerequisites aren't met by the plan up to this level
+      context.prerequisiteWarnings = await Validators.validatePlannedFeatPrerequisites(this.actor, this.buildPlan, this.selectedLevel);
+
+      // Character statistics once this level's planned choices are taken
+      context.projectedStats = await getProjectedStats(this.actor, this.buildPlan, this.selectedLevel);
+
       // Get ability boost info
       context.abilityBoostInfo = ClassFeaturesHelpers.detectAbilityBoosts(this.actor, this.selectedLevel);
 
@@ -173,8 +210,36 @@ export class BuildPlannerApp extends foundry.applications.api.HandlebarsApplicat
             };
           }
         }
+
+        // Signature spells for the ranks picked at this level
+        const signatureSpellSelection = await SpellHelpers.getSignatureSpellChoices(
+          this.actor,
+          this.selectedLevel,
+          getPlannedSteps(this.actor, this.buildPlan, this.selectedLevel + 1),
+          levelData.choices.signatureSpells || []
+        );
+        if (signatureSpellSelection.length > 0) {
+          context.signatureSpellSelection = signatureSpellSelection;
+        }
+      }
+
+      // Kineticist gate's threshold, after the gates planned at earlier levels
+      if (KineticistHelpers.isGateThresholdLevel(this.actor, this.selectedLevel)) {
+        context.gateThreshold = KineticistHelpers.getGateThresholdOptions(
+          this.actor,
+          getPlannedSteps(this.actor, this.buildPlan, this.selectedLevel),
+          levelData.choices.gateThreshold
+        );
       }
 
+      // Runesmith runes, after the runes planned at earlier levels
+      context.runeSelection = await ClassFeaturesHelpers.getRuneSelection(
+        this.actor,
+        this.selectedLevel,
+        getPlannedSteps(this.actor, this.buildPlan, this.selectedLevel),
+        levelData.choices.runes || []
+      );
+
       // Get class features for this level and enrich HTML for @UUID links
       const rawClassFeatures = await ClassFeaturesHelpers.getClassFeaturesForLevel(this.actor, this.selectedLevel);
       debugLog('BuildPlannerApp', 'Raw class features:', rawClassFeatures);
@@ -207,30 +272,36 @@ export class BuildPlannerApp extends foundry.applications.api.HandlebarsApplicat
         context.classFeatures.push(enrichedFeature);
       }
 
-      // Resolve feat UUIDs to names for display
-      context.choicesWithNames = {};
-      for (const [key, value] of Object.entries(levelData.choices)) {
-        if (typeof value === 'string' && value.startsWith('Compendium.')) {
-          // It's a feat UUID, resolve to name
-          try {
-            const feat = await fromUuid(value);
-            context.choicesWithNames[key] = feat?.name || value;
-          } catch (e) {
-            context.choicesWithNames[key] = value;
-          }
-        } else if (Array.isArray(value) && value.length > 0 && typeof value[0] === 'string' && value[0].startsWith('Compendium.')) {
-          // Array of UUIDs (spells, etc.)
-          context.choicesWithNames[key] = [];
-          for (const uuid of value) {
-            try {
-              const item = await fromUuid(uuid);
-              context.choicesWithNames[key].push(item?.name || uuid);
-            } catch (e) {
-              context.choicesWithNames[key].push(uuid);
-            }
-          }
-        } else {
-          context.choicesWithNames[key] = value;
+      // Resolve feat and spell UUIDs to names for display
+      context.choicesWithNames = await BuildPlanExporter.resolveChoiceNames(levelData.choices);
+    } else if (this.viewMode === 'spellbook') {
+      // Spellbook view at the selected level
+      context.spellbook = await SpellbookHelpers.getSpellbook(this.actor, this.buildPlan, this.selectedLevel);
+    } else if (this.viewMode === 'history') {
+      // Revision history view
+      context.revisions = BuildPlanManager.getHistory(this.actor, this.buildPlan.id).map((revision, index) => ({
+        id: revision.id,
+        summary: revision.summary,
+        date: new Date(revision.timestamp).toLocaleString(),
+        isCurrent: index === 0,
+        isComparing: revision.id === this.compareRevisionId
+      }));
+
+      const revision = this.compareRevisionId
+        ? BuildPlanManager.getRevision(this.actor, this.buildPlan.id, this.compareRevisionId)
+        : null;
+      if (revision) {
+        context.comparison = {
+          date: new Date(revision.timestamp).toLocaleString(),
+          changes: []
+        };
+        for (const change of BuildPlanManager.diffPlans(revision.plan, this.buildPlan)) {
+          context.comparison.changes.push({
+            level: change.level,
+            label: change.label,
+            before: await this._formatPlanValue(change.before),
+            after: await this._formatPlanValue(change.after)
+          });
         }
       }
     } else {
@@ -290,16 +361,33 @@ export class BuildPlannerApp extends foundry.applications.api.HandlebarsApplicat
     return plannedIncreases;
   }
 
-  _onRender(context, options) {
-    super._onRender(context, options);
+  /**
+   * Plan the gate's threshold for the selected level
+   * @param {HTMLSelectElement} select - The gate's threshold select
+   * @private
+   */
+  _onChangeGateThreshold(select) {
+    this.buildPlan.levels[this.selectedLevel].choices.gateThreshold = KineticistHelpers.parseGateThreshold(select.value);
 
-    // Activate listeners for enriched HTML content (for @UUID links to work)
-    const element = this.element;
-    if (element) {
-      element.querySelectorAll('.class-feature-description').forEach(desc => {
-        TextEditor.activateListeners(desc);
-      });
-    }
+    this._autoSave();
+    this._saveScrollPosition();
+    this.render();
+  }
+
+  /**
+   * Replace the planned signature spell for one rank
+   * @param {HTMLSelectElement} select - The rank's signature spell select
+   * @private
+   */
+  _onChangeSignatureSpell(select) {
+    const choices = this.buildPlan.levels[this.selectedLevel].choices;
+    const rankUuids = [...select.options].map(option => option.value);
+    choices.signatureSpells = (choices.signatureSpells || []).filter(uuid => !rankUuids.includes(uuid));
+    if (select.value) choices.signatureSpells.push(select.value);
+
+    this._autoSave();
+    this._saveScrollPosition();
+    this.render();
   }
 
   /**
@@ -330,7 +418,8 @@ export class BuildPlannerApp extends foundry.applications.api.HandlebarsApplicat
     const level = parseInt(target.dataset.level);
     if (level >= 1 && level <= 20) {
       this.selectedLevel = level;
-      this.viewMode = 'level';
+      // The spellbook follows the selected level, so stay on it
+      if (this.viewMode !== 'spellbook') this.viewMode = 'level';
       this.render();
     }
   }
@@ -344,6 +433,7 @@ export class BuildPlannerApp extends foundry.applications.api.HandlebarsApplicat
 
     // Create feat selector
     const selector = new FeatSelectorApp(this.actor, featType, this.selectedLevel, currentSelection, {
+      prerequisiteActor: await projectActorFromPlan(this.actor, this.buildPlan, this.selectedLevel),
       onSelect: async (featUuid) => {
         // Update build plan with selection
         this.buildPlan.levels[this.selectedLevel].choices[featType] = featUuid;
@@ -450,6 +540,42 @@ export class BuildPlannerApp extends foundry.applications.api.HandlebarsApplicat
     this.render();
   }
 
+  /**
+   * Toggle a planned rune for the runic repertoire
+   */
+  static async _onToggleRune(event, target) {
+    const uuid = target.dataset.uuid;
+    const choices = this.buildPlan.levels[this.selectedLevel].choices;
+
+    if (!choices.runes) {
+      choices.runes = [];
+    }
+
+    const index = choices.runes.indexOf(uuid);
+    if (index > -1) {
+      choices.runes.splice(index, 1);
+    } else {
+      // Check limit
+      const selection = await ClassFeaturesHelpers.getRuneSelection(
+        this.actor,
+        this.selectedLevel,
+        getPlannedSteps(this.actor, this.buildPlan, this.selectedLevel),
+        choices.runes
+      );
+      const maxRunes = selection?.maxRunes ?? 0;
+      if (choices.runes.length < maxRunes) {
+        choices.runes.push(uuid);
+      } else {
+        ui.notifications.warn(`You can only add ${maxRunes} rune(s) at level ${this.selectedLevel}.`);
+        return;
+      }
+    }
+
+    this._autoSave();
+    this._saveScrollPosition();
+    this.render();
+  }
+
   /**
    * Save plan manually
    */
@@ -467,11 +593,70 @@ export class BuildPlannerApp extends foundry.applications.api.HandlebarsApplicat
    * Export plan
    */
   static async _onExportPlan(event, target) {
-    const json = BuildPlanManager.exportPlan(this.buildPlan);
+    new Dialog({
+      title: 'Export Build Plan',
+      content: `
+        <p>Choose an export format:</p>
+        <ul>
+          <li><strong>JSON</strong> - copied to the clipboard, for importing into another planner</li>
+          <li><strong>Markdown</strong> - copied to the clipboard, for sharing in chat or Discord</li>
+          <li><strong>HTML</strong> - downloaded as a printable progression sheet</li>
+        </ul>
+      `,
+      buttons: {
+        json: {
+          icon: '<i class="fas fa-code"></i>',
+          label: 'JSON',
+          callback: () => this._copyToClipboard(BuildPlanManager.exportPlan(this.buildPlan), 'Build plan exported to clipboard!')
+        },
+        markdown: {
+          icon: '<i class="fab fa-markdown"></i>',
+          label: 'Markdown',
+          callback: async () => {
+            await this._flushAutoSave();
+            const markdown = await BuildPlanExporter.toMarkdown(this.actor, this.buildPlan);
+            this._copyToClipboard(markdown, 'Progression sheet copied to clipboard as Markdown!');
+          }
+        },
+        html: {
+          icon: '<i class="fas fa-file-code"></i>',
+          label: 'HTML',
+          callback: async () => {
+            await this._flushAutoSave();
+            const html = await BuildPlanExporter.toHTML(this.actor, this.buildPlan);
+            const filename = `${this.actor.name}-${this.buildPlan.name}`.slugify() || 'build-plan';
+            foundry.utils.saveDataToFile(html, 'text/html', `${filename}.html`);
+          }
+        }
+      },
+      default: 'markdown'
+    }).render(true);
+  }
+
+  /**
+   * Publish the plan to a journal entry (updates the existing one on later publishes)
+   */
+  static async _onPublishJournal(event, target) {
+    try {
+      await this._flushAutoSave();
+      const republish = !!BuildPlanExporter.findPublishedJournal(this.actor, this.buildPlan);
+      const journal = await BuildPlanExporter.publishToJournal(this.actor, this.buildPlan);
+      ui.notifications.success(`${republish ? 'Updated' : 'Published'} journal "${journal.name}"`);
+      journal.sheet.render(true);
+    } catch (error) {
+      console.error(`${MODULE_NAME} | Error publishing plan to journal:`, error);
+      ui.notifications.error(`Failed to publish plan: ${error.message}`);
+    }
+  }
 
-    // Copy to clipboard
-    navigator.clipboard.writeText(json).then(() => {
-      ui.notifications.success('Build plan exported to clipboard!');
+  /**
+   * Copy text to the clipboard and report the result
+   * @param {string} text - Text to copy
+   * @param {string} message - Success notification
+   */
+  _copyToClipboard(text, message) {
+    navigator.clipboard.writeText(text).then(() => {
+      ui.notifications.success(message);
     }).catch(err => {
       console.error(`${MODULE_NAME} | Failed to copy to clipboard:`, err);
       ui.notifications.error('Failed to copy to clipboard');
@@ -485,7 +670,7 @@ export class BuildPlannerApp extends foundry.applications.api.HandlebarsApplicat
     new Dialog({
       title: 'Import Build Plan',
       content: `
-        <p>Paste your build plan JSON below:</p>
+        <p>Paste a build plan or a Pathbuilder 2e export (Menu &rarr; Export JSON) below:</p>
         <textarea id="import-json" style="width: 100%; height: 200px; font-family: monospace;"></textarea>
       `,
       buttons: {
@@ -495,8 +680,18 @@ export class BuildPlannerApp extends foundry.applications.api.HandlebarsApplicat
           callback: async (html) => {
             try {
               const json = html.find('#import-json').val();
+              if (PathbuilderImporter.isPathbuilderExport(json)) {
+                await this._importPathbuilder(json);
+                return;
+              }
+
               const plan = BuildPlanManager.importPlan(json);
 
+              // Imported plans are added alongside existing ones rather than replacing them
+              plan.id = foundry.utils.randomID();
+              plan.name = plan.name || 'Imported Plan';
+
+              await this._flushAutoSave();
               this.buildPlan = plan;
               await BuildPlanManager.savePlan(this.actor, this.buildPlan);
 
@@ -518,6 +713,214 @@ export class BuildPlannerApp extends foundry.applications.api.HandlebarsApplicat
     }).render(true);
   }
 
+  /**
+   * Create a new plan from a Pathbuilder export and show what could not be matched
+   * @param {string} json - Pathbuilder export JSON
+   */
+  async _importPathbuilder(json) {
+    ui.notifications.info('Importing Pathbuilder build...');
+    const { plan, report } = await PathbuilderImporter.importBuild(this.actor, json);
+
+    await this._flushAutoSave();
+    this.buildPlan = plan;
+    await BuildPlanManager.savePlan(this.actor, this.buildPlan, { summary: 'Imported from Pathbuilder' });
+    this.viewMode = 'level';
+    this.render();
+
+    if (report.unmatched.length === 0 && report.notes.length === 0) {
+      ui.notifications.success('Pathbuilder build imported successfully!');
+      return;
+    }
+
+    const rows = report.unmatched.map(entry => `
+      <tr>
+        <td>${entry.level ?? '—'}</td>
+        <td>${entry.kind}</td>
+        <td>${foundry.utils.escapeHTML(entry.name)}</td>
+        <td>${foundry.utils.escapeHTML(entry.reason)}</td>
+      </tr>`).join('');
+
+    new Dialog({
+      title: 'Pathbuilder Import Report',
+      content: `
+        <p>Created plan <strong>${foundry.utils.escapeHTML(plan.name)}</strong>.</p>
+        ${report.unmatched.length ? `
+        <p>These entries could not be added to the plan:</p>
+        <table class="import-report-table">
+          <thead><tr><th>Level</th><th>Type</th><th>Name</th><th>Reason</th></tr></thead>
+          <tbody>${rows}</tbody>
+        </table>` : ''}
+        ${report.notes.length ? `<ul>${report.notes.map(note => `<li>${foundry.utils.escapeHTML(note)}</li>`).join('')}</ul>` : ''}
+      `,
+      buttons: {
+        ok: {
+          icon: '<i class="fas fa-check"></i>',
+          label: 'OK'
+        }
+      },
+      default: 'ok'
+    }, { width: 600 }).render(true);
+  }
+
+  /**
+   * Save the current plan to the world template library
+   */
+  static async _onSaveTemplate(event, target) {
+    const details = await new Promise(resolve => {
+      new Dialog({
+        title: 'Save as Build Template',
+        content: `
+          <p>Templates are shared with everyone in this world and can be applied to any actor of the same class.</p>
+          <div class="form-group">
+            <label for="template-name">Template Name</label>
+            <input type="text" id="template-name" value="${foundry.utils.escapeHTML(this.buildPlan.name)}" autofocus>
+          </div>
+          <div class="form-group">
+            <label for="template-description">Description</label>
+            <input type="text" id="template-description" placeholder="e.g. Sword & Board 1-20">
+          </div>
+        `,
+        buttons: {
+          save: {
+            icon: '<i class="fas fa-book"></i>',
+            label: 'Save Template',
+            callback: (html) => resolve({
+              name: html.find('#template-name').val()?.trim(),
+              description: html.find('#template-description').val()?.trim() || ''
+            })
+          },
+          cancel: {
+            icon: '<i class="fas fa-times"></i>',
+            label: 'Cancel',
+            callback: () => resolve(null)
+          }
+        },
+        default: 'save',
+        close: () => resolve(null)
+      }).render(true);
+    });
+    if (!details?.name) return;
+
+    try {
+      await this._flushAutoSave();
+      await BuildTemplateLibrary.saveTemplate(this.actor, this.buildPlan, details);
+      ui.notifications.success(game.user.isGM
+        ? `Saved build template "${details.name}"`
+        : `Sent build template "${details.name}" to the GM for saving`);
+    } catch (error) {
+      console.error(`${MODULE_NAME} | Error saving template:`, error);
+      ui.notifications.error(`Failed to save template: ${error.message}`);
+    }
+  }
+
+  /**
+   * Browse the world template library and apply a template as a new plan
+   */
+  static async _onOpenTemplates(event, target) {
+    const classItem = this.actor.items.find(i => i.type === 'class');
+    const classSlug = classItem ? (classItem.slug || classItem.name.toLowerCase().replace(/\s+/g, '-')) : null;
+    const templates = BuildTemplateLibrary.listTemplates({ classSlug });
+
+    const rows = templates.map(template => `
+      <li class="template-library-item">
+        <div class="template-library-info">
+          <strong>${foundry.utils.escapeHTML(template.name)}</strong>
+          <span class="template-library-meta">${foundry.utils.escapeHTML(template.className ?? 'Any class')} · by ${foundry.utils.escapeHTML(template.authorName ?? 'Unknown')}</span>
+          ${template.description ? `<span class="template-library-description">${foundry.utils.escapeHTML(template.description)}</span>` : ''}
+        </div>
+        <div class="template-library-actions">
+          <button type="button" data-template-action="apply" data-template-id="${template.id}"><i class="fas fa-file-import"></i> Apply</button>
+          ${BuildTemplateLibrary.canDelete(template) ? `<button type="button" data-template-action="delete" data-template-id="${template.id}" title="Delete template"><i class="fas fa-trash"></i></button>` : ''}
+        </div>
+      </li>`).join('');
+
+    const dialog = new Dialog({
+      title: 'Build Template Library',
+      content: templates.length
+        ? `<ul class="template-library-list">${rows}</ul>`
+        : `<p><em>No templates for ${classItem?.name ?? 'this actor'} yet. Use "Save as Template" to add one.</em></p>`,
+      buttons: {
+        close: {
+          icon: '<i class="fas fa-times"></i>',
+          label: 'Close'
+        }
+      },
+      default: 'close',
+      render: (html) => {
+        html.find('[data-template-action]').on('click', async (clickEvent) => {
+          const { templateAction, templateId } = clickEvent.currentTarget.dataset;
+          dialog.close();
+          if (templateAction === 'apply') await this._applyTemplate(templateId);
+          else await this._deleteTemplate(templateId);
+        });
+      }
+    }, { classes: ['dialog', 'template-library-dialog'] });
+    dialog.render(true);
+  }
+
+  /**
+   * Create a new plan from a template, switch to it and report any conflicts
+   * @param {string} templateId - Template to apply
+   */
+  async _applyTemplate(templateId) {
+    try {
+      await this._flushAutoSave();
+      const { plan, conflicts } = await BuildTemplateLibrary.applyTemplate(this.actor, templateId);
+
+      this.buildPlan = plan;
+      this.viewMode = 'level';
+      this.scrollPosition = 0;
+      this.render();
+
+      if (conflicts.length === 0) {
+        ui.notifications.success(`Created plan "${plan.name}" from template`);
+        return;
+      }
+
+      new Dialog({
+        title: 'Template Conflicts',
+        content: `
+          <p>Created plan <strong>${foundry.utils.escapeHTML(plan.name)}</strong>, but some template choices were left out:</p>
+          <ul>${conflicts.map(conflict => `<li>Level ${conflict.level}: ${foundry.utils.escapeHTML(conflict.message)}</li>`).join('')}</ul>
+          <p>Review those levels and pick replacements.</p>
+        `,
+        buttons: {
+          ok: {
+            icon: '<i class="fas fa-check"></i>',
+            label: 'OK'
+          }
+        },
+        default: 'ok'
+      }).render(true);
+    } catch (error) {
+      console.error(`${MODULE_NAME} | Error applying template:`, error);
+      ui.notifications.error(`Failed to apply template: ${error.message}`);
+    }
+  }
+
+  /**
+   * Delete a template from the library after confirmation
+   * @param {string} templateId - Template to delete
+   */
+  async _deleteTemplate(templateId) {
+    const template = BuildTemplateLibrary.getTemplate(templateId);
+    if (!template) return;
+
+    const confirmed = await Dialog.confirm({
+      title: 'Delete Build Template',
+      content: `<p>Delete the template <strong>${foundry.utils.escapeHTML(template.name)}</strong> for everyone in this world?</p>`
+    });
+    if (!confirmed) return;
+
+    try {
+      await BuildTemplateLibrary.deleteTemplate(templateId);
+      ui.notifications.info(`Deleted build template "${template.name}"`);
+    } catch (error) {
+      console.error(`${MODULE_NAME} | Error deleting template:`, error);
+      ui.notifications.error(`Failed to delete template: ${error.message}`);
+    }
+  }
+
   /**
    * Show summary view
    */
@@ -534,6 +937,254 @@ export class BuildPlannerApp extends foundry.applications.api.HandlebarsApplicat
     this.render();
   }
 
+  /**
+   * Show revision history view
+   */
+  static async _onShowHistory(event, target) {
+    // Make sure the latest edits are in the history before showing it
+    await this._flushAutoSave();
+    this.viewMode = 'history';
+    this.compareRevisionId = null;
+    this.render();
+  }
+
+  /**
+   * Show spellbook view
+   */
+  static async _onShowSpellbook(event, target) {
+    this.viewMode = 'spellbook';
+    this.render();
+  }
+
+  /**
+   * Compare a revision against the current plan
+   */
+  static async _onCompareRevision(event, target) {
+    const revisionId = target.dataset.revisionId;
+    this.compareRevisionId = this.compareRevisionId === revisionId ? null : revisionId;
+    this.render();
+  }
+
+  /**
+   * Restore the plan to an earlier revision
+   */
+  static async _onRestoreRevision(event, target) {
+    const revision = BuildPlanManager.getRevision(this.actor, this.buildPlan.id, target.dataset.revisionId);
+    if (!revision) return;
+
+    const confirmed = await Dialog.confirm({
+      title: 'Restore Revision',
+      content: `<p>Restore <strong>${this.buildPlan.name}</strong> to the revision from ${new Date(revision.timestamp).toLocaleString()}?</p>
+        <p>The current version stays in the history, so this can be undone.</p>`
+    });
+    if (!confirmed) return;
+
+    try {
+      await this._flushAutoSave();
+      this.buildPlan = await BuildPlanManager.restoreRevision(this.actor, this.buildPlan.id, revision.id);
+      this.compareRevisionId = null;
+      ui.notifications.success('Build plan restored');
+      this.render();
+    } catch (error) {
+      console.error(`${MODULE_NAME} | Error restoring revision:`, error);
+      ui.notifications.error(`Failed to restore revision: ${error.message}`);
+    }
+  }
+
+  /**
+   * Format a plan value for display, resolving item UUIDs to names
+   * @param {*} value - Choice value
+   * @returns {Promise<string>} Display text
+   */
+  async _formatPlanValue(value) {
+    if (value === null || value === undefined || value === '' || (Array.isArray(value) && value.length === 0)) {
+      return '—';
+    }
+    if (typeof value === 'boolean') {
+      return value ? 'Yes' : 'No';
+    }
+    if (typeof value === 'string') {
+      if (!value.startsWith('Compendium.') && !value.startsWith('Item.')) return value;
+      try {
+        const item = await fromUuid(value);
+        return item?.name || value;
+      } catch (e) {
+        return value;
+      }
+    }
+    if (Array.isArray(value)) {
+      const parts = [];
+      for (const entry of value) parts.push(await this._formatPlanValue(entry));
+      return parts.join(', ');
+    }
+    // Gate's threshold ({ type, element, junction })
+    if (value.type && value.element) {
+      return KineticistHelpers.describeGateThreshold(value) ?? '—';
+    }
+    // Nested spell lists ({ cantrips: [], rank1: [] })
+    const parts = [];
+    for (const list of Object.values(value)) {
+      if (Array.isArray(list) && list.length) parts.push(await this._formatPlanValue(list));
+    }
+    return parts.join(', ') || '—';
+  }
+
+  /**
+   * Create a new empty plan and switch to it
+   */
+  static async _onNewPlan(event, target) {
+    const name = await this._promptPlanName('New Build Plan', `Plan ${BuildPlanManager.listPlans(this.actor).length + 1}`);
+    if (!name) return;
+
+    try {
+      await this._flushAutoSave();
+      this.buildPlan = await BuildPlanManager.createNamedPlan(this.actor, name);
+      this.render();
+    } catch (error) {
+      console.error(`${MODULE_NAME} | Error creating plan:`, error);
+      ui.notifications.error(`Failed to create plan: ${error.message}`);
+    }
+  }
+
+  /**
+   * Copy the current plan and switch to the copy
+   */
+  static async _onDuplicatePlan(event, target) {
+    const name = await this._promptPlanName('Duplicate Build Plan', `${this.buildPlan.name} (Copy)`);
+    if (!name) return;
+
+    try {
+      await this._flushAutoSave();
+      this.buildPlan = await BuildPlanManager.duplicatePlan(this.actor, this.buildPlan.id, name);
+      this.render();
+    } catch (error) {
+      console.error(`${MODULE_NAME} | Error duplicating plan:`, error);
+      ui.notifications.error(`Failed to duplicate plan: ${error.message}`);
+    }
+  }
+
+  /**
+   * Rename the current plan
+   */
+  static async _onRenamePlan(event, target) {
+    const name = await this._promptPlanName('Rename Build Plan', this.buildPlan.name);
+    if (!name) return;
+
+    try {
+      await this._flushAutoSave();
+      this.buildPlan = await BuildPlanManager.renamePlan(this.actor, this.buildPlan.id, name);
+      this.render();
+    } catch (error) {
+      console.error(`${MODULE_NAME} | Error renaming plan:`, error);
+      ui.notifications.error(`Failed to rename plan: ${error.message}`);
+    }
+  }
+
+  /**
+   * Delete the current plan and switch to the active one
+   */
+  static async _onDeletePlan(event, target) {
+    const confirmed = await Dialog.confirm({
+      title: 'Delete Build Plan',
+      content: `<p>Delete the build plan <strong>${this.buildPlan.name}</strong>? This cannot be undone.</p>`
+    });
+    if (!confirmed) return;
+
+    try {
+      if (this._saveTimeout) clearTimeout(this._saveTimeout);
+      this._saveTimeout = null;
+
+      await BuildPlanManager.deletePlan(this.actor, this.buildPlan.id);
+
+      this.buildPlan = BuildPlanManager.loadPlan(this.actor);
+      if (!this.buildPlan) {
+        this.buildPlan = await BuildPlanManager.createNamedPlan(this.actor);
+      }
+      this.render();
+    } catch (error) {
+      console.error(`${MODULE_NAME} | Error deleting plan:`, error);
+      ui.notifications.error(`Failed to delete plan: ${error.message}`);
+    }
+  }
+
+  /**
+   * Make the current plan the one used when leveling up
+   */
+  static async _onSetActivePlan(event, target) {
+    try {
+      await this._flushAutoSave();
+      await BuildPlanManager.setActivePlan(this.actor, this.buildPlan.id);
+      ui.notifications.info(`"${this.buildPlan.name}" is now the active build plan`);
+      this.render();
+    } catch (error) {
+      console.error(`${MODULE_NAME} | Error setting active plan:`, error);
+      ui.notifications.error(`Failed to set active plan: ${error.message}`);
+    }
+  }
+
+  /**
+   * Switch the planner to another stored plan
+   * @param {string} planId - Plan to show
+   */
+  async _switchPlan(planId) {
+    if (planId === this.buildPlan.id) return;
+
+    await this._flushAutoSave();
+    const plan = BuildPlanManager.loadPlan(this.actor, planId);
+    if (!plan) return;
+
+    this.buildPlan = plan;
+    this.compareRevisionId = null;
+    this.scrollPosition = 0;
+    this.render();
+  }
+
+  /**
+   * Ask for a plan name
+   * @param {string} title - Dialog title
+   * @param {string} defaultName - Pre-filled name
+   * @returns {Promise<string|null>} Trimmed name, or null if cancelled
+   */
+  _promptPlanName(title, defaultName = '') {
+    return new Promise(resolve => {
+      new Dialog({
+        title,
+        content: `
+          <div class="form-group">
+            <label for="plan-name">Plan Name</label>
+            <input type="text" id="plan-name" value="${foundry.utils.escapeHTML(defaultName)}" autofocus>
+          </div>
+        `,
+        buttons: {
+          ok: {
+            icon: '<i class="fas fa-check"></i>',
+            label: 'OK',
+            callback: (html) => resolve(html.find('#plan-name').val()?.trim() || null)
+          },
+          cancel: {
+            icon: '<i class="fas fa-times"></i>',
+            label: 'Cancel',
+            callback: () => resolve(null)
+          }
+        },
+        default: 'ok',
+        close: () => resolve(null)
+      }).render(true);
+    });
+  }
+
+  /**
+   * Save immediately if an auto-save is pending (before switching plans)
+   * @returns {Promise<void>}
+   */
+  async _flushAutoSave() {
+    if (!this._saveTimeout) return;
+
+    clearTimeout(this._saveTimeout);
+    this._saveTimeout = null;
+    await BuildPlanManager.savePlan(this.actor, this.buildPlan);
+  }
+
   /**
    * Auto-save with debounce
    */
@@ -543,6 +1194,7 @@ export class BuildPlannerApp extends foundry.applications.api.HandlebarsApplicat
     }
 
     this._saveTimeout = setTimeout(async () => {
+      this._saveTimeout = null;
       try {
         await BuildPlanManager.savePlan(this.actor, this.buildPlan);
         debugLog('BuildPlannerApp', 'Auto-saved plan');
@@ -574,6 +1226,24 @@ export class BuildPlannerApp extends foundry.applications.api.HandlebarsApplicat
 
     const element = this.element;
     if (element) {
+      // Plan picker switches which plan is being edited
+      element.querySelector('.plan-picker-select')?.addEventListener('change', (event) => {
+        this._switchPlan(event.target.value);
+      });
+
+      // Activate listeners for enriched HTML content (for @UUID links to work)
+      element.querySelectorAll('.class-feature-description').forEach(desc => {
+        TextEditor.activateListeners(desc);
+      });
+
+      element.querySelectorAll('select[data-signature-rank]').forEach(select => {
+        select.addEventListener('change', (event) => this._onChangeSignatureSpell(event.currentTarget));
+      });
+
+      element.querySelector('select[data-gate-threshold]')?.addEventListener('change', (event) => {
+        this._onChangeGateThreshold(event.currentTarget);
+      });
+
       // Restore scroll position after render
       const contentContainer = element.querySelector('.build-planner-content');
       if (contentContainer && this.scrollPosition > 0) {
@@ -0,0 +1,306 @@
+// Build Template Library - World-scoped reusable build plans shared between actors
+import { MODULE_NAME, debugLog } from './module.js';
+import BuildPlanManager from './build-plan-manager.js';
+import { FEAT_CHOICE_KEYS, migratePlan } from './build-plan-schema.js';
+import { getClassSlug } from './helpers/class-features-helpers.js';
+
+// World setting holding { [templateId]: template }
+const LIBRARY_SETTING = 'build-templates';
+
+// Socket message types handled by the active GM on behalf of players
+const SOCKET_SAVE = 'saveTemplate';
+const SOCKET_DELETE = 'deleteTemplate';
+
+/**
+ * BuildTemplateLibrary - Stores build templates in a world setting
+ * Players cannot write world settings, so their changes are relayed to the active GM over the module socket.
+ *
+ * Template shape: { id, name, description, classSlug, className, authorId, authorName, createdAt, plan }
+ */
+export class BuildTemplateLibrary {
+  /**
+   * Listen for template changes relayed by players (called once on ready)
+   */
+  static registerSocket() {
+    // The server passes the sending user's id as the second argument, so it can't be forged by the sender
+    game.socket.on(`module.${MODULE_NAME}`, (data, senderId) => this._onSocketMessage(data, senderId));
+  }
+
+  /**
+   * List templates in the library
+   * @param {Object} options - Filter options
+   * @param {string} options.classSlug - Only templates for this class (templates without a class always match)
+   * @returns {Array<Object>} Templates sorted by name
+   */
+  static listTemplates({ classSlug = null } = {}) {
+    return Object.values(this._getLibrary())
+      .filter(template => !classSlug || !template.classSlug || template.classSlug === classSlug)
+      .sort((a, b) => a.name.localeCompare(b.name));
+  }
+
+  /**
+   * Get a single template
+   * @param {string} templateId - Template id
+   * @returns {Object|null} Template or null
+   */
+  static getTemplate(templateId) {
+    return this._getLibrary()[templateId] ?? null;
+  }
+
+  /**
+   * Save an actor's plan into the library
+   * Applied state is cleared so the template starts fresh on every actor.
+   * @param {Actor} actor - The actor the plan belongs to (provides the class)
+   * @param {Object} plan - The build plan
+   * @param {Object} options - Template details
+   * @param {string} options.name - Template name (defaults to the plan name)
+   * @param {string} options.description - Short description
+   * @returns {Promise<Object>} The saved template
+   */
+  static async saveTemplate(actor, plan, { name = null, description = '' } = {}) {
+    const classItem = actor.items.find(i => i.type === 'class');
+
+    const templatePlan = foundry.utils.deepClone(plan);
+    for (const levelData of Object.values(templatePlan.levels)) {
+      levelData.applied = false;
+    }
+    delete templatePlan.id;
+    delete templatePlan.lastModified;
+
+    const template = {
+      id: foundry.utils.randomID(),
+      name: name || plan.name,
+      description,
+      classSlug: classItem ? getClassSlug(classItem) : null,
+      className: classItem?.name ?? null,
+      authorId: game.user.id,
+      authorName: game.user.name,
+      createdAt: Date.now(),
+      plan: templatePlan
+    };
+
+    await this._write(SOCKET_SAVE, { template });
+
+    debugLog('BuildTemplateLibrary.saveTemplate', `Saved template "${template.name}"`, template);
+    return template;
+  }
+
+  /**
+   * Remove a template from the library (GM or the template's author)
+   * @param {string} templateId - Template id
+   * @returns {Promise<void>}
+   */
+  static async deleteTemplate(templateId) {
+    const template = this.getTemplate(templateId);
+    if (!template) {
+      throw new Error(`Build template not found: ${templateId}`);
+    }
+    if (!this.canDelete(template)) {
+      throw new Error('Only the GM or the template author can delete this template');
+    }
+
+    await this._write(SOCKET_DELETE, { templateId });
+
+    debugLog('BuildTemplateLibrary.deleteTemplate', `Deleted template "${template.name}"`);
+  }
+
+  /**
+   * Check whether the current user may delete a template
+   * @param {Object} template - Template
+   * @returns {boolean} True for the GM and the template author
+   */
+  static canDelete(template) {
+    return game.user.isGM || template.authorId === game.user.id;
+  }
+
+  /**
+   * Create a new plan on an actor from a template
+   * Template choices are copied level by level. Choices the actor cannot use are dropped and reported:
+   * levels the actor has already applied (the sheet is left as it is), feat slots for variant rules that are off
+   * in this world, and feats the actor already has.
+   * @param {Actor} actor - The actor
+   * @param {string} templateId - Template id
+   * @param {Object} options - Apply options
+   * @param {string} options.name - Plan name (defaults to the template name)
+   * @returns {Promise<Object>} { plan, conflicts: Array<{ level, label, message }> }
+   */
+  static async applyTemplate(actor, templateId, { name = null } = {}) {
+    const template = this.getTemplate(templateId);
+    if (!template) {
+      throw new Error(`Build template not found: ${templateId}`);
+    }
+
+    const classItem = actor.items.find(i => i.type === 'class');
+    if (template.classSlug && (!classItem || getClassSlug(classItem) !== template.classSlug)) {
+      throw new Error(`Template "${template.name}" is for ${template.className ?? template.classSlug} characters`);
+    }
+
+    const source = migratePlan(template.plan);
+    const plan = BuildPlanManager.createNewPlan(actor, name || template.name);
+    const conflicts = [];
+
+    for (let level = 1; level <= 20; level++) {
+      const sourceLevel = source.levels[level];
+      if (!sourceLevel) continue;
+
+      const target = plan.levels[level];
+
+      // Applied levels keep what is on the sheet rather than choices that would disagree with it
+      if (target.applied) {
+        if (BuildPlanManager.hasChoicesForLevel(source, level)) {
+          conflicts.push({ level, label: `Level ${level}`, message: `Skipped: ${actor.name} has already applied this level` });
+        }
+        continue;
+      }
+
+      target.notes = sourceLevel.notes || '';
+
+      for (const [field, value] of Object.entries(sourceLevel.choices)) {
+        if (!FEAT_CHOICE_KEYS.includes(field)) {
+          target.choices[field] = foundry.utils.deepClone(value);
+          continue;
+        }
+        if (!value) continue;
+
+        const label = BuildPlanManager.getFieldLabel(field);
+
+        // createNewPlan leaves feat slots for disabled variant rules undefined
+        if (target.choices[field] === undefined) {
+          conflicts.push({ level, label, message: `${label} dropped: the variant rule is not enabled in this world` });
+          continue;
+        }
+
+        const owned = await this._findOwnedFeat(actor, value);
+        if (owned) {
+          conflicts.push({ level, label, message: `${owned.name} dropped: ${actor.name} already has this feat` });
+          continue;
+        }
+
+        target.choices[field] = value;
+      }
+    }
+
+    await BuildPlanManager.savePlan(actor, plan, { summary: `Created from template "${template.name}"` });
+
+    debugLog('BuildTemplateLibrary.applyTemplate', `Applied template "${template.name}" to ${actor.name}`, conflicts);
+    return { plan, conflicts };
+  }
+
+  /**
+   * Find a feat the actor already owns that matches a planned feat
+   * @param {Actor} actor - The actor
+   * @param {string} featUuid - Planned feat UUID
+   * @returns {Promise<Item|undefined>} The owned feat
+   * @private
+   */
+  static async _findOwnedFeat(actor, featUuid) {
+    let feat = null;
+    try {
+      feat = await fromUuid(featUuid);
+    } catch (error) {
+      debugLog('BuildTemplateLibrary._findOwnedFeat', `Could not resolve ${featUuid}`, error);
+    }
+
+    return actor.items.find(i =>
+      i.type === 'feat' && (
+        i.sourceId === featUuid ||
+        i.flags?.core?.sourceId === featUuid ||
+        (feat && i.name === feat.name)
+      )
+    );
+  }
+
+  /**
+   * Read the library setting
+   * @returns {Object} { [templateId]: template }
+   * @private
+   */
+  static _getLibrary() {
+    return foundry.utils.deepClone(game.settings.get(MODULE_NAME, LIBRARY_SETTING) ?? {});
+  }
+
+  /**
+   * Apply a library change, directly as GM or through the active GM otherwise
+   * @param {string} type - SOCKET_SAVE or SOCKET_DELETE
+   * @param {Object} payload - { template } or { templateId }
+   * @returns {Promise<void>}
+   * @private
+   */
+  static async _write(type, payload) {
+    if (game.user.isGM) {
+      await this._applyChange(type, payload);
+      return;
+    }
+
+    if (!game.users.activeGM) {
+      throw new Error('A GM must be online to change the template library');
+    }
+
+    game.socket.emit(`module.${MODULE_NAME}`, { type, payload });
+  }
+
+  /**
+   * Write a library change to the world setting (GM only)
+   * @param {string} type - SOCKET_SAVE or SOCKET_DELETE
+   * @param {Object} payload - { template } or { templateId }
+   * @returns {Promise<void>}
+   * @private
+   */
+  static async _applyChange(type, payload) {
+    const library = this._getLibrary();
+
+    if (type === SOCKET_SAVE) {
+      library[payload.template.id] = payload.template;
+    } else if (type === SOCKET_DELETE) {
+      delete library[payload.templateId];
+    } else {
+      return;
+    }
+
+    await game.settings.set(MODULE_NAME, LIBRARY_SETTING, library);
+  }
+
+  /**
+   * Handle a library change relayed by a player
+   * @param {Object} data - { type, payload }
+   * @param {string} senderId - Id of the user who sent the message, as reported by the server
+   * @private
+   */
+  static async _onSocketMessage(data, senderId) {
+    if (![SOCKET_SAVE, SOCKET_DELETE].includes(data?.type)) return;
+    if (!game.users.activeGM?.isSelf) return;
+
+    const sender = game.users.get(senderId);
+    if (!sender) return;
+
+    // Players may only save templates in their own name and change or delete their own templates
+    if (data.type === SOCKET_SAVE) {
+      const template = data.payload?.template;
+      if (!template?.id) return;
+
+      const existing = this.getTemplate(template.id);
+      if (existing && existing.authorId !== sender.id && !sender.isGM) {
+        console.warn(`${MODULE_NAME} | ${sender.name} tried to overwrite build template "${existing.name}" by ${existing.authorName}`);
+        return;
+      }
+
+      template.authorId = sender.id;
+      template.authorName = sender.name;
+    } else {
+      const existing = this.getTemplate(data.payload?.templateId);
+      if (!existing) return;
+      if (existing.authorId !== sender.id && !sender.isGM) {
+        console.warn(`${MODULE_NAME} | ${sender.name} tried to delete build template "${existing.name}" by ${existing.authorName}`);
+        return;
+      }
+    }
+
+    try {
+      await this._applyChange(data.type, data.payload);
+    } catch (error) {
+      console.error(`${MODULE_NAME} | Failed to update build template library:`, error);
+    }
+  }
+}
+
+export default BuildTemplateLibrary;
@@ -0,0 +1,209 @@
+// Class Progression Registry - Spellcasting progressions by class slug, extensible by other modules and world settings
+import { MODULE_NAME, debugLog } from './module.js';
+
+// World setting holding a JSON object of { [classSlug]: progression }
+const WORLD_SETTING = 'custom-class-progressions';
+
+// Valid learning rules (see getSpellsToLearnAtLevel)
+const LEARNING_RULES = ['prepared', 'spontaneous', 'auto'];
+
+// Lookup order: data read from the class item (see class-progression-resolver.js) overrides world settings,
+// which override other modules, which override the built-in tables
+const SOURCES = ['class-item', 'world', 'module', 'built-in'];
+
+// Sources that are hand-maintained tables rather than the class item's own data
+export const TABLE_SOURCES = ['world', 'module', 'built-in'];
+
+/**
+ * ClassProgressionRegistry - Holds the spell slot tables and learning rules for each class slug
+ *
+ * Progression shape:
+ * {
+ *   spellSlots: { [level]: { [rank]: slots } },
+ *   learningRule: 'prepared' | 'spontaneous' | 'auto',
+ *   isWaveCaster: boolean,          // Loses lower-rank slots as it levels (Magus, Summoner)
+ *   hasDualSpellLists: boolean,     // Casts from a second list as well (Animist)
+ *   apparitionSlots: { [level]: { [rank]: slots } }  // Slots for the second list
+ * }
+ *
+ * Other modules register from the `intrinsics-pf2e-level-up-wizard.registerClassProgressions` hook:
+ *   Hooks.on('intrinsics-pf2e-level-up-wizard.registerClassProgressions', registry => registry.register('my-class', {...}));
+ */
+export class ClassProgressionRegistry {
+  static _progressions = Object.fromEntries(SOURCES.map(source => [source, new Map()]));
+
+  /**
+   * Register a progression for a class slug
+   * @param {string} classSlug - Class slug
+   * @param {Object} progression - Progression (see class description)
+   * @param {Object} options - Registration options
+   * @param {string} options.source - 'module' (default), 'world', 'built-in' or 'class-item'
+   * @returns {Object} The normalized progression
+   * @throws {Error} If the slug, source or progression is invalid
+   */
+  static register(classSlug, progression, { source = 'module' } = {}) {
+    if (typeof classSlug !== 'string' || !classSlug) {
+      throw new Error('Class progression needs a class slug');
+    }
+    if (!SOURCES.includes(source)) {
+      throw new Error(`Unknown class progression source "${source}"`);
+    }
+
+    const normalized = normalizeProgression(classSlug, progression);
+    this._progressions[source].set(classSlug, normalized);
+
+    debugLog('ClassProgressionRegistry.register', `Registered ${source} progression for "${classSlug}"`, normalized);
+    return normalized;
+  }
+
+  /**
+   * Remove a registered progression
+   * @param {string} classSlug - Class slug
+   * @param {Object} options - Options
+   * @param {string} options.source - Source to remove it from (default 'module')
+   * @returns {boolean} True if a progression was removed
+   */
+  static unregister(classSlug, { source = 'module' } = {}) {
+    return this._progressions[source]?.delete(classSlug) ?? false;
+  }
+
+  /**
+   * Get the progression for a class slug
+   * @param {string} classSlug - Class slug
+   * @param {Object} options - Options
+   * @param {Array<string>} options.sources - Only look in these sources (defaults to all, in lookup order)
+   * @returns {Object|null} Progression or null
+   */
+  static get(classSlug, { sources = SOURCES } = {}) {
+    for (const source of SOURCES.filter(s => sources.includes(s))) {
+      const progression = this._progressions[source].get(classSlug);
+      if (progression) return progression;
+    }
+    return null;
+  }
+
+  /**
+   * Check whether a class slug has a progression
+   * @param {string} classSlug - Class slug
+   * @returns {boolean} True if registered
+   */
+  static has(classSlug) {
+    return this.get(classSlug) !== null;
+  }
+
+  /**
+   * List the class slugs with a progression and where each comes from
+   * @returns {Array<Object>} { classSlug, source, learningRule } sorted by slug
+   */
+  static list() {
+    const entries = new Map();
+    for (const source of [...SOURCES].reverse()) {
+      for (const [classSlug, progression] of this._progressions[source]) {
+        entries.set(classSlug, { classSlug, source, learningRule: progression.learningRule });
+      }
+    }
+    return [...entries.values()].sort((a, b) => a.classSlug.localeCompare(b.classSlug));
+  }
+
+  /**
+   * (Re)load the progressions defined in the world setting
+   * Invalid JSON or entries are reported and skipped; the remaining entries still load.
+   */
+  static loadWorldProgressions() {
+    this._progressions.world.clear();
+
+    const raw = game.settings.get(MODULE_NAME, WORLD_SETTING)?.trim();
+    if (!raw) return;
+
+    let data;
+    try {
+      data = JSON.parse(raw);
+    } catch (error) {
+      console.error(`${MODULE_NAME} | Custom class progressions are not valid JSON:`, error);
+      if (game.user.isGM) ui.notifications.warn(`Custom class progressions are not valid JSON: ${error.message}`);
+      return;
+    }
+
+    if (!data || typeof data !== 'object' || Array.isArray(data)) {
+      console.error(`${MODULE_NAME} | Custom class progressions must be an object keyed by class slug`);
+      if (game.user.isGM) ui.notifications.warn('Custom class progressions must be an object keyed by class slug');
+      return;
+    }
+
+    for (const [classSlug, progression] of Object.entries(data)) {
+      try {
+        this.register(classSlug, progression, { source: 'world' });
+      } catch (error) {
+        console.error(`${MODULE_NAME} | Skipping custom class progression "${classSlug}":`, error);
+        if (game.user.isGM) ui.notifications.warn(`Skipping custom class progression "${classSlug}": ${error.message}`);
+      }
+    }
+  }
+}
+
+/**
+ * Check and copy a progression, filling in the optional flags
+ * @param {string} classSlug - Class slug (for error messages)
+ * @param {Object} progression - Progression to check
+ * @returns {Object} Normalized progression
+ * @throws {Error} If the progression is invalid
+ */
+function normalizeProgression(classSlug, progression) {
+  if (!progression || typeof progression !== 'object') {
+    throw new Error(`Progression for "${classSlug}" must be an object`);
+  }
+
+  const learningRule = progression.learningRule ?? 'auto';
+  if (!LEARNING_RULES.includes(learningRule)) {
+    throw new Error(`Progression for "${classSlug}" has unknown learning rule "${learningRule}" (expected ${LEARNING_RULES.join(', ')})`);
+  }
+
+  const normalized = {
+    spellSlots: normalizeSlotTable(classSlug, progression.spellSlots, 'spellSlots'),
+    learningRule,
+    isWaveCaster: progression.isWaveCaster === true,
+    hasDualSpellLists: progression.hasDualSpellLists === true
+  };
+
+  if (progression.apparitionSlots) {
+    normalized.apparitionSlots = normalizeSlotTable(classSlug, progression.apparitionSlots, 'apparitionSlots');
+  }
+
+  return normalized;
+}
+
+/**
+ * Check and copy a level -> { rank: slots } table, converting keys and counts to numbers
+ * @param {string} classSlug - Class slug (for error messages)
+ * @param {Object} table - Slot table
+ * @param {string} field - Field name (for error messages)
+ * @returns {Object} Normalized table
+ * @throws {Error} If the table is invalid
+ */
+function normalizeSlotTable(classSlug, table, field) {
+  if (!table || typeof table !== 'object') {
+    throw new Error(`Progression for "${classSlug}" is missing ${field}`);
+  }
+
+  const normalized = {};
+  for (const [level, ranks] of Object.entries(table)) {
+    const levelNumber = Number(level);
+    if (!Number.isInteger(levelNumber) || levelNumber < 1 || levelNumber > 20 || !ranks || typeof ranks !== 'object') {
+      throw new Error(`Progression for "${classSlug}" has an invalid ${field} entry for level "${level}"`);
+    }
+
+    normalized[levelNumber] = {};
+    for (const [rank, slots] of Object.entries(ranks)) {
+      const rankNumber = Number(rank);
+      const slotCount = Number(slots);
+      if (!Number.isInteger(rankNumber) || rankNumber < 0 || rankNumber > 10 || !Number.isInteger(slotCount) || slotCount < 0) {
+        throw new Error(`Progression for "${classSlug}" has an invalid ${field} rank "${rank}" at level ${level}`);
+      }
+      normalized[levelNumber][rankNumber] = slotCount;
+    }
+  }
+
+  return normalized;
+}
+
+export default ClassProgressionRegistry;
@@ -15,7 +15,8 @@ export class DataProvider {
       ancestries: null,
       heritages: null,
       backgrounds: null,
-      deities: null
+      deities: null,
+      runes: null
     };
 
     // Track ongoing loads to prevent duplicate requests
@@ -512,6 +513,62 @@ export class DataProvider {
     }
   }
 
+  // ==========================================================================
+  // RUNE METHODS
+  // ==========================================================================
+
+  /**
+   * Get all Runesmith runes (cached)
+   * Runes come from item compendiums named after runes (e.g. a playtest runes pack) and from
+   * the RR playtest class features pack, where they carry the rune trait.
+   * @returns {Promise<Array>} Array of rune documents
+   */
+  async getRunes() {
+    if (this.cache.runes) {
+      return this.cache.runes;
+    }
+
+    if (this.loading.has('runes')) {
+      return this.loading.get('runes');
+    }
+
+    const loadPromise = (async () => {
+      const runes = new Map();
+
+      const runePacks = game.packs.filter(p => p.documentName === 'Item' && /runes?$/i.test(p.metadata.name));
+      for (const pack of runePacks) {
+        debugLog('DataProvider', `Loading runes from ${pack.collection}...`);
+        for (const doc of await pack.getDocuments()) {
+          if (!runes.has(doc.name)) runes.set(doc.name, doc);
+        }
+      }
+
+      const rrPlaytestPack = game.packs.get('pf2e-playtest-data.rr-playtest-class-features');
+      if (rrPlaytestPack) {
+        debugLog('DataProvider', 'Loading runes from pf2e-playtest-data.rr-playtest-class-features...');
+        for (const doc of await rrPlaytestPack.getDocuments()) {
+          if (doc.system.traits?.value?.includes('rune') && !runes.has(doc.name)) runes.set(doc.name, doc);
+        }
+      }
+
+      if (runes.size === 0) {
+        console.warn(`${MODULE_NAME} | No runes compendium found`);
+      }
+
+      this.cache.runes = [...runes.values()];
+      debugLog('DataProvider', `Loaded ${this.cache.runes.length} runes`);
+      return this.cache.runes;
+    })();
+
+    this.loading.set('runes', loadPromise);
+
+    try {
+      return await loadPromise;
+    } finally {
+      this.loading.delete('runes');
+    }
+  }
+
   // ==========================================================================
   // UTILITY METHODS
   // ==========================================================================
@@ -528,7 +585,8 @@ export class DataProvider {
       ancestries: null,
       heritages: null,
       backgrounds: null,
-      deities: null
+      deities: null,
+      runes: null
     };
   }
 
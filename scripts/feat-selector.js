@@ -4,7 +4,11 @@
  */
 
 import dataProvider from './data-provider.js';
-import { checkPrerequisites, hasArchetypeDedication, getArchetypeDedications, getMythicDedications, hasMythicDedication, sortFeats } from './helpers/feat-helpers.js';
+import * as KineticistHelpers from './helpers/kineticist-helpers.js';
+import { checkPrerequisites, hasArchetypeDedication, getArchetypeDedications, getArchetypeProgress, getDedicationBlock, getMythicDedications, hasMythicDedication, sortFeats } from './helpers/feat-helpers.js';
+
+// Tooltip markers for per-clause prerequisite results
+const PREREQ_ICONS = { met: '✓', unmet: '✗', unknown: '?' };
 
 export class FeatSelectorApp extends foundry.applications.api.HandlebarsApplicationMixin(foundry.applications.api.ApplicationV2) {
   constructor(actor, featType, targetLevel, currentSelection = null, options = {}) {
@@ -28,12 +32,18 @@ export class FeatSelectorApp extends foundry.applications.api.HandlebarsApplicat
     this.showSkillFeats = false; // Show skill feats in general feat picker (PF2E allows taking skill feat for general feat)
     this.sortMethod = game.settings.get('intrinsics-pf2e-level-up-wizard', 'feat-sort-method');
 
+    // Actor used for prerequisite checks - a projected actor when planning ahead (see projected-actor.js)
+    this.prerequisiteActor = options.prerequisiteActor || actor;
+
     // Archetype filter - defaults to first archetype if actor has any, otherwise 'all'
-    this._actorDedications = getArchetypeDedications(actor);
+    this._actorDedications = getArchetypeDedications(this.prerequisiteActor);
     this.archetypeFilter = this._actorDedications.length > 0 ? `archetype:${this._actorDedications[0]}` : 'all';
 
+    // Unfinished archetype that stops another dedication being taken (null if none)
+    this._dedicationBlock = getDedicationBlock(this.prerequisiteActor);
+
     // Mythic dedication filter - defaults to first mythic dedication if actor has any, otherwise 'all'
-    this._actorMythicDedications = getMythicDedications(actor);
+    this._actorMythicDedications = getMythicDedications(this.prerequisiteActor);
     this.mythicFilter = this._actorMythicDedications.length > 0 ? `mythic:${this._actorMythicDedications[0]}` : 'all';
 
     // UI state
@@ -234,10 +244,17 @@ export class FeatSelectorApp extends foundry.applications.api.HandlebarsApplicat
     if (this._actorDedications.length > 0) {
       options.push({ value: 'divider-my', label: '─── My Archetypes ───', disabled: true });
       
+      const progress = new Map(getArchetypeProgress(this.prerequisiteActor).map(p => [p.archetype, p]));
       const archetypeOptions = this._actorDedications.map(slug => {
         // Convert slug to display name (e.g., "aldori-duelist" -> "Aldori Duelist")
         const displayName = slug.split('-').map(w => w.charAt(0).toUpperCase() + w.slice(1)).join(' ');
-        return { value: `archetype:${slug}`, label: displayName };
+
+        // Show dedication rule progress until the archetype is complete (e.g., "Aldori Duelist (1/2 feats)")
+        const archetypeProgress = progress.get(slug);
+        const label = archetypeProgress && !archetypeProgress.complete
+          ? `${displayName} (${archetypeProgress.count}/${archetypeProgress.required} feats)`
+          : displayName;
+        return { value: `archetype:${slug}`, label };
       }).sort((a, b) => a.label.localeCompare(b.label));
 
       options.push(...archetypeOptions);
@@ -441,8 +458,11 @@ export class FeatSelectorApp extends foundry.applications.api.HandlebarsApplicat
         searchQueries = [];
     }
 
-    // Get existing feats on actor (pass the full objects, not just UUIDs)
-    const existingFeats = this.actor.itemTypes.feat || [];
+    // Get existing feats on actor (pass the full objects, not just UUIDs), plus feats planned for earlier levels
+    const existingFeats = [
+      ...(this.actor.itemTypes.feat || []),
+      ...this.prerequisiteActor.items.filter(i => i.isPlanned)
+    ];
 
     // Map feat type to PF2e category
     // When showSkillFeats is enabled for general feats, use null to fetch by trait instead
@@ -643,7 +663,7 @@ export class FeatSelectorApp extends foundry.applications.api.HandlebarsApplicat
       }
 
       // Check prerequisites and determine CSS class
-      const prereqCheck = checkPrerequisites(this.actor, feat);
+      const prereqCheck = checkPrerequisites(this.prerequisiteActor, feat);
       let prereqClass = '';
       if (prereqCheck.meets === true) {
         prereqClass = 'prereq-met'; // Green - all prerequisites met
@@ -666,14 +686,16 @@ export class FeatSelectorApp extends foundry.applications.api.HandlebarsApplicat
         prerequisitesMet: prereqCheck.meets,
         prerequisitesText: prerequisitesText, // Formatted prerequisites string
         prerequisitesClass: prereqClass, // CSS class for color coding
+        prerequisitesTooltip: prereqCheck.clauses.map(clause => `${PREREQ_ICONS[clause.status]} ${clause.text}`).join('<br>'),
         featTypeName: this._getFeatTypeName(feat),
         rarity: rarity,
         rarityClass: this._getRarityClass(rarity),
         traitsWithGateStatus: traitsWithGateStatus, // For Kineticist gate highlighting
+        dedicationBlocked: this._getDedicationBlockReason(feat),
         needsDedication: isArchetype &&
                         archetypeName &&
                         !feat.name.toLowerCase().includes('dedication') &&
-                        !hasArchetypeDedication(this.actor, archetypeName)
+                        !hasArchetypeDedication(this.prerequisiteActor, archetypeName)
       };
     });
 
@@ -751,32 +773,13 @@ export class FeatSelectorApp extends foundry.applications.api.HandlebarsApplicat
   }
 
   /**
-   * Initialize Kineticist Gates from actor's class features
+   * Initialize Kineticist Gates from the prerequisite actor's gate features and rule elements
+   * A projected actor also carries the gates planned at earlier gate's thresholds
    */
   _initKineticistGates() {
     if (!this._isKineticist()) return;
 
-    // The six elemental gates in PF2e Kineticist
-    const gateElements = ['air', 'earth', 'fire', 'metal', 'water', 'wood'];
-
-    // Look for Gate class features on the actor
-    // Gates are typically named "Fire Gate", "Metal Gate", etc.
-    const actorFeatures = this.actor.itemTypes.feat || [];
-    const actorClassFeatures = this.actor.itemTypes.feature || [];
-    const allItems = [...actorFeatures, ...actorClassFeatures];
-
-    this.actorGates = [];
-
-    for (const item of allItems) {
-      const itemName = item.name?.toLowerCase() || '';
-      for (const element of gateElements) {
-        if (itemName.includes(`${element} gate`) || itemName === `${element}`) {
-          if (!this.actorGates.includes(element)) {
-            this.actorGates.push(element);
-          }
-        }
-      }
-    }
+    this.actorGates = KineticistHelpers.getKineticGates(this.prerequisiteActor);
 
     console.log(`Feat Selector: Kineticist detected with gates: ${this.actorGates.join(', ')}`);
   }
@@ -785,7 +788,7 @@ export class FeatSelectorApp extends foundry.applications.api.HandlebarsApplicat
    * Get the list of elemental traits for Kineticist Gate checking
    */
   static get ELEMENTAL_TRAITS() {
-    return ['air', 'earth', 'fire', 'metal', 'water', 'wood'];
+    return KineticistHelpers.KINETIC_ELEMENTS;
   }
 
   /**
@@ -819,7 +822,7 @@ export class FeatSelectorApp extends foundry.applications.api.HandlebarsApplicat
             archetypes.set(archetypeName, {
               name: archetypeName,
               feats: [],
-              hasDedication: hasArchetypeDedication(this.actor, archetypeName)
+              hasDedication: hasArchetypeDedication(this.prerequisiteActor, archetypeName)
             });
           }
           archetypes.get(archetypeName).feats.push(feat);
@@ -888,6 +891,8 @@ export class FeatSelectorApp extends foundry.applications.api.HandlebarsApplicat
       gateStatus: this.showGateFilter ? this._getGateStatus(trait) : ''
     }));
 
+    const prereqCheck = checkPrerequisites(this.prerequisiteActor, feat);
+
     return {
       uuid: feat.uuid,
       name: feat.name,
@@ -899,13 +904,29 @@ export class FeatSelectorApp extends foundry.applications.api.HandlebarsApplicat
       traitsWithGateStatus: traitsWithGateStatus,
       rarity: feat.system.traits?.rarity || 'common',
       prerequisites: prerequisitesText,
-      prerequisitesMet: checkPrerequisites(this.actor, feat),
+      prerequisitesMet: prereqCheck.meets !== false,
+      prerequisiteClauses: prereqCheck.clauses,
+      dedicationBlocked: this._getDedicationBlockReason(feat),
       actions: feat.system.actionType?.value,
       frequency: feat.system.frequency?.value,
       trigger: feat.system.trigger?.value
     };
   }
 
+  /**
+   * Get why a dedication feat can't be taken yet under the dedication rule
+   * @param {Item} feat - The feat
+   * @returns {string|null} Reason, or null if the feat isn't a blocked dedication
+   */
+  _getDedicationBlockReason(feat) {
+    if (!this._dedicationBlock) return null;
+
+    const traits = feat.system.traits?.value || [];
+    if (!traits.includes('dedication') || traits.includes('mythic')) return null;
+
+    return this._dedicationBlock.reason;
+  }
+
   _getFeatTypeName(feat) {
     const traits = feat.system.traits?.value || [];
 
@@ -2,13 +2,14 @@
 import { MODULE_NAME, debugLog } from '../module.js';
 import dataProvider from '../data-provider.js';
 import * as VariantRulesHelpers from './variant-rules-helpers.js';
+import { ClassProgressionRegistry } from '../class-progression-registry.js';
 
 /**
  * Get the class slug from a class item, handling null slugs for playtest classes
  * @param {Object} classItem - The class item
  * @returns {string|null} The class slug or null if no class item
  */
-function getClassSlug(classItem) {
+export function getClassSlug(classItem) {
   if (!classItem) return null;
   return classItem.slug || classItem.name?.toLowerCase().replace(/\s+/g, '-');
 }
@@ -395,7 +396,8 @@ export function isSpellcaster(actor) {
     'witch', 'magus', 'summoner', 'psychic', 'animist', 'necromancer'
   ];
 
-  const isSpellcasterResult = spellcasterClasses.includes(classSlug);
+  // Homebrew and third-party classes count once they have a registered progression
+  const isSpellcasterResult = spellcasterClasses.includes(classSlug) || ClassProgressionRegistry.has(classSlug);
   debugLog('isSpellcaster', `Class: "${classItem.name}", Slug: "${classSlug}", Is Spellcaster: ${isSpellcasterResult}`);
   
   return isSpellcasterResult;
@@ -510,3 +512,55 @@ export function getRunesmithChangesAtLevel(targetLevel) {
     }
   };
 }
+
+/**
+ * Get the runes an actor (or projected actor) already has in its runic repertoire
+ * @param {Actor|Object} actor - The actor
+ * @returns {Array<Item>} Items with the rune trait
+ */
+export function getKnownRunes(actor) {
+  return actor.items.filter(i => i.system?.traits?.value?.includes('rune'));
+}
+
+/**
+ * Get the runes a Runesmith can add to their repertoire at a level
+ * The repertoire fills up to its size at that level, counting the runes the actor knows and the runes
+ * picked in earlier planned steps. Runes above the level, already known or already picked are left out.
+ * @param {Actor} actor - The actor
+ * @param {number} level - Level being taken
+ * @param {Array<Object>} steps - Earlier planned steps as { level, choices }
+ * @param {Array<string>} current - UUIDs of the runes picked at this level
+ * @returns {Promise<Object|null>} { maxRunes, selected, options: Array, repertoire, hasCompendium } or null if nothing is picked at this level
+ */
+export async function getRuneSelection(actor, level, steps, current = []) {
+  if (!isRunesmith(actor)) return null;
+
+  const knownNames = new Set(getKnownRunes(actor).map(rune => rune.name));
+  const earlier = new Set(steps.flatMap(step => step.choices?.runes || []));
+
+  const { runicRepertoire } = getRunesmithProgression(level);
+  const maxRunes = Math.max(0, runicRepertoire - knownNames.size - earlier.size);
+  if (maxRunes === 0 && current.length === 0) return null;
+
+  const runes = await dataProvider.getRunes();
+  const options = runes
+    .filter(rune => (rune.system.level?.value ?? 0) <= level && !knownNames.has(rune.name) && !earlier.has(rune.uuid))
+    .sort((a, b) => (a.system.level?.value ?? 0) - (b.system.level?.value ?? 0) || a.name.localeCompare(b.name))
+    .map(rune => ({
+      uuid: rune.uuid,
+      name: rune.name,
+      img: rune.img,
+      level: rune.system.level?.value ?? 0,
+      selected: current.includes(rune.uuid)
+    }));
+
+  debugLog('getRuneSelection', `Level ${level}: ${maxRunes} rune(s) to pick from ${options.length}`);
+
+  return {
+    maxRunes,
+    selected: current.length,
+    options,
+    repertoire: runicRepertoire,
+    hasCompendium: runes.length > 0
+  };
+}
@@ -0,0 +1,293 @@
+// Class Progression Resolver - Reads spellcasting from the class item's own data and checks it against the tables
+import { MODULE_NAME, debugLog } from '../module.js';
+import { ClassProgressionRegistry, TABLE_SOURCES } from '../class-progression-registry.js';
+import { getClassSpellcastingEntry } from './spell-helpers.js';
+
+// Flag (on the class item or one of its class features) holding a full progression that overrides the tables
+const PROGRESSION_FLAG = 'spellProgression';
+
+// Class features that raise spellcasting proficiency, by slug
+const SPELLCASTER_FEATURES = {
+  'expert-spellcaster': 'expert',
+  'master-spellcaster': 'master',
+  'legendary-spellcaster': 'legendary'
+};
+
+// Class features that mark a wave caster, which keeps only its two highest spell ranks (Magus, Summoner)
+const WAVE_FEATURE_SLUGS = ['wave-spells', 'wave-spellcasting', 'bounded-spellcasting', 'studious-spells'];
+
+// Class features that decide how new spells are learned
+const REPERTOIRE_FEATURE_SLUGS = ['spell-repertoire'];
+const SPELLBOOK_FEATURE_SLUGS = ['spellbook', 'arcane-spellbook'];
+
+/**
+ * Resolve an actor's spellcasting progression
+ *
+ * What the class item says about spellcasting is read from its own data: `system.spellcasting`, and the
+ * class features listed in `system.items` (spellcasting proficiency features, wave spells, spell repertoire
+ * and spellbook features). That is compared against the progression tables of ClassProgressionRegistry.
+ *
+ * Slot counts are not part of the class item, so a class with a table keeps its table. A spellcasting
+ * class without one gets a full-caster progression built from its class features, registered as the
+ * 'class-item' source so every slot lookup uses it. A progression stored under
+ * `flags.intrinsics-pf2e-level-up-wizard.spellProgression` on the class item or one of its features
+ * overrides both.
+ *
+ * @param {Actor} actor - The actor
+ * @returns {Promise<Object>} { classSlug, progression, source: 'class-item'|'table'|null, classData, mismatches: Array<string> }
+ */
+export async function resolveClassProgression(actor) {
+  const classItem = actor.items.find(i => i.type === 'class');
+  if (!classItem) return { classSlug: null, progression: null, source: null, classData: null, mismatches: [] };
+
+  const classSlug = classItem.slug || classItem.name?.toLowerCase().replace(/\s+/g, '-');
+  const tableProgression = ClassProgressionRegistry.get(classSlug, { sources: TABLE_SOURCES });
+  const classData = readClassSpellcasting(classItem);
+  const mismatches = [];
+
+  let progression = null;
+  const itemData = await findItemProgression(classItem);
+  if (itemData) {
+    try {
+      progression = ClassProgressionRegistry.register(classSlug, itemData.progression, { source: 'class-item' });
+    } catch (error) {
+      console.error(`${MODULE_NAME} | Ignoring the spell progression on ${itemData.from}:`, error);
+      mismatches.push(`The spell progression on ${itemData.from} is invalid (${error.message}) and was ignored`);
+    }
+  }
+
+  if (!progression && !tableProgression && classData.hasSpellcasting) {
+    const built = buildProgression(classData, getClassSpellcastingEntry(actor)?.system?.prepared?.value);
+    if (built) {
+      progression = ClassProgressionRegistry.register(classSlug, built, { source: 'class-item' });
+    } else {
+      mismatches.push(`${classItem.name} is a wave caster with no spell slot table, so its slots can't be worked out from the class item`);
+    }
+  }
+
+  if (progression) {
+    if (tableProgression) mismatches.push(...compareProgressions(progression, tableProgression));
+  } else {
+    // Drop a progression a previous resolve registered from data the class item no longer has
+    ClassProgressionRegistry.unregister(classSlug, { source: 'class-item' });
+    progression = tableProgression;
+  }
+
+  mismatches.push(...compareClassData(classItem, classData, progression));
+  mismatches.push(...checkActorSpellcasting(actor, classItem, progression));
+
+  const source = progression ? (progression === tableProgression ? 'table' : 'class-item') : null;
+  debugLog('resolveClassProgression', `Class "${classSlug}": ${source ?? 'no'} progression, ${mismatches.length} mismatch(es)`, { classData, mismatches });
+
+  return { classSlug, progression, source, classData, mismatches };
+}
+
+/**
+ * Read what the class item's own data says about its spellcasting
+ * learningRule and isWaveCaster are null when the class item gives no sign either way.
+ * @param {Item} classItem - The class item
+ * @returns {Object} { hasSpellcasting, learningRule, isWaveCaster, proficiencyLevels: { expert, master, legendary } }
+ */
+function readClassSpellcasting(classItem) {
+  const features = Object.values(classItem.system.items ?? {})
+    .filter(entry => entry?.name)
+    .map(entry => ({ slug: entry.name.slugify(), level: entry.level ?? 1 }));
+  const hasFeature = slugs => features.some(feature => slugs.includes(feature.slug));
+
+  const proficiencyLevels = { expert: null, master: null, legendary: null };
+  for (const feature of features) {
+    const rank = SPELLCASTER_FEATURES[feature.slug];
+    if (rank) proficiencyLevels[rank] = feature.level;
+  }
+
+  const hasSpellcasting = (classItem.system.spellcasting ?? 0) > 0 ||
+    features.some(feature => feature.slug.endsWith('spellcasting') || SPELLCASTER_FEATURES[feature.slug]);
+
+  let learningRule = null;
+  if (hasFeature(REPERTOIRE_FEATURE_SLUGS)) {
+    learningRule = 'spontaneous';
+  } else if (hasFeature(SPELLBOOK_FEATURE_SLUGS)) {
+    learningRule = 'prepared';
+  }
+
+  // Full casters become legendary spellcasters; wave casters stop at master, gained two levels later
+  let isWaveCaster = null;
+  if (hasSpellcasting) {
+    if (hasFeature(WAVE_FEATURE_SLUGS)) {
+      isWaveCaster = true;
+    } else if (proficiencyLevels.legendary) {
+      isWaveCaster = false;
+    } else if (proficiencyLevels.master) {
+      isWaveCaster = true;
+    }
+  }
+
+  return { hasSpellcasting, learningRule, isWaveCaster, proficiencyLevels };
+}
+
+/**
+ * Build a full-caster progression from class item data
+ * A new spell rank every odd level (2 slots prepared, 3 spontaneous, one more at the next level), and a single
+ * 10th-rank slot at 19 for legendary spellcasters. Wave casters' slot tables can't be derived this way.
+ * Without a repertoire or spellbook feature, the actor's spellcasting entry decides the learning rule.
+ * @param {Object} classData - From readClassSpellcasting()
+ * @param {string} entryType - Prepared type of the class spellcasting entry, if any
+ * @returns {Object|null} Progression, or null for wave casters
+ */
+function buildProgression(classData, entryType) {
+  if (classData.isWaveCaster) return null;
+
+  const learningRule = classData.learningRule ?? (entryType === 'spontaneous' ? 'spontaneous' : 'auto');
+  const baseSlots = learningRule === 'spontaneous' ? 3 : 2;
+  const spellSlots = {};
+  for (let level = 1; level <= 20; level++) {
+    spellSlots[level] = {};
+    for (let rank = 1; rank <= Math.min(9, getHighestRank(level)); rank++) {
+      spellSlots[level][rank] = level === rank * 2 - 1 ? baseSlots : baseSlots + 1;
+    }
+    if (level >= 19 && classData.proficiencyLevels.legendary) spellSlots[level][10] = 1;
+  }
+
+  return {
+    spellSlots,
+    learningRule,
+    isWaveCaster: false
+  };
+}
+
+/**
+ * Describe where the class item's own data disagrees with a progression
+ * @param {Item} classItem - The class item
+ * @param {Object} classData - From readClassSpellcasting()
+ * @param {Object|null} progression - Resolved progression
+ * @returns {Array<string>} Differences
+ */
+function compareClassData(classItem, classData, progression) {
+  const differences = [];
+
+  if (!progression) {
+    if (classData.hasSpellcasting) {
+      differences.push(`${classItem.name} is a spellcasting class, but no spell slot progression is registered for it`);
+    }
+    return differences;
+  }
+
+  if (!classData.hasSpellcasting) {
+    differences.push(`A spell slot progression is registered for ${classItem.name}, but its class item grants no spellcasting`);
+    return differences;
+  }
+
+  if (classData.learningRule && classData.learningRule !== progression.learningRule) {
+    differences.push(`Learning rule: the ${classItem.name} class features say "${classData.learningRule}", the table says "${progression.learningRule}"`);
+  }
+  if (classData.isWaveCaster !== null && classData.isWaveCaster !== progression.isWaveCaster) {
+    differences.push(`Wave casting: the ${classItem.name} class features say ${classData.isWaveCaster ? 'yes' : 'no'}, the table says ${progression.isWaveCaster ? 'yes' : 'no'}`);
+  }
+
+  // Both full and wave casters gain a spell rank every odd level; only legendary spellcasters reach 10th rank.
+  // Some classes grant their spellcasting proficiency through subclass features (e.g. cleric doctrines),
+  // so 10th rank is only checked when the class item lists spellcaster proficiency features.
+  const knowsProficiency = Object.values(classData.proficiencyLevels).some(Boolean);
+  const cap = level => !knowsProficiency ? 9 : (level >= 19 && classData.proficiencyLevels.legendary ? 10 : 9);
+  const levels = [];
+  for (let level = 1; level <= 20; level++) {
+    const expected = Math.min(getHighestRank(level), cap(level));
+    const slots = progression.spellSlots[level] ?? {};
+    const highest = Math.min(cap(level), Math.max(0, ...Object.keys(slots).map(Number).filter(rank => slots[rank] > 0)));
+    if (highest !== expected) levels.push(level);
+  }
+  if (levels.length > 0) {
+    differences.push(`Highest spell rank differs from the ${classItem.name} class features at level${levels.length > 1 ? 's' : ''} ${levels.join(', ')}`);
+  }
+
+  return differences;
+}
+
+/**
+ * Get the highest spell rank a caster has at a level, before the 9th-rank cap
+ * @param {number} level - Character level
+ * @returns {number} Spell rank
+ */
+function getHighestRank(level) {
+  return Math.ceil(level / 2);
+}
+
+/**
+ * Find a progression stored on the class item or on one of its class features
+ * @param {Item} classItem - The class item
+ * @returns {Promise<Object|null>} { progression, from } or null
+ */
+async function findItemProgression(classItem) {
+  const own = classItem.flags?.[MODULE_NAME]?.[PROGRESSION_FLAG];
+  if (own) return { progression: own, from: `the ${classItem.name} class item` };
+
+  for (const entry of Object.values(classItem.system.items ?? {})) {
+    if (!entry?.uuid) continue;
+    const feature = await fromUuid(entry.uuid).catch(() => null);
+    const progression = feature?.flags?.[MODULE_NAME]?.[PROGRESSION_FLAG];
+    if (progression) return { progression, from: `the ${feature.name} class feature` };
+  }
+
+  return null;
+}
+
+/**
+ * Describe where a progression stored on the class item differs from the table
+ * @param {Object} itemProgression - Progression from the class item
+ * @param {Object} tableProgression - Progression from the tables
+ * @returns {Array<string>} Differences
+ */
+function compareProgressions(itemProgression, tableProgression) {
+  const differences = [];
+
+  if (itemProgression.learningRule !== tableProgression.learningRule) {
+    differences.push(`Learning rule: the class item says "${itemProgression.learningRule}", the table says "${tableProgression.learningRule}"`);
+  }
+  if (itemProgression.isWaveCaster !== tableProgression.isWaveCaster) {
+    differences.push(`Wave casting: the class item says ${itemProgression.isWaveCaster ? 'yes' : 'no'}, the table says ${tableProgression.isWaveCaster ? 'yes' : 'no'}`);
+  }
+
+  const levels = [];
+  for (let level = 1; level <= 20; level++) {
+    if (!sameSlots(itemProgression.spellSlots[level], tableProgression.spellSlots[level])) levels.push(level);
+  }
+  if (levels.length > 0) {
+    differences.push(`Spell slots differ from the table at level${levels.length > 1 ? 's' : ''} ${levels.join(', ')}`);
+  }
+
+  return differences;
+}
+
+/**
+ * Check a progression against the spellcasting entry on the actor
+ * @param {Actor} actor - The actor
+ * @param {Item} classItem - The class item
+ * @param {Object|null} progression - Resolved progression
+ * @returns {Array<string>} Problems found
+ */
+function checkActorSpellcasting(actor, classItem, progression) {
+  const problems = [];
+  if (!progression) return problems;
+
+  const entryType = getClassSpellcastingEntry(actor)?.system?.prepared?.value;
+  if (entryType === 'spontaneous' && progression.learningRule !== 'spontaneous') {
+    problems.push(`The ${classItem.name} spellcasting entry is spontaneous, but the progression learns spells as "${progression.learningRule}"`);
+  } else if (entryType === 'prepared' && progression.learningRule === 'spontaneous') {
+    problems.push(`The ${classItem.name} spellcasting entry is prepared, but the progression learns spells as "spontaneous"`);
+  }
+
+  return problems;
+}
+
+/**
+ * Compare two { rank: slots } entries, treating missing ranks as zero slots
+ * @param {Object} a - Slots
+ * @param {Object} b - Slots
+ * @returns {boolean} True if they match
+ */
+function sameSlots(a = {}, b = {}) {
+  for (let rank = 0; rank <= 10; rank++) {
+    if ((a[rank] || 0) !== (b[rank] || 0)) return false;
+  }
+  return true;
+}
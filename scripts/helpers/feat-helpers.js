@@ -1,6 +1,7 @@
 // Feat Helpers - Feat filtering, archetype detection, and feat type logic
 import { MODULE_NAME, debugLog } from '../module.js';
 import dataProvider from '../data-provider.js';
+import { PREREQ_STATUS, evaluateFeatPrerequisites } from './prerequisite-parser.js';
 
 // Feat level arrays for different feat types
 const FREE_ARCHETYPE_FEAT_LEVELS = [2, 4, 6, 8, 10, 12, 14, 16, 18, 20];
@@ -271,126 +272,27 @@ export function getPrerequisitesString(feat) {
 
 /**
  * Check if actor meets feat prerequisites
+ * Each prerequisite is parsed into structured clauses (see prerequisite-parser.js) and evaluated on its own.
  * @param {Actor} actor - The actor
  * @param {Item} feat - The feat to check
- * @returns {Object} { meets: boolean, missing: Array }
+ * @returns {Object} { meets: boolean|null, missing: Array, unknown: Array, clauses: Array }
+ *   meets is null when some prerequisites can't be checked; clauses holds the per-clause results
  */
 export function checkPrerequisites(actor, feat) {
-  const prereqs = feat.system.prerequisites?.value || [];
-
-  if (prereqs.length === 0) {
-    return { meets: true, missing: [], unknown: [] };
-  }
-
-  const missing = [];
-  const unknown = [];
-
-  // This is a simplified check - full prerequisite checking would require
-  // parsing the prerequisite text and checking against actor's abilities,
-  // skills, feats, etc.
+  const clauses = evaluateFeatPrerequisites(actor, feat);
 
-  for (const prereq of prereqs) {
-    // Check common prerequisite types
-    const prereqText = prereq.value?.toLowerCase() || '';
-
-    // If prereq is empty or can't be parsed, mark as unknown
-    if (!prereqText) {
-      unknown.push(prereq.value || 'Unknown prerequisite');
-      continue;
-    }
-
-    // Check for ability score requirements (e.g., "Strength 14")
-    const abilityMatch = prereqText.match(/(strength|dexterity|constitution|intelligence|wisdom|charisma)\s+(\d+)/);
-    if (abilityMatch) {
-      const [_, ability, value] = abilityMatch;
-      const abilityKey = ability.substring(0, 3); // str, dex, con, etc.
-      const actorValue = actor.system.abilities[abilityKey]?.value || 0;
-
-      if (actorValue < parseInt(value)) {
-        missing.push(prereq.value);
-      }
-      continue; // Handled this prerequisite
-    }
-
-    // Check for feat requirements (specific feat names)
-    // Prerequisites often mention the feat name directly or with "feat" suffix
-    // Examples: "Power Attack", "Cavalier Dedication", "Shield Block feat"
-
-    // Get all actor's feat names in lowercase for comparison
-    const actorFeatNames = actor.items
-      .filter(i => i.type === 'feat')
-      .map(i => i.name.toLowerCase());
-
-    // Check if any actor feat name appears in the prerequisite text
-    // Also handle cases where the prerequisite is just the feat name
-    const hasFeat = actorFeatNames.some(featName => {
-      // Check if the prerequisite contains this feat name
-      // Use word boundaries to avoid partial matches (e.g., "Shield" shouldn't match "Shield Block")
-      const regex = new RegExp('\\b' + featName.replace(/[.*+?^${}()|[\]\\]/g, '\\$&') + '\\b', 'i');
-      return regex.test(prereqText);
-    });
-
-    if (!hasFeat && (prereqText.includes('feat') || prereqText.includes('dedication') || prereqText.includes('archetype'))) {
-      // Only mark as missing if we're confident this is a feat prerequisite
-      missing.push(prereq.value);
-      continue; // Handled this prerequisite
-    } else if (hasFeat) {
-      // Found the feat
-      continue; // Handled this prerequisite
-    }
-    // If we couldn't determine if this is a feat prerequisite, fall through to unknown
-
-    // Check for proficiency requirements
-    if (prereqText.includes('trained') || prereqText.includes('expert') || prereqText.includes('master') || prereqText.includes('legendary')) {
-      // Try to extract skill name and rank requirement
-      const skills = ['acrobatics', 'arcana', 'athletics', 'crafting', 'deception', 'diplomacy',
-                      'intimidation', 'lore', 'medicine', 'nature', 'occultism', 'performance',
-                      'religion', 'society', 'stealth', 'survival', 'thievery'];
-
-      let foundSkill = false;
-      for (const skillName of skills) {
-        if (prereqText.includes(skillName)) {
-          const skillData = actor.system.skills?.[skillName];
-          if (skillData) {
-            const rank = skillData.rank || 0;
-            const rankNames = ['untrained', 'trained', 'expert', 'master', 'legendary'];
-            const requiredRank = rankNames.findIndex(r => prereqText.includes(r));
-
-            if (requiredRank !== -1 && rank < requiredRank) {
-              missing.push(prereq.value);
-            }
-            foundSkill = true;
-            break;
-          }
-        }
-      }
-
-      if (foundSkill) {
-        continue; // Handled this prerequisite
-      }
-    }
-
-    // Check for class/ancestry requirements
-    if (prereqText.includes('class') || prereqText.includes('ancestry') || prereqText.includes('heritage')) {
-      // These are usually structural and difficult to validate programmatically
-      // Mark as unknown for now
-      unknown.push(prereq.value);
-      continue;
-    }
-
-    // If we couldn't determine how to check this prerequisite, mark as unknown
-    unknown.push(prereq.value);
-  }
+  const missing = clauses.filter(clause => clause.status === PREREQ_STATUS.UNMET).map(clause => clause.text);
+  const unknown = clauses.filter(clause => clause.status === PREREQ_STATUS.UNKNOWN).map(clause => clause.text);
 
   // Determine final state:
+  // - If any prerequisite is definitely unmet, return false
   // - If any prerequisites are unknown, return null (can't determine)
-  // - If all prerequisites are checked and some are missing, return false
-  // - If all prerequisites are checked and none are missing, return true
+  // - Otherwise all prerequisites are met
   let meetsStatus;
-  if (unknown.length > 0) {
-    meetsStatus = null; // Can't determine
-  } else if (missing.length > 0) {
+  if (missing.length > 0) {
     meetsStatus = false; // Definitely not met
+  } else if (unknown.length > 0) {
+    meetsStatus = null; // Can't determine
   } else {
     meetsStatus = true; // All met
   }
@@ -398,7 +300,8 @@ export function checkPrerequisites(actor, feat) {
   return {
     meets: meetsStatus,
     missing,
-    unknown
+    unknown,
+    clauses
   };
 }
 
@@ -452,6 +355,67 @@ export function getArchetypeDedications(actor) {
   return dedications.map(d => d.slug.replace('-dedication', ''));
 }
 
+/**
+ * Number of other feats from an archetype needed before another dedication can be taken
+ */
+export const DEDICATION_FEATS_REQUIRED = 2;
+
+/**
+ * Get progress towards the dedication rule for each archetype the actor has
+ * An archetype feat counts towards a dedication when its prerequisites name that dedication.
+ * Planned feats (see projected-actor.js) are counted the same as owned feats.
+ * @param {Actor} actor - The actor, or a projected actor
+ * @returns {Array<Object>} Progress in order of acquisition, as { archetype, name, feats, count, required, complete, isPlanned }
+ */
+export function getArchetypeProgress(actor) {
+  const feats = actor.items.filter(i => i.type === 'feat');
+  const dedications = feats.filter(i =>
+    i.slug?.includes('dedication') &&
+    !i.system?.traits?.value?.includes('mythic')
+  );
+
+  return dedications.map(dedication => {
+    const archetype = dedication.slug.replace('-dedication', '');
+    const dedicationName = dedication.name.toLowerCase();
+    const dedicationPhrase = `${archetype.replace(/-/g, ' ')} dedication`;
+
+    const archetypeFeats = feats.filter(feat => {
+      if (feat === dedication || isDedication(feat)) return false;
+      if (!feat.system?.traits?.value?.includes('archetype')) return false;
+
+      return (feat.system?.prerequisites?.value || []).some(prereq => {
+        const text = String(prereq?.value ?? prereq).toLowerCase();
+        return text.includes(dedicationName) || text.includes(dedicationPhrase);
+      });
+    });
+
+    return {
+      archetype,
+      name: dedication.name.replace(/\s*dedication$/i, ''),
+      feats: archetypeFeats.map(feat => feat.name),
+      count: archetypeFeats.length,
+      required: DEDICATION_FEATS_REQUIRED,
+      complete: archetypeFeats.length >= DEDICATION_FEATS_REQUIRED,
+      isPlanned: !!dedication.isPlanned
+    };
+  });
+}
+
+/**
+ * Check whether the dedication rule stops the actor taking a new dedication
+ * @param {Actor} actor - The actor, or a projected actor
+ * @returns {Object|null} The unfinished archetype's progress plus a `reason`, or null if a new dedication is allowed
+ */
+export function getDedicationBlock(actor) {
+  const unfinished = getArchetypeProgress(actor).find(progress => !progress.complete);
+  if (!unfinished) return null;
+
+  return {
+    ...unfinished,
+    reason: `Needs ${unfinished.required} ${unfinished.name} archetype feats before another dedication (has ${unfinished.count})`
+  };
+}
+
 /**
  * Get all mythic dedications actor has
  * @param {Actor} actor - The actor
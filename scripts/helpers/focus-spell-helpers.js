@@ -0,0 +1,152 @@
+// Focus Spell Helpers - Focus spells granted by feats and class features, and the focus pool they feed
+import { debugLog } from '../module.js';
+import { FEAT_CHOICE_KEYS } from '../build-plan-schema.js';
+import { getClassFeaturesForLevel } from './class-features-helpers.js';
+import { getSpellTradition } from './spell-helpers.js';
+
+// A focus pool never holds more than this many points
+export const FOCUS_POOL_MAX = 3;
+
+// Focus spell tradition for classes without a spellcasting tradition of their own
+const CLASS_FOCUS_TRADITIONS = {
+  champion: 'divine',
+  monk: 'divine',
+  ranger: 'primal'
+};
+
+/**
+ * Check whether an item is a focus spell
+ * @param {Item|null} item - The item
+ * @returns {boolean} True for focus spells
+ */
+export function isFocusSpell(item) {
+  return item?.type === 'spell' && !!item.system.traits?.value?.includes('focus');
+}
+
+/**
+ * Get the focus spells an item grants through GrantItem rule elements
+ * Only literal UUIDs are followed; grants that depend on a choice made when the item is added can't be resolved ahead of time.
+ * @param {Item} item - Feat or class feature
+ * @returns {Promise<Array<Item>>} Granted focus spells
+ */
+export async function getGrantedFocusSpells(item) {
+  const spells = [];
+
+  for (const rule of item?.system?.rules ?? []) {
+    if (rule?.key !== 'GrantItem' || typeof rule.uuid !== 'string' || rule.uuid.includes('{')) continue;
+
+    const granted = await fromUuid(rule.uuid).catch(() => null);
+    if (isFocusSpell(granted)) spells.push(granted);
+  }
+
+  return spells;
+}
+
+/**
+ * Find a focus spell the actor already has in a focus spellcasting entry
+ * @param {Actor} actor - The actor
+ * @param {Item} spell - The compendium spell
+ * @returns {Item|undefined} Owned focus spell
+ */
+export function findOwnedFocusSpell(actor, spell) {
+  const focusEntryIds = new Set(actor.itemTypes.spellcastingEntry.filter(isFocusEntry).map(e => e.id));
+
+  return actor.itemTypes.spell.find(i =>
+    focusEntryIds.has(i.system.location?.value) &&
+    (i.sourceId === spell.uuid || i.flags?.core?.sourceId === spell.uuid || i.name === spell.name)
+  );
+}
+
+/**
+ * Get the focus spells gained at a level from the chosen feats and the class features for that level
+ * @param {Actor} actor - The actor
+ * @param {number} level - Level being taken
+ * @param {Object} choices - Level choices
+ * @param {Set<string>} known - UUIDs of focus spells already gained earlier in the same level-up
+ * @returns {Promise<Array<Object>>} { uuid, name, spell, source } for each focus spell the actor doesn't have yet
+ */
+export async function getFocusSpellGains(actor, level, choices, known = new Set()) {
+  const sources = [];
+  for (const key of FEAT_CHOICE_KEYS) {
+    if (!choices[key]) continue;
+    const feat = await fromUuid(choices[key]).catch(() => null);
+    if (feat) sources.push(feat);
+  }
+  sources.push(...await getClassFeaturesForLevel(actor, level));
+
+  const gains = new Map();
+  for (const source of sources) {
+    for (const spell of await getGrantedFocusSpells(source)) {
+      if (gains.has(spell.uuid) || known.has(spell.uuid) || findOwnedFocusSpell(actor, spell)) continue;
+      gains.set(spell.uuid, { uuid: spell.uuid, name: spell.name, spell, source: source.name });
+    }
+  }
+
+  debugLog('getFocusSpellGains', `Level ${level}: ${gains.size} focus spell(s) gained`, [...gains.keys()]);
+  return [...gains.values()];
+}
+
+/**
+ * Get the focus pool size after gaining focus spells
+ * Each focus spell gained adds a point, up to FOCUS_POOL_MAX.
+ * @param {number} currentMax - Current focus pool maximum
+ * @param {number} gained - Number of focus spells gained
+ * @returns {Object} { from, to }
+ */
+export function getFocusPoolChange(currentMax, gained) {
+  return { from: currentMax, to: Math.max(currentMax, Math.min(FOCUS_POOL_MAX, currentMax + gained)) };
+}
+
+/**
+ * Get the actor's stored focus pool maximum
+ * @param {Actor} actor - The actor
+ * @returns {number} Focus pool maximum
+ */
+export function getFocusPoolMax(actor) {
+  return actor._source.system.resources?.focus?.max ?? 0;
+}
+
+/**
+ * Get the actor's focus spellcasting entry
+ * @param {Actor} actor - The actor
+ * @returns {Item|null} Focus spellcasting entry
+ */
+export function getFocusSpellcastingEntry(actor) {
+  return actor.itemTypes.spellcastingEntry.find(isFocusEntry) ?? null;
+}
+
+/**
+ * Get the actor's focus spellcasting entry, creating one if there isn't one
+ * @param {Actor} actor - The actor
+ * @returns {Promise<Item>} Focus spellcasting entry
+ */
+export async function getOrCreateFocusSpellcastingEntry(actor) {
+  const existing = getFocusSpellcastingEntry(actor);
+  if (existing) return existing;
+
+  const classItem = actor.items.find(i => i.type === 'class');
+  const classSlug = classItem?.slug || classItem?.name?.toLowerCase().replace(/\s+/g, '-');
+  const tradition = getSpellTradition(actor) || CLASS_FOCUS_TRADITIONS[classSlug] || 'divine';
+
+  const [entry] = await actor.createEmbeddedDocuments('Item', [{
+    name: classItem ? `${classItem.name} Focus Spells` : 'Focus Spells',
+    type: 'spellcastingEntry',
+    system: {
+      prepared: { value: 'focus' },
+      tradition: { value: tradition },
+      ability: { value: actor.system.details?.keyability?.value || 'cha' }
+    }
+  }]);
+
+  debugLog('getOrCreateFocusSpellcastingEntry', `Created focus spellcasting entry "${entry.name}" (${tradition})`);
+  return entry;
+}
+
+/**
+ * Check whether a spellcasting entry holds focus spells
+ * @param {Item} entry - Spellcasting entry
+ * @returns {boolean} True for focus entries
+ */
+function isFocusEntry(entry) {
+  return entry.system?.prepared?.value === 'focus';
+}
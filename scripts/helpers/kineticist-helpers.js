@@ -0,0 +1,196 @@
+// Kineticist Helpers - Kinetic gates and the gate's threshold choice at levels 5, 9, 13 and 17
+import { MODULE_NAME, debugLog } from '../module.js';
+import { getPackId } from '../system-config.js';
+
+// The six elements a kineticist can open a gate to
+export const KINETIC_ELEMENTS = ['air', 'earth', 'fire', 'metal', 'water', 'wood'];
+
+// Levels with a Gate's Threshold
+export const GATE_THRESHOLD_LEVELS = [5, 9, 13, 17];
+
+// Junctions an existing gate can gain through Expand the Portal
+export const GATE_JUNCTIONS = {
+  impulse: 'Impulse Junction',
+  'critical-blast': 'Critical Blast Junction',
+  skill: 'Skill Junction',
+  resistance: 'Resistance Junction'
+};
+
+// Actor flag recording applied gate's thresholds as [{ level, type, element, junction? }]
+const GATE_FLAG = 'gateThresholds';
+
+// Gate class features, e.g. "fire-gate"
+const GATE_SLUG_PATTERN = new RegExp(`^(${KINETIC_ELEMENTS.join('|')})-gate$`);
+
+// Class features whose ChoiceSet selection is an element the kineticist has a gate to
+const GATE_CHOICE_SLUGS = ['kinetic-gate', 'fork-the-path', 'gates-threshold'];
+
+/**
+ * Check if an actor (or projected actor) is a kineticist
+ * @param {Actor|Object} actor - The actor
+ * @returns {boolean} True for kineticists
+ */
+export function isKineticist(actor) {
+  const classItem = actor.items.find(i => i.type === 'class');
+  const classSlug = classItem?.slug || classItem?.name?.toLowerCase().replace(/\s+/g, '-');
+  return classSlug === 'kineticist';
+}
+
+/**
+ * Check if a level has a Gate's Threshold for the actor
+ * @param {Actor} actor - The actor
+ * @param {number} level - Character level
+ * @returns {boolean} True at kineticist threshold levels
+ */
+export function isGateThresholdLevel(actor, level) {
+  return GATE_THRESHOLD_LEVELS.includes(level) && isKineticist(actor);
+}
+
+/**
+ * Get the elements an actor has a gate to
+ * Gates are found by the slug of their class feature, by element selections on the Kinetic Gate
+ * rule elements, and by gate's thresholds this module applied. Planned gates on a projected actor
+ * (see projected-actor.js) count too.
+ * @param {Actor|Object} actor - The actor or projected actor
+ * @returns {Array<string>} Elements, e.g. ['fire', 'metal']
+ */
+export function getKineticGates(actor) {
+  const gates = new Set();
+
+  for (const item of actor.items) {
+    const slug = item.slug ?? item.system?.slug ?? '';
+    const match = slug.match(GATE_SLUG_PATTERN);
+    if (match) gates.add(match[1]);
+
+    if (!GATE_CHOICE_SLUGS.includes(slug)) continue;
+    for (const rule of item.system?.rules ?? []) {
+      if (rule?.key === 'ChoiceSet' && KINETIC_ELEMENTS.includes(rule.selection)) gates.add(rule.selection);
+    }
+  }
+
+  for (const threshold of getAppliedGateThresholds(actor)) {
+    if (threshold.type === 'fork') gates.add(threshold.element);
+  }
+
+  return KINETIC_ELEMENTS.filter(element => gates.has(element));
+}
+
+/**
+ * Get the gate's thresholds this module applied to an actor
+ * @param {Actor|Object} actor - The actor or projected actor
+ * @returns {Array<Object>} { level, type, element, junction? }
+ */
+export function getAppliedGateThresholds(actor) {
+  const source = actor.isProjection ? actor.source : actor;
+  return source?.flags?.[MODULE_NAME]?.[GATE_FLAG] ?? [];
+}
+
+/**
+ * Get the gate's threshold options at a level, after the actor's gates and the planned steps before it
+ * @param {Actor} actor - The actor
+ * @param {Array<Object>} steps - Earlier planned steps as { level, choices }
+ * @param {Object|null} current - The gate's threshold chosen at this level
+ * @returns {Object} { forks: Array, gates: Array<{ element, name, junctions: Array }>, current: string|null }
+ */
+export function getGateThresholdOptions(actor, steps, current) {
+  const gates = new Set(getKineticGates(actor));
+  const taken = new Set(getAppliedGateThresholds(actor)
+    .filter(threshold => threshold.type === 'junction')
+    .map(threshold => `${threshold.element}:${threshold.junction}`));
+
+  for (const step of steps) {
+    const threshold = step.choices?.gateThreshold;
+    if (threshold?.type === 'fork') gates.add(threshold.element);
+    if (threshold?.type === 'junction') taken.add(`${threshold.element}:${threshold.junction}`);
+  }
+
+  const currentValue = encodeGateThreshold(current);
+
+  return {
+    forks: KINETIC_ELEMENTS.filter(element => !gates.has(element)).map(element => ({
+      value: `fork:${element}`,
+      name: `${getElementName(element)} Gate`,
+      selected: currentValue === `fork:${element}`
+    })),
+    gates: KINETIC_ELEMENTS.filter(element => gates.has(element)).map(element => ({
+      element,
+      name: `${getElementName(element)} Gate`,
+      junctions: Object.entries(GATE_JUNCTIONS)
+        .filter(([junction]) => !taken.has(`${element}:${junction}`))
+        .map(([junction, label]) => ({
+          value: `junction:${element}:${junction}`,
+          name: `${getElementName(element)} ${label}`,
+          selected: currentValue === `junction:${element}:${junction}`
+        }))
+    })),
+    current: describeGateThreshold(current)
+  };
+}
+
+/**
+ * Turn a gate's threshold choice into a select value
+ * @param {Object|null} threshold - { type: 'fork', element } or { type: 'junction', element, junction }
+ * @returns {string} 'fork:<element>', 'junction:<element>:<junction>' or ''
+ */
+export function encodeGateThreshold(threshold) {
+  if (threshold?.type === 'fork') return `fork:${threshold.element}`;
+  if (threshold?.type === 'junction') return `junction:${threshold.element}:${threshold.junction}`;
+  return '';
+}
+
+/**
+ * Turn a select value back into a gate's threshold choice
+ * @param {string} value - Value from encodeGateThreshold()
+ * @returns {Object|null} Gate's threshold choice, or null for no choice or an invalid value
+ */
+export function parseGateThreshold(value) {
+  const [type, element, junction] = (value || '').split(':');
+  if (!KINETIC_ELEMENTS.includes(element)) return null;
+  if (type === 'fork') return { type, element };
+  if (type === 'junction' && GATE_JUNCTIONS[junction]) return { type, element, junction };
+  return null;
+}
+
+/**
+ * Describe a gate's threshold choice
+ * @param {Object|null} threshold - Gate's threshold choice
+ * @returns {string|null} e.g. "Fork the Path: Water Gate" or "Expand the Portal: Fire Impulse Junction"
+ */
+export function describeGateThreshold(threshold) {
+  if (threshold?.type === 'fork') return `Fork the Path: ${getElementName(threshold.element)} Gate`;
+  if (threshold?.type === 'junction') {
+    return `Expand the Portal: ${getElementName(threshold.element)} ${GATE_JUNCTIONS[threshold.junction] ?? threshold.junction}`;
+  }
+  return null;
+}
+
+/**
+ * Find the class feature a gate's threshold grants in the class features compendium
+ * Forking the path grants the new element's gate; junctions are looked up under the slugs the system uses for them.
+ * @param {Object} threshold - Gate's threshold choice
+ * @returns {Promise<Item|null>} Class feature, or null if the compendium has none
+ */
+export async function findGateThresholdFeature(threshold) {
+  const pack = game.packs.get(getPackId('classfeatures'));
+  if (!pack || !threshold) return null;
+
+  const { element, junction } = threshold;
+  const slugs = threshold.type === 'fork'
+    ? [`${element}-gate`]
+    : [`${element}-${junction}-junction`, `${element}-gate-${junction}-junction`, `${junction}-junction-${element}`];
+
+  const index = await pack.getIndex({ fields: ['system.slug'] });
+  const entry = index.find(e => slugs.includes(e.system?.slug ?? e.name.slugify()));
+
+  debugLog('findGateThresholdFeature', `${describeGateThreshold(threshold)}: ${entry ? entry.name : 'no class feature found'}`);
+  return entry ? fromUuid(entry.uuid) : null;
+}
+
+/**
+ * Get an element's display name
+ * @param {string} element - Element key
+ * @returns {string} e.g. "Fire"
+ */
+function getElementName(element) {
+  return element.charAt(0).toUpperCase() + element.slice(1);
+}
@@ -0,0 +1,353 @@
+// Prerequisite Parser - Turns feat prerequisite text into structured clauses and evaluates them
+import { debugLog } from '../module.js';
+import { SKILLS, SKILL_PROFICIENCY_RANKS } from './skills-helpers.js';
+
+// Clause evaluation results
+export const PREREQ_STATUS = {
+  MET: 'met',
+  UNMET: 'unmet',
+  UNKNOWN: 'unknown'
+};
+
+const RANK_WORDS = ['untrained', 'trained', 'expert', 'master', 'legendary'];
+
+const ATTRIBUTES = {
+  strength: 'str', dexterity: 'dex', constitution: 'con', intelligence: 'int', wisdom: 'wis', charisma: 'cha',
+  str: 'str', dex: 'dex', con: 'con', int: 'int', wis: 'wis', cha: 'cha'
+};
+
+const SAVES = ['fortitude', 'reflex', 'will'];
+
+// Lowercase words allowed inside a title-cased feat or feature name
+const NAME_SMALL_WORDS = new Set(['a', 'an', 'and', 'at', 'by', 'for', 'from', 'in', 'of', 'on', 'or', 'the', 'to', 'with']);
+
+/**
+ * Parse one prerequisite entry into a clause tree
+ *
+ * Clause types:
+ * - { type: 'or' | 'and', clauses }
+ * - { type: 'proficiency', stat: 'skill' | 'lore' | 'anySkill' | 'anyLore' | 'perception' | 'save', key, rank }
+ * - { type: 'attribute', attribute, modifier }
+ * - { type: 'feat', name } (a feat or other item by exact name)
+ * - { type: 'classFeature', name }
+ * - { type: 'ancestry', name } / { type: 'heritage', name }
+ * - { type: 'deity', name } (name is null for "you follow a deity")
+ * - { type: 'unknown' }
+ * Every clause also carries the source `text` it was parsed from.
+ *
+ * @param {string} text - Prerequisite text (e.g. "expert in Athletics or Acrobatics")
+ * @returns {Object} Clause tree
+ */
+export function parsePrerequisite(text) {
+  const source = String(text ?? '').trim().replace(/\.$/, '');
+  if (!source) return { type: 'unknown', text: source };
+
+  if (source.includes(';')) {
+    return combine('and', source, source.split(';').map(part => parsePrerequisite(part)));
+  }
+
+  // Split "A, B, or C" / "A or B"; later parts inherit a proficiency rank ("expert in Athletics or Acrobatics")
+  if (/\bor\b/i.test(source)) {
+    const parts = splitList(source, 'or');
+    if (parts.length > 1) return combine('or', source, parseParts(parts));
+  }
+
+  // Only split on "and" when every part is understood on its own, so names like "Sword and Pistol" stay intact
+  if (/\band\b/i.test(source)) {
+    const parts = splitList(source, 'and');
+    if (parts.length > 1) {
+      const clauses = parseParts(parts);
+      if (clauses.every(clause => clause.type !== 'unknown' && clause.type !== 'feat')) {
+        return combine('and', source, clauses);
+      }
+    }
+  }
+
+  return parseClause(source);
+}
+
+/**
+ * Evaluate a clause tree against an actor
+ * @param {Actor} actor - The actor
+ * @param {Object} clause - Clause from parsePrerequisite()
+ * @returns {Object} { text, status, clauses? } with nested results for "or"/"and"
+ */
+export function evaluatePrerequisite(actor, clause) {
+  if (clause.type === 'or' || clause.type === 'and') {
+    const results = clause.clauses.map(child => evaluatePrerequisite(actor, child));
+    const statuses = results.map(result => result.status);
+
+    let status;
+    if (clause.type === 'or') {
+      status = statuses.includes(PREREQ_STATUS.MET) ? PREREQ_STATUS.MET
+        : statuses.includes(PREREQ_STATUS.UNKNOWN) ? PREREQ_STATUS.UNKNOWN : PREREQ_STATUS.UNMET;
+    } else {
+      status = statuses.includes(PREREQ_STATUS.UNMET) ? PREREQ_STATUS.UNMET
+        : statuses.includes(PREREQ_STATUS.UNKNOWN) ? PREREQ_STATUS.UNKNOWN : PREREQ_STATUS.MET;
+    }
+
+    return { text: clause.text, type: clause.type, status, clauses: results };
+  }
+
+  return { text: clause.text, type: clause.type, status: evaluateClause(actor, clause) };
+}
+
+/**
+ * Parse and evaluate a feat's prerequisites
+ * @param {Actor} actor - The actor
+ * @param {Item} feat - The feat
+ * @returns {Array<Object>} One evaluated clause tree per prerequisite entry
+ */
+export function evaluateFeatPrerequisites(actor, feat) {
+  const prereqs = feat.system.prerequisites?.value || [];
+
+  return prereqs.map(prereq => {
+    const text = typeof prereq === 'string' ? prereq : prereq?.value;
+    const result = evaluatePrerequisite(actor, parsePrerequisite(text));
+    debugLog('evaluateFeatPrerequisites', `${feat.name}: "${text}" is ${result.status}`, result);
+    return result;
+  });
+}
+
+// ============================================================================
+// PARSING
+// ============================================================================
+
+/**
+ * Split a list on commas and a connective ("A, B, or C")
+ * @param {string} text - Text to split
+ * @param {string} connective - 'or' or 'and'
+ * @returns {Array<string>} Parts
+ */
+function splitList(text, connective) {
+  return text
+    .split(new RegExp(`\\s*,\\s*(?:${connective}\\s+)?|\\s+${connective}\\s+`, 'i'))
+    .map(part => part.trim())
+    .filter(Boolean);
+}
+
+/**
+ * Parse list parts, letting bare skill/save names inherit the previous proficiency rank
+ * @param {Array<string>} parts - Parts of a list
+ * @returns {Array<Object>} Clauses
+ */
+function parseParts(parts) {
+  let previous = null;
+
+  return parts.map(part => {
+    let clause = parseClause(part);
+    if (previous?.type === 'proficiency' && (clause.type === 'feat' || clause.type === 'unknown')) {
+      const inherited = parseProficiencyTarget(part.toLowerCase(), previous.rank);
+      if (inherited) clause = { ...inherited, text: part };
+    }
+    if (clause.type === 'proficiency') previous = clause;
+    return clause;
+  });
+}
+
+/**
+ * Build an "or"/"and" node, collapsing single-clause lists
+ * @param {string} type - 'or' or 'and'
+ * @param {string} text - Source text
+ * @param {Array<Object>} clauses - Child clauses
+ * @returns {Object} Clause
+ */
+function combine(type, text, clauses) {
+  const filtered = clauses.filter(clause => clause.text);
+  if (filtered.length === 1) return filtered[0];
+  return { type, text, clauses: filtered };
+}
+
+/**
+ * Parse a single clause with no connectives
+ * @param {string} text - Clause text
+ * @returns {Object} Clause
+ */
+function parseClause(text) {
+  const source = text.trim();
+  const lower = source.toLowerCase();
+
+  // Proficiency: "expert in Athletics", "trained in Warfare Lore", "master in Perception"
+  const proficiency = lower.match(/^(untrained|trained|expert|master|legendary) (?:in|with) (.+)$/);
+  if (proficiency) {
+    const target = parseProficiencyTarget(proficiency[2], RANK_WORDS.indexOf(proficiency[1]));
+    return target ? { ...target, text: source } : { type: 'unknown', text: source };
+  }
+
+  // Attribute modifier: "Strength +2" (remaster) or "Strength 14" (legacy score, converted to a modifier)
+  const attribute = lower.match(/^(strength|dexterity|constitution|intelligence|wisdom|charisma|str|dex|con|int|wis|cha)\s+([+-]?\d+)$/);
+  if (attribute) {
+    const value = parseInt(attribute[2], 10);
+    const isScore = !/^[+-]/.test(attribute[2]) && value >= 10;
+    return {
+      type: 'attribute',
+      attribute: ATTRIBUTES[attribute[1]],
+      modifier: isScore ? Math.floor((value - 10) / 2) : value,
+      text: source
+    };
+  }
+
+  const classFeature = source.match(/^(.+?) class feature$/i);
+  if (classFeature) return { type: 'classFeature', name: classFeature[1], text: source };
+
+  const heritage = source.match(/^(.+?) heritage$/i);
+  if (heritage) return { type: 'heritage', name: heritage[1], text: source };
+
+  const ancestry = source.match(/^(.+?) ancestry$/i);
+  if (ancestry) return { type: 'ancestry', name: ancestry[1], text: source };
+
+  // Deity: "you follow a deity", "worshipper of Gorum", "follower of Sarenrae"
+  if (/^(?:you )?(?:have|follow|worship) a deity$/i.test(source)) {
+    return { type: 'deity', name: null, text: source };
+  }
+  const deity = source.match(/^(?:(?:you )?(?:follow|worship)|(?:follower|worshipper|worshiper|champion|cleric) of)\s+(.+)$/i);
+  if (deity) return { type: 'deity', name: deity[1], text: source };
+
+  // Feats: "Power Attack", "Fighter Dedication", "Shield Block feat"
+  const featName = source.replace(/\s+feat$/i, '');
+  if (/\s+feat$/i.test(source) || /dedication$/i.test(source) || isTitleCaseName(featName)) {
+    return { type: 'feat', name: featName, text: source };
+  }
+
+  return { type: 'unknown', text: source };
+}
+
+/**
+ * Parse what a proficiency clause applies to
+ * @param {string} target - Lowercase target text (e.g. "athletics", "warfare lore", "fortitude saves")
+ * @param {number} rank - Required rank
+ * @returns {Object|null} Proficiency clause without text, or null if not recognized
+ */
+function parseProficiencyTarget(target, rank) {
+  const key = target.trim().replace(/^(?:the )?/, '');
+
+  if (key === 'perception') return { type: 'proficiency', stat: 'perception', key, rank };
+
+  const save = key.match(/^(fortitude|reflex|will)(?: saves?| saving throws?)?$/);
+  if (save) return { type: 'proficiency', stat: 'save', key: save[1], rank };
+
+  if (SKILLS.includes(key)) return { type: 'proficiency', stat: 'skill', key, rank };
+
+  if (/^(?:at least one |a )?skills?$/.test(key)) return { type: 'proficiency', stat: 'anySkill', key, rank };
+  if (/^(?:at least one |a )?lore(?: skills?)?$/.test(key)) return { type: 'proficiency', stat: 'anyLore', key, rank };
+
+  const lore = key.match(/^(.+?) lore$/);
+  if (lore) return { type: 'proficiency', stat: 'lore', key: lore[1], rank };
+
+  return null;
+}
+
+/**
+ * Check whether text looks like a proper name ("Power Attack", "Shield Block")
+ * @param {string} text - Text
+ * @returns {boolean} True if every significant word is capitalized
+ */
+function isTitleCaseName(text) {
+  const words = text.split(/\s+/);
+  return /^[A-Z]/.test(text) && words.every((word, index) =>
+    /^[A-Z0-9(]/.test(word) || (index > 0 && NAME_SMALL_WORDS.has(word))
+  );
+}
+
+// ============================================================================
+// EVALUATION
+// ============================================================================
+
+/**
+ * Evaluate a leaf clause
+ * @param {Actor} actor - The actor
+ * @param {Object} clause - Leaf clause
+ * @returns {string} PREREQ_STATUS value
+ */
+function evaluateClause(actor, clause) {
+  const toStatus = (met) => met ? PREREQ_STATUS.MET : PREREQ_STATUS.UNMET;
+
+  switch (clause.type) {
+    case 'proficiency': {
+      const rank = getProficiencyRank(actor, clause);
+      return rank === null ? PREREQ_STATUS.UNKNOWN : toStatus(rank >= clause.rank);
+    }
+
+    case 'attribute': {
+      const modifier = actor.system.abilities?.[clause.attribute]?.mod;
+      return typeof modifier === 'number' ? toStatus(modifier >= clause.modifier) : PREREQ_STATUS.UNKNOWN;
+    }
+
+    case 'feat':
+      return toStatus(hasItemNamed(actor, ['feat', 'heritage', 'ancestry', 'class', 'background'], clause.name));
+
+    case 'classFeature':
+      if (/^spellcasting$/i.test(clause.name)) {
+        return toStatus(actor.items.some(i => i.type === 'spellcastingEntry' && !['innate', 'focus', 'ritual'].includes(i.system?.prepared?.value)));
+      }
+      return toStatus(hasItemNamed(actor, ['feat'], clause.name));
+
+    case 'ancestry':
+      return toStatus(hasItemNamed(actor, ['ancestry'], clause.name));
+
+    case 'heritage':
+      return toStatus(hasItemNamed(actor, ['heritage'], clause.name));
+
+    case 'deity': {
+      const deity = actor.items.find(i => i.type === 'deity');
+      if (!clause.name) return toStatus(!!deity);
+      return toStatus(!!deity && normalizeName(deity.name) === normalizeName(clause.name));
+    }
+
+    default:
+      return PREREQ_STATUS.UNKNOWN;
+  }
+}
+
+/**
+ * Get the actor's proficiency rank for a proficiency clause
+ * @param {Actor} actor - The actor
+ * @param {Object} clause - Proficiency clause
+ * @returns {number|null} Rank, or null if the actor data doesn't say
+ */
+function getProficiencyRank(actor, clause) {
+  switch (clause.stat) {
+    case 'skill':
+      return actor.system.skills?.[clause.key]?.rank ?? null;
+
+    case 'anySkill':
+      return Math.max(SKILL_PROFICIENCY_RANKS.UNTRAINED, ...SKILLS.map(skill => actor.system.skills?.[skill]?.rank || 0));
+
+    case 'lore':
+    case 'anyLore': {
+      const lores = actor.items.filter(i => i.type === 'lore' &&
+        (clause.stat === 'anyLore' || normalizeName(i.name).replace(/ lore$/, '') === normalizeName(clause.key)));
+      return Math.max(SKILL_PROFICIENCY_RANKS.UNTRAINED, ...lores.map(lore => lore.system?.proficient?.value || 0));
+    }
+
+    case 'perception':
+      return actor.system.perception?.rank ?? null;
+
+    case 'save':
+      return actor.system.saves?.[clause.key]?.rank ?? null;
+
+    default:
+      return null;
+  }
+}
+
+/**
+ * Check whether the actor has an item of the given types with exactly this name
+ * @param {Actor} actor - The actor
+ * @param {Array<string>} types - Item types to search
+ * @param {string} name - Item name
+ * @returns {boolean} True if found
+ */
+function hasItemNamed(actor, types, name) {
+  const target = normalizeName(name);
+  return actor.items.some(i => types.includes(i.type) && normalizeName(i.name) === target);
+}
+
+/**
+ * Normalize a name for comparison (case, curly quotes, whitespace)
+ * @param {string} name - Name
+ * @returns {string} Normalized name
+ */
+function normalizeName(name) {
+  return String(name ?? '').toLowerCase().replace(/[’‘]/g, "'").replace(/\s+/g, ' ').trim();
+}
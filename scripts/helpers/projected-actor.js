@@ -0,0 +1,152 @@
+// Projected Actor - A read-only view of an actor with planned level choices layered on top
+import { debugLog } from '../module.js';
+import { ABILITIES, hasPartialBoost } from './ability-helpers.js';
+import { SKILLS, SKILL_PROFICIENCY_RANKS } from './skills-helpers.js';
+import { FEAT_CHOICE_KEYS } from '../build-plan-schema.js';
+
+/**
+ * Get the plan levels that will be taken before a target level
+ * Levels already applied to the actor are skipped, since the actor already reflects them.
+ * @param {Actor} actor - The actor
+ * @param {Object} plan - Build plan
+ * @param {number} targetLevel - Level being planned (exclusive)
+ * @returns {Array<Object>} Steps as { level, choices }, in order
+ */
+export function getPlannedSteps(actor, plan, targetLevel) {
+  const currentLevel = actor.system.details.level.value;
+  const steps = [];
+
+  for (let level = currentLevel + 1; level < targetLevel; level++) {
+    const levelData = plan?.levels?.[level];
+    if (levelData && !levelData.applied) {
+      steps.push({ level, choices: levelData.choices || {} });
+    }
+  }
+
+  return steps;
+}
+
+/**
+ * Build a projected actor from planned steps
+ *
+ * The projection exposes the parts of an actor that prerequisite checks and validators read:
+ * `system.abilities[*].mod`, `system.skills[*].rank`, `system.perception.rank`, `system.saves[*].rank`,
+ * `system.details.level.value` and `items` (owned items plus planned feats as { type, name, slug, uuid, system },
+ * and the gates a kineticist plans to open as { type, name, slug }).
+ *
+ * Planned feats are loaded as full documents, since compendium index entries lack the traits,
+ * prerequisites and category that dedication and prerequisite checks read.
+ *
+ * @param {Actor} actor - The actor
+ * @param {Array<Object>} steps - Planned steps as { level, choices }, in order
+ * @param {number} targetLevel - Level the projection represents
+ * @returns {Promise<Object>} Projected actor
+ */
+export async function createProjectedActor(actor, steps, targetLevel) {
+  const system = actor.system;
+
+  const abilities = {};
+  const partial = {};
+  for (const ability of ABILITIES) {
+    abilities[ability] = { mod: system.abilities?.[ability]?.mod ?? 0 };
+    partial[ability] = hasPartialBoost(actor, ability);
+  }
+
+  const skills = {};
+  for (const skill of SKILLS) {
+    skills[skill] = { rank: system.skills?.[skill]?.rank ?? 0 };
+  }
+
+  const saves = {};
+  for (const save of ['fortitude', 'reflex', 'will']) {
+    saves[save] = { rank: system.saves?.[save]?.rank ?? null };
+  }
+
+  const items = actor.items.map(item => item);
+
+  for (const step of steps) {
+    const choices = step.choices || {};
+
+    for (const key of FEAT_CHOICE_KEYS) {
+      const uuid = choices[key];
+      if (!uuid) continue;
+
+      const feat = await fromUuid(uuid).catch(() => null);
+      if (!feat?.name) continue;
+
+      items.push({
+        id: null,
+        uuid,
+        type: 'feat',
+        name: feat.name,
+        slug: feat.slug ?? feat.system?.slug ?? feat.name.slugify(),
+        system: feat.system ?? {},
+        isPlanned: true,
+        plannedLevel: step.level
+      });
+    }
+
+    // A kineticist forking the path opens a gate to a new element
+    if (choices.gateThreshold?.type === 'fork') {
+      const element = choices.gateThreshold.element;
+      items.push({
+        id: null,
+        type: 'feat',
+        name: `${element.charAt(0).toUpperCase()}${element.slice(1)} Gate`,
+        slug: `${element}-gate`,
+        system: { category: 'classfeature' },
+        isPlanned: true,
+        plannedLevel: step.level
+      });
+    }
+
+    for (const skill of choices.skillIncreases || []) {
+      if (!skills[skill]) continue;
+      skills[skill].rank = Math.min(skills[skill].rank + 1, SKILL_PROFICIENCY_RANKS.LEGENDARY);
+    }
+
+    // Boosts raise a modifier by 1, or give a partial boost at +4 and above (two partials make +1)
+    for (const ability of choices.abilityBoosts || []) {
+      if (!abilities[ability]) continue;
+      if (abilities[ability].mod < 4) {
+        abilities[ability].mod += 1;
+      } else if (partial[ability]) {
+        abilities[ability].mod += 1;
+        partial[ability] = false;
+      } else {
+        partial[ability] = true;
+      }
+    }
+  }
+
+  debugLog('createProjectedActor', `Projected ${actor.name} to level ${targetLevel} over ${steps.length} planned levels`);
+
+  return {
+    id: actor.id,
+    uuid: actor.uuid,
+    name: actor.name,
+    type: actor.type,
+    isProjection: true,
+    source: actor,
+    items,
+    system: {
+      ...system,
+      details: { ...system.details, level: { ...system.details?.level, value: targetLevel } },
+      abilities,
+      skills,
+      perception: { ...system.perception, rank: system.perception?.rank ?? null },
+      saves
+    }
+  };
+}
+
+/**
+ * Build a projected actor for a level of a build plan
+ * @param {Actor} actor - The actor
+ * @param {Object} plan - Build plan
+ * @param {number} targetLevel - Level being planned
+ * @returns {Promise<Object>} Projected actor (see createProjectedActor)
+ */
+export async function projectActorFromPlan(actor, plan, targetLevel) {
+  return createProjectedActor(actor, getPlannedSteps(actor, plan, targetLevel), targetLevel);
+}
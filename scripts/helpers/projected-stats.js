@@ -0,0 +1,251 @@
+// Projected Stats - Character statistics at a planned level, for checking whether a build hits its numbers
+import { debugLog } from '../module.js';
+import { ABILITIES, ABILITY_NAMES, formatModifier, getClassKeyAbility } from './ability-helpers.js';
+import * as SkillsHelpers from './skills-helpers.js';
+import * as SpellHelpers from './spell-helpers.js';
+import * as VariantRulesHelpers from './variant-rules-helpers.js';
+import { createProjectedActor, getPlannedSteps } from './projected-actor.js';
+
+const SAVES = {
+  fortitude: { label: 'Fortitude', ability: 'con' },
+  reflex: { label: 'Reflex', ability: 'dex' },
+  will: { label: 'Will', ability: 'wis' }
+};
+
+const DEFENSES = {
+  unarmored: 'Unarmored',
+  light: 'Light Armor',
+  medium: 'Medium Armor',
+  heavy: 'Heavy Armor'
+};
+
+// Rule element paths that raise a proficiency, mapped to a key in the rank table built below
+const RANK_PATHS = [
+  [/^system\.perception\.rank$/, () => 'perception'],
+  [/^system\.saves\.(\w+)\.rank$/, (m) => `saves.${m[1]}`],
+  [/^system\.skills\.(\w+)\.rank$/, (m) => `skills.${m[1]}`],
+  [/^system\.proficiencies\.defenses\.(\w+)\.rank$/, (m) => `defenses.${m[1]}`],
+  [/^system\.proficiencies\.classDCs\.[\w-]+\.rank$/, () => 'classDC'],
+  [/^system\.proficiencies\.spellcasting\.rank$/, () => 'spellcasting']
+];
+
+/**
+ * Get projected statistics for a level of a build plan
+ *
+ * Attribute modifiers and skill ranks come from the plan's boosts and skill increases. Perception, save, defense,
+ * class DC and spellcasting ranks come from the proficiency rules on the class item's features (and planned feats)
+ * gained up to the level. Modifiers include attribute and proficiency only, not items or temporary effects.
+ *
+ * @param {Actor} actor - The actor
+ * @param {Object} plan - Build plan
+ * @param {number} targetLevel - Level to project
+ * @returns {Promise<Object>} Projected statistics
+ */
+export async function getProjectedStats(actor, plan, targetLevel) {
+  const currentLevel = actor.system.details.level.value;
+  const level = Math.max(targetLevel, currentLevel);
+
+  // Include the target level's own choices
+  const steps = getPlannedSteps(actor, plan, level + 1);
+  const projected = await createProjectedActor(actor, steps, level);
+
+  const ranks = getCurrentRanks(actor);
+  for (const skill of SkillsHelpers.SKILLS) {
+    ranks[`skills.${skill}`] = projected.system.skills[skill].rank;
+  }
+
+  const rules = [
+    ...(await getClassFeatureRules(actor, currentLevel, level)),
+    ...projected.items.filter(i => i.isPlanned).flatMap(i => i.system?.rules ?? [])
+  ];
+  applyRankRules(ranks, rules);
+
+  const withoutLevel = VariantRulesHelpers.isProficiencyWithoutLevelEnabled();
+  const proficiency = (rank) => getProficiencyBonus(rank, level, withoutLevel);
+  const mods = Object.fromEntries(ABILITIES.map(ability => [ability, projected.system.abilities[ability].mod]));
+
+  const stat = (rank, ability, base = 0) => {
+    const value = base + (mods[ability] ?? 0) + proficiency(rank);
+    return {
+      rank,
+      rankName: SkillsHelpers.getRankName(rank),
+      rankKey: SkillsHelpers.getRankName(rank).toLowerCase(),
+      value,
+      display: base ? String(value) : formatModifier(value)
+    };
+  };
+
+  const attributes = ABILITIES.map(ability => {
+    const change = mods[ability] - (actor.system.abilities?.[ability]?.mod ?? 0);
+    return {
+      key: ability,
+      name: ABILITY_NAMES[ability],
+      mod: mods[ability],
+      display: formatModifier(mods[ability]),
+      change: change ? formatModifier(change) : null
+    };
+  });
+
+  const saves = Object.entries(SAVES).map(([key, { label, ability }]) => ({
+    key,
+    label,
+    ...stat(ranks[`saves.${key}`], ability)
+  }));
+
+  // AC depends on worn armor, so only the proficiency is projected
+  const defenses = Object.entries(DEFENSES)
+    .filter(([key]) => ranks[`defenses.${key}`] > 0)
+    .map(([key, label]) => {
+      const rankName = SkillsHelpers.getRankName(ranks[`defenses.${key}`]);
+      return { key, label, rankName, rankKey: rankName.toLowerCase() };
+    });
+
+  const skills = SkillsHelpers.SKILLS.map(skill => ({
+    key: skill,
+    name: SkillsHelpers.getSkillTranslation(skill),
+    ...stat(ranks[`skills.${skill}`], SkillsHelpers.getSkillAbility(skill))
+  })).sort((a, b) => a.name.localeCompare(b.name));
+
+  const keyAbility = getClassKeyAbility(actor);
+  const classDC = keyAbility && ranks.classDC > 0 ? stat(ranks.classDC, keyAbility, 10) : null;
+
+  let spellcasting = null;
+  const spellEntry = SpellHelpers.getClassSpellcastingEntry(actor);
+  if (spellEntry && ranks.spellcasting > 0) {
+    const ability = spellEntry.system?.ability?.value || keyAbility;
+    spellcasting = {
+      ability: ABILITY_NAMES[ability] ?? ability,
+      dc: stat(ranks.spellcasting, ability, 10),
+      attack: stat(ranks.spellcasting, ability)
+    };
+  }
+
+  const hp = getProjectedHP(actor, currentLevel, level, mods.con);
+
+  debugLog('getProjectedStats', `Projected stats for ${actor.name} at level ${level}`, { ranks, hp });
+
+  return {
+    level,
+    isCurrent: level === currentLevel,
+    attributes,
+    hp,
+    perception: stat(ranks.perception, 'wis'),
+    saves,
+    defenses,
+    classDC,
+    spellcasting,
+    skills
+  };
+}
+
+/**
+ * Read the actor's current proficiency ranks
+ * @param {Actor} actor - The actor
+ * @returns {Object} Rank table keyed like 'perception', 'saves.will', 'defenses.light', 'classDC', 'spellcasting'
+ */
+function getCurrentRanks(actor) {
+  const system = actor.system;
+  const ranks = {
+    perception: system.perception?.rank ?? 0,
+    classDC: actor.classDC?.rank ?? 0,
+    spellcasting: system.proficiencies?.spellcasting?.rank ?? 0
+  };
+
+  for (const save of Object.keys(SAVES)) {
+    ranks[`saves.${save}`] = system.saves?.[save]?.rank ?? 0;
+  }
+  for (const defense of Object.keys(DEFENSES)) {
+    ranks[`defenses.${defense}`] = system.proficiencies?.defenses?.[defense]?.rank ?? 0;
+  }
+
+  return ranks;
+}
+
+/**
+ * Collect rule elements from class features gained after the current level, up to the target level
+ * @param {Actor} actor - The actor
+ * @param {number} currentLevel - Current level (its features are already on the actor)
+ * @param {number} targetLevel - Target level
+ * @returns {Promise<Array<Object>>} Rule element data
+ */
+async function getClassFeatureRules(actor, currentLevel, targetLevel) {
+  const classItem = actor.items.find(i => i.type === 'class');
+  if (!classItem) return [];
+
+  const rules = [];
+  for (const feature of Object.values(classItem.system.items || {})) {
+    const featureLevel = feature.level || 0;
+    if (featureLevel <= currentLevel || featureLevel > targetLevel || !feature.uuid) continue;
+
+    try {
+      const item = await fromUuid(feature.uuid);
+      rules.push(...(item?.system?.rules ?? []));
+    } catch (e) {
+      debugLog('getClassFeatureRules', `Could not load feature ${feature.name}:`, e);
+    }
+  }
+
+  return rules;
+}
+
+/**
+ * Apply proficiency upgrades from ActiveEffectLike rule elements
+ * Rules with predicates are skipped since they only apply in some situations.
+ * @param {Object} ranks - Rank table (modified in place)
+ * @param {Array<Object>} rules - Rule element data
+ */
+function applyRankRules(ranks, rules) {
+  for (const rule of rules) {
+    if (rule?.key !== 'ActiveEffectLike' || rule.predicate?.length) continue;
+
+    const value = Number(rule.value);
+    if (!Number.isInteger(value)) continue;
+
+    for (const [pattern, toKey] of RANK_PATHS) {
+      const match = String(rule.path).match(pattern);
+      if (!match) continue;
+
+      const key = toKey(match);
+      if (rule.mode === 'upgrade') {
+        ranks[key] = Math.max(ranks[key] ?? 0, value);
+      } else if (rule.mode === 'override') {
+        ranks[key] = value;
+      }
+      break;
+    }
+  }
+}
+
+/**
+ * Get the proficiency bonus for a rank
+ * @param {number} rank - Proficiency rank
+ * @param {number} level - Character level
+ * @param {boolean} withoutLevel - Proficiency Without Level variant
+ * @returns {number} Proficiency bonus
+ */
+function getProficiencyBonus(rank, level, withoutLevel) {
+  if (!rank) return withoutLevel ? -2 : 0;
+  return rank * 2 + (withoutLevel ? 0 : level);
+}
+
+/**
+ * Project maximum HP: each new level adds class HP plus Constitution, and a higher Constitution applies to every level
+ * Other HP bonuses on the actor are carried over unchanged.
+ * @param {Actor} actor - The actor
+ * @param {number} currentLevel - Current level
+ * @param {number} targetLevel - Target level
+ * @param {number} projectedCon - Projected Constitution modifier
+ * @returns {Object} { value, change }
+ */
+function getProjectedHP(actor, currentLevel, targetLevel, projectedCon) {
+  const classItem = actor.items.find(i => i.type === 'class');
+  const classHP = classItem?.system?.hp ?? 0;
+  const currentCon = actor.system.abilities?.con?.mod ?? 0;
+  const currentMax = actor.system.attributes?.hp?.max ?? 0;
+
+  const value = currentMax
+    + (targetLevel - currentLevel) * (classHP + currentCon)
+    + (projectedCon - currentCon) * targetLevel;
+
+  return { value, change: value - currentMax };
+}
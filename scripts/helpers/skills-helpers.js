@@ -131,6 +131,18 @@ export function getRankColor(rank) {
   return rankColors[rank] || '#666666';
 }
 
+/**
+ * Get the highest proficiency rank a skill increase can reach at a level
+ * Master requires level 7 and legendary requires level 15
+ * @param {number} level - Character level
+ * @returns {number} Maximum proficiency rank
+ */
+export function getMaxSkillRankForLevel(level) {
+  if (level >= 15) return SKILL_PROFICIENCY_RANKS.LEGENDARY;
+  if (level >= 7) return SKILL_PROFICIENCY_RANKS.MASTER;
+  return SKILL_PROFICIENCY_RANKS.EXPERT;
+}
+
 /**
  * Check if skill can be increased
  * @param {Actor} actor - The actor
@@ -1,6 +1,7 @@
 // Spell Helpers - Spell filtering, tradition detection, and spell type logic
 import { MODULE_NAME, debugLog } from '../module.js';
 import dataProvider from '../data-provider.js';
+import { SPELL_CHOICE_KEYS } from '../build-plan-schema.js';
 
 /**
  * Get normalized class slug from class item
@@ -368,6 +369,138 @@ export function canReplaceSpells(actor) {
   return type === 'spontaneous';
 }
 
+/**
+ * Get the rank of a spell (0 for cantrips)
+ * @param {Item} spell - The spell
+ * @returns {number} Rank
+ */
+export function getSpellRank(spell) {
+  if (spell.system.traits?.value?.includes('cantrip')) return 0;
+  return spell.system.level?.value ?? 1;
+}
+
+/**
+ * Check whether a repertoire spell can be swapped for another spell on level up
+ * The replacement must be of the same or a lower rank (cantrips only for cantrips) and of the class tradition.
+ * @param {Actor} actor - The actor
+ * @param {Item} oldSpell - Spell being dropped
+ * @param {Item} newSpell - Replacement spell
+ * @returns {string|null} Reason the swap isn't allowed, or null if it is
+ */
+export function getSpellSwapError(actor, oldSpell, newSpell) {
+  const oldRank = getSpellRank(oldSpell);
+  const newRank = getSpellRank(newSpell);
+
+  if (oldRank === 0 && newRank !== 0) {
+    return `${oldSpell.name} is a cantrip and can only be swapped for another cantrip`;
+  }
+  if (oldRank > 0 && (newRank === 0 || newRank > oldRank)) {
+    return `${newSpell.name} must be a spell of rank ${oldRank} or lower`;
+  }
+
+  const tradition = getSpellTradition(actor);
+  if (tradition && !getSpellTraditions(newSpell).includes(tradition)) {
+    return `${newSpell.name} is not on the ${tradition} spell list`;
+  }
+
+  return null;
+}
+
+// Classes whose class item may not list the Signature Spells feature, and the level they gain it
+const SIGNATURE_SPELL_CLASSES = ['bard', 'sorcerer', 'oracle'];
+const SIGNATURE_SPELLS_LEVEL = 3;
+
+/**
+ * Get the level at which a spontaneous caster gains signature spells
+ * @param {Actor} actor - The actor
+ * @returns {number|null} Level, or null if the class has no signature spells
+ */
+export function getSignatureSpellsLevel(actor) {
+  if (!canReplaceSpells(actor)) return null;
+
+  const classItem = actor.items.find(i => i.type === 'class');
+  if (!classItem) return null;
+
+  const feature = Object.values(classItem.system.items || {}).find(f => f.name?.slugify() === 'signature-spells');
+  if (feature) return feature.level || SIGNATURE_SPELLS_LEVEL;
+
+  return SIGNATURE_SPELL_CLASSES.includes(getClassSlug(classItem)) ? SIGNATURE_SPELLS_LEVEL : null;
+}
+
+/**
+ * Get the spell ranks a spontaneous caster picks signature spells for at a level
+ * Every rank they can cast when they gain the feature, then each new rank as it arrives.
+ * @param {Actor} actor - The actor
+ * @param {number} level - Level to check
+ * @returns {Array<number>} Spell ranks (empty if there is nothing to pick)
+ */
+export function getSignatureSpellRanksAtLevel(actor, level) {
+  const gainedAt = getSignatureSpellsLevel(actor);
+  if (!gainedAt || level < gainedAt) return [];
+
+  if (level === gainedAt) {
+    return Array.from({ length: getHighestSpellRank(actor, level) }, (_, i) => i + 1);
+  }
+
+  const newRank = getNewSpellRankAtLevel(actor, level);
+  return newRank ? [newRank] : [];
+}
+
+/**
+ * Get the spells a spontaneous caster will have in their repertoire at a rank after some planned levels
+ * @param {Actor} actor - The actor
+ * @param {number} rank - Spell rank (1-10)
+ * @param {Array<Object>} steps - Planned levels as { level, choices }, whose learned and swapped spells are counted
+ * @returns {Promise<Array<Object>>} { uuid, name } sorted by name
+ */
+export async function getRepertoireSpellsAtRank(actor, rank, steps = []) {
+  const entry = getClassSpellcastingEntry(actor);
+  const spells = new Map();
+
+  for (const spell of actor.itemTypes.spell) {
+    if (entry && spell.system.location?.value !== entry.id) continue;
+    if (getSpellRank(spell) !== rank) continue;
+    spells.set(spell.sourceId || spell.flags?.core?.sourceId || spell.uuid, spell.name);
+  }
+
+  for (const { choices } of steps) {
+    const swap = choices.spellSwap;
+    if (swap?.remove && swap?.add) spells.delete(swap.remove);
+
+    const learned = [...SPELL_CHOICE_KEYS.flatMap(key => choices[key] || []), swap?.add].filter(Boolean);
+    for (const uuid of learned) {
+      if (spells.has(uuid)) continue;
+      const spell = await fromUuid(uuid).catch(() => null);
+      if (spell && getSpellRank(spell) === rank) spells.set(uuid, spell.name);
+    }
+  }
+
+  return [...spells.entries()]
+    .map(([uuid, name]) => ({ uuid, name }))
+    .sort((a, b) => a.name.localeCompare(b.name));
+}
+
+/**
+ * Build the signature spell picker for a level
+ * @param {Actor} actor - The actor
+ * @param {number} level - Level being chosen for
+ * @param {Array<Object>} steps - Planned levels up to and including this one, as { level, choices }
+ * @param {Array<string>} current - Signature spell UUIDs chosen at this level
+ * @returns {Promise<Array<Object>>} One entry per rank as { rank, options: [{ uuid, name, selected }], selected }
+ */
+export async function getSignatureSpellChoices(actor, level, steps, current = []) {
+  const choices = [];
+
+  for (const rank of getSignatureSpellRanksAtLevel(actor, level)) {
+    const options = (await getRepertoireSpellsAtRank(actor, rank, steps))
+      .map(spell => ({ ...spell, selected: current.includes(spell.uuid) }));
+
+    choices.push({ rank, options, selected: options.find(o => o.selected)?.uuid ?? null });
+  }
+
+  return choices;
+}
+
 /**
  * Get spell school from spell
  * @param {Item} spell - The spell
@@ -1,10 +1,12 @@
 // Spell Slot Progression Tables
 // Defines spell slots available at each level for each spellcasting class
 import { debugLog } from '../module.js';
+import { ClassProgressionRegistry } from '../class-progression-registry.js';
 
 /**
  * Individual class spell slot progressions
  * Each class has its own progression table mapping level -> {rank: slots}
+ * These are registered as the built-in entries of ClassProgressionRegistry, which is what lookups read.
  */
 const CLASS_PROGRESSIONS = {
   // WIZARD - Full caster (Prepared)
@@ -474,6 +476,10 @@ const CLASS_PROGRESSIONS = {
   }
 };
 
+for (const [classSlug, progression] of Object.entries(CLASS_PROGRESSIONS)) {
+  ClassProgressionRegistry.register(classSlug, progression, { source: 'built-in' });
+}
+
 /**
  * Get spell slots for a class at a specific level
  * @param {string} classSlug - Class slug (e.g., 'wizard', 'sorcerer')
@@ -481,7 +487,7 @@ const CLASS_PROGRESSIONS = {
  * @returns {Object} Spell slots by rank { 1: 2, 2: 0, ... }
  */
 export function getSpellSlotsAtLevel(classSlug, level) {
-  const progression = CLASS_PROGRESSIONS[classSlug];
+  const progression = ClassProgressionRegistry.get(classSlug);
   if (!progression) return {};
 
   return progression.spellSlots[level] || {};
@@ -530,12 +536,12 @@ export function getSpellsToLearnAtLevel(actor, level) {
 
   // Use slug if available, otherwise normalize the class name (for playtest classes)
   const classSlug = classItem.slug || classItem.name?.toLowerCase().replace(/\s+/g, '-');
-  const progression = CLASS_PROGRESSIONS[classSlug];
+  const progression = ClassProgressionRegistry.get(classSlug);
   
   // Debug logging to help identify unknown class slugs
   debugLog('getSpellsToLearnAtLevel', `Class slug: "${classSlug}", Name: "${classItem.name}", Has progression: ${!!progression}`);
   if (!progression) {
-    console.warn(`SpellSlotProgression | No spell progression found for class slug "${classSlug}". If this is a spellcaster, the slug may need to be added to CLASS_PROGRESSIONS.`);
+    console.warn(`SpellSlotProgression | No spell progression found for class slug "${classSlug}". If this is a spellcaster, register a progression for the slug with ClassProgressionRegistry or the Custom Class Progressions setting.`);
     return { totalSpells: 0, byRank: {}, highestRank: 0 };
   }
 
@@ -588,7 +594,7 @@ export function getSpellsToLearnAtLevel(actor, level) {
  * @returns {string} Learning rule ('prepared', 'spontaneous', 'auto')
  */
 export function getClassLearningRule(classSlug) {
-  const progression = CLASS_PROGRESSIONS[classSlug];
+  const progression = ClassProgressionRegistry.get(classSlug);
   return progression ? progression.learningRule : 'auto';
 }
 
@@ -608,7 +614,7 @@ export function requiresSpellSelection(classSlug) {
  * @returns {boolean} True if class is a wave caster
  */
 export function isWaveCaster(classSlug) {
-  const progression = CLASS_PROGRESSIONS[classSlug];
+  const progression = ClassProgressionRegistry.get(classSlug);
   return progression?.isWaveCaster === true;
 }
 
@@ -618,17 +624,18 @@ export function isWaveCaster(classSlug) {
  * @returns {boolean} True if class has dual spell lists
  */
 export function hasDualSpellLists(classSlug) {
-  const progression = CLASS_PROGRESSIONS[classSlug];
+  const progression = ClassProgressionRegistry.get(classSlug);
   return progression?.hasDualSpellLists === true;
 }
 
 /**
- * Get apparition spell slots for Animist at a specific level
+ * Get apparition (second list) spell slots for a dual-list class at a specific level
  * @param {number} level - Character level (1-20)
+ * @param {string} classSlug - Class slug (defaults to Animist)
  * @returns {Object} Apparition spell slots by rank { 0: 2, 1: 1, ... }
  */
-export function getApparitionSlotsAtLevel(level) {
-  const progression = CLASS_PROGRESSIONS['animist'];
+export function getApparitionSlotsAtLevel(level, classSlug = 'animist') {
+  const progression = ClassProgressionRegistry.get(classSlug);
   if (!progression?.apparitionSlots) return {};
   return progression.apparitionSlots[level] || {};
 }
@@ -642,7 +649,7 @@ export function getApparitionSlotsAtLevel(level) {
 export function getLostSpellSlotsAtLevel(classSlug, level) {
   if (level === 1) return {};  // Can't lose slots at level 1
 
-  const progression = CLASS_PROGRESSIONS[classSlug];
+  const progression = ClassProgressionRegistry.get(classSlug);
   if (!progression?.isWaveCaster) return {};
 
   const currentSlots = getSpellSlotsAtLevel(classSlug, level);
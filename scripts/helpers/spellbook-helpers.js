@@ -0,0 +1,112 @@
+// Spellbook Helpers - A prepared caster's spellbook across the levels of a build plan
+import { debugLog } from '../module.js';
+import { SPELL_CHOICE_KEYS } from '../build-plan-schema.js';
+import * as SpellHelpers from './spell-helpers.js';
+import * as SpellSlotProgression from './spell-slot-progression.js';
+import { getPlannedSteps } from './projected-actor.js';
+import { resolveClassProgression } from './class-progression-resolver.js';
+
+/**
+ * Check whether an actor's class keeps a spellbook (prepared casters that learn spells)
+ * @param {Actor} actor - The actor
+ * @returns {boolean} True for prepared casters like the wizard
+ */
+export function hasSpellbook(actor) {
+  const classSlug = getClassSlug(actor);
+  return !!classSlug && SpellSlotProgression.getClassLearningRule(classSlug) === 'prepared';
+}
+
+/**
+ * Get the spellbook at a level: spells the actor knows plus spells planned up to that level, by rank,
+ * checked against the prepared slots the class has at that level
+ *
+ * Each rank is flagged as:
+ * - 'empty' when it has slots but no spells to prepare in them
+ * - 'short' when it has fewer spells than slots, so some slots repeat a spell
+ * - 'ok' otherwise
+ *
+ * @param {Actor} actor - The actor
+ * @param {Object} plan - Build plan
+ * @param {number} targetLevel - Level to show the spellbook at
+ * @returns {Promise<Object>} { level, ranks: Array, warnings: Array<string>, totalSpells }
+ */
+export async function getSpellbook(actor, plan, targetLevel) {
+  const currentLevel = actor.system.details.level.value;
+  const level = Math.max(targetLevel, currentLevel);
+  const classSlug = getClassSlug(actor);
+
+  // Slot lookups only see a progression from the class item once it has been resolved
+  await resolveClassProgression(actor);
+
+  const slots = SpellSlotProgression.getSpellSlotsAtLevel(classSlug, level);
+  const previousSlots = level > 1 ? SpellSlotProgression.getSpellSlotsAtLevel(classSlug, level - 1) : {};
+
+  const byRank = new Map();
+  const addSpell = (rank, spell) => {
+    if (!byRank.has(rank)) byRank.set(rank, new Map());
+    const spells = byRank.get(rank);
+    if (!spells.has(spell.name)) spells.set(spell.name, spell);
+  };
+
+  // Spells already in the class spellcasting entry
+  const entry = SpellHelpers.getClassSpellcastingEntry(actor);
+  for (const spell of actor.itemTypes.spell) {
+    if (!entry || spell.system.location?.value !== entry.id) continue;
+    addSpell(SpellHelpers.getSpellRank(spell), { name: spell.name, img: spell.img, plannedLevel: null });
+  }
+
+  // Spells planned up to and including the target level
+  for (const step of getPlannedSteps(actor, plan, level + 1)) {
+    for (const key of SPELL_CHOICE_KEYS) {
+      for (const uuid of step.choices[key] || []) {
+        const spell = await fromUuid(uuid).catch(() => null);
+        if (!spell) continue;
+        addSpell(SpellHelpers.getSpellRank(spell), { name: spell.name, img: spell.img, plannedLevel: step.level });
+      }
+    }
+  }
+
+  const highestRank = Math.max(0, ...Object.keys(slots).map(Number).filter(rank => slots[rank] > 0), ...byRank.keys());
+  const ranks = [];
+  const warnings = [];
+
+  for (let rank = 0; rank <= highestRank; rank++) {
+    const spells = [...(byRank.get(rank)?.values() ?? [])].sort((a, b) => a.name.localeCompare(b.name));
+    const slotCount = rank === 0 ? null : (slots[rank] || 0);
+    const label = rank === 0 ? 'Cantrips' : `Rank ${rank}`;
+
+    let status = 'ok';
+    if (slotCount && spells.length === 0) {
+      status = 'empty';
+      warnings.push(`${label}: no spells to prepare in ${slotCount} slot(s)`);
+    } else if (slotCount && spells.length < slotCount) {
+      status = 'short';
+      warnings.push(`${label}: ${spells.length} spell(s) for ${slotCount} slots, so some slots repeat a spell`);
+    }
+
+    ranks.push({
+      rank,
+      label,
+      slots: slotCount,
+      spells,
+      status,
+      isNew: rank > 0 && slotCount > 0 && !previousSlots[rank]
+    });
+  }
+
+  const totalSpells = ranks.reduce((total, rank) => total + rank.spells.length, 0);
+  debugLog('getSpellbook', `Spellbook for ${actor.name} at level ${level}: ${totalSpells} spells`, ranks);
+
+  return { level, ranks, warnings, totalSpells };
+}
+
+/**
+ * Get the actor's class slug
+ * @param {Actor} actor - The actor
+ * @returns {string|null} Class slug
+ */
+function getClassSlug(actor) {
+  const classItem = actor.items.find(i => i.type === 'class');
+  if (!classItem) return null;
+  return classItem.slug || classItem.name?.toLowerCase().replace(/\s+/g, '-');
+}
@@ -145,6 +145,24 @@ export function isABPEnabled() {
   return setting !== 'noABP';
 }
 
+/**
+ * Check if Proficiency Without Level variant is enabled
+ * @returns {boolean} True if enabled
+ */
+export function isProficiencyWithoutLevelEnabled() {
+  try {
+    const systemId = getSystemId();
+    const settings = game.settings.settings;
+    if (settings.has(`${systemId}.proficiencyVariant`)) {
+      return game.settings.get(systemId, 'proficiencyVariant') === 'ProficiencyWithoutLevel';
+    }
+    return false;
+  } catch (error) {
+    debugLog('isProficiencyWithoutLevelEnabled', 'Error checking setting', error);
+    return false;
+  }
+}
+
 /**
  * Compare variant rules between two sets
  * @param {Object} rules1 - First set of variant rules
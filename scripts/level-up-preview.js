@@ -0,0 +1,69 @@
+// Level-Up Preview - Dry-run confirmation dialog shown before a level-up touches the actor
+import { MODULE_NAME } from './module.js';
+import BuildPlanApplicator from './build-plan-applicator.js';
+
+const PREVIEW_TEMPLATE = 'modules/intrinsics-pf2e-level-up-wizard/templates/level-up-preview.hbs';
+
+/**
+ * Show every change a level-up would make and let the user untick individual changes
+ * Returns the steps unchanged when the preview is disabled in settings
+ * @param {Actor} actor - The actor
+ * @param {Array<Object>} steps - Levels about to be applied as { level, choices }
+ * @returns {Promise<Array<Object>|null>} Steps with an `exclude` Set of unticked change IDs, or null if cancelled
+ */
+export async function confirmLevelUpPreview(actor, steps) {
+  if (!game.settings.get(MODULE_NAME, 'show-level-up-preview')) return steps;
+
+  const previews = await BuildPlanApplicator.previewLevels(actor, steps);
+  for (const preview of previews) {
+    preview.isEmpty = !preview.levelChange && !preview.focusPool && ['feats', 'spells', 'swaps', 'signatures', 'focusSpells', 'gates', 'runes', 'skills', 'boosts', 'slots', 'autoLearned']
+      .every(key => preview[key].length === 0);
+  }
+
+  const content = await renderTemplate(PREVIEW_TEMPLATE, {
+    actorName: actor.name,
+    previews,
+    multiLevel: previews.length > 1
+  });
+
+  return new Promise(resolve => {
+    new Dialog({
+      title: `Review Level Up - ${actor.name}`,
+      content,
+      buttons: {
+        confirm: {
+          icon: '<i class="fas fa-check"></i>',
+          label: 'Apply Changes',
+          callback: (html) => {
+            const excluded = {};
+            html.find('input[data-change-id]:not(:checked)').each((i, input) => {
+              const level = Number(input.dataset.level);
+              (excluded[level] ??= new Set()).add(input.dataset.changeId);
+            });
+
+            resolve(steps.map(step => ({ ...step, exclude: excluded[step.level] ?? new Set() })));
+          }
+        },
+        cancel: {
+          icon: '<i class="fas fa-times"></i>',
+          label: 'Cancel',
+          callback: () => resolve(null)
+        }
+      },
+      default: 'confirm',
+      close: () => resolve(null),
+      render: (html) => {
+        // Toggle every auto-learned spell for a level at once
+        html.find('input[data-toggle-group]').on('change', (event) => {
+          const group = event.currentTarget.dataset.toggleGroup;
+          html.find(`input[data-group="${group}"]`).prop('checked', event.currentTarget.checked);
+        });
+      }
+    }, {
+      classes: ['dialog', 'intrinsics-level-up-wizard', 'level-up-preview-dialog'],
+      width: 520,
+      height: 'auto',
+      resizable: true
+    }).render(true);
+  });
+}
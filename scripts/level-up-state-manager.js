@@ -50,7 +50,15 @@ export class LevelUpStateManager {
       additionalRank7Spells: [],
       additionalRank8Spells: [],
       additionalRank9Spells: [],
-      additionalRank10Spells: []
+      additionalRank10Spells: [],
+      // Spontaneous repertoire swap: { remove, add } spell UUIDs
+      spellSwap: null,
+      // Signature spell UUIDs, one per spell rank picked at this level
+      signatureSpells: [],
+      // Kineticist gate's threshold: { type: 'fork', element } or { type: 'junction', element, junction }
+      gateThreshold: null,
+      // Runesmith rune UUIDs added to the runic repertoire at this level
+      runes: []
     };
 
     this.complete = false;
@@ -104,8 +112,9 @@ export class LevelUpStateManager {
       return;
     }
 
-    // Copy choices from plan
-    this.choices = foundry.utils.deepClone(levelChoices);
+    // Copy choices from plan over the defaults, so keys older plans lack still exist
+    this.reset();
+    Object.assign(this.choices, foundry.utils.deepClone(levelChoices));
 
     debugLog('LevelUpStateManager.loadFromPlan', `Loaded choices from plan for level ${level}`, this.choices);
 
@@ -1,29 +1,62 @@
 // Level Up Wizard Application
 import { MODULE_NAME, debugLog } from './module.js';
 import BuildPlanManager from './build-plan-manager.js';
+import BuildPlanApplicator from './build-plan-applicator.js';
 import LevelUpStateManager from './level-up-state-manager.js';
+import RetrainingManager from './retraining-manager.js';
 import * as ClassFeaturesHelpers from './helpers/class-features-helpers.js';
+import * as FocusSpellHelpers from './helpers/focus-spell-helpers.js';
+import * as KineticistHelpers from './helpers/kineticist-helpers.js';
 import * as VariantRulesHelpers from './helpers/variant-rules-helpers.js';
 import * as SkillsHelpers from './helpers/skills-helpers.js';
 import * as SpellHelpers from './helpers/spell-helpers.js';
 import * as SpellSlotProgression from './helpers/spell-slot-progression.js';
+import { resolveClassProgression } from './helpers/class-progression-resolver.js';
+import { createProjectedActor } from './helpers/projected-actor.js';
 import { FeatSelectorApp } from './feat-selector.js';
 import { SpellSelectorApp } from './spell-selector.js';
-import dataProvider from './data-provider.js';
+import * as Validators from './validators.js';
+import { confirmLevelUpPreview } from './level-up-preview.js';
 
 /**
  * Level Up Wizard - Guide player through single level-up
  */
 export class LevelUpWizardApp extends foundry.applications.api.HandlebarsApplicationMixin(foundry.applications.api.ApplicationV2) {
-  constructor(actor, targetLevel) {
+  /**
+   * @param {Actor} actor - The actor leveling up
+   * @param {number} targetLevel - Level to reach
+   * @param {Object} options - Options
+   * @param {number} options.startLevel - First level to step through (catch-up mode when below targetLevel)
+   */
+  constructor(actor, targetLevel, options = {}) {
     super();
     this.actor = actor;
-    this.targetLevel = targetLevel || actor.system.details.level.value;
-    this.stateManager = new LevelUpStateManager(this.actor, this.targetLevel);
+
+    const currentLevel = actor.system.details.level.value;
+    this.finalLevel = targetLevel || currentLevel;
+
+    // Catch-up mode: step through every level from startLevel to finalLevel, applying once at the end
+    const startLevel = Math.min(options.startLevel ?? currentLevel + 1, this.finalLevel);
+    this.stepLevels = [];
+    for (let level = startLevel; level <= this.finalLevel; level++) {
+      this.stepLevels.push(level);
+    }
+    this.isCatchUp = this.stepLevels.length > 1;
+    this.stepStates = this.stepLevels.map(level => new LevelUpStateManager(this.actor, level));
 
     // Check for build plan
     this.buildPlan = BuildPlanManager.loadPlan(this.actor);
-    this.hasPlan = this.buildPlan && BuildPlanManager.hasChoicesForLevel(this.buildPlan, this.targetLevel);
+
+    // Catch-up steps are pre-filled from the plan instead of prompting for each level
+    if (this.isCatchUp && this.buildPlan) {
+      for (const state of this.stepStates) {
+        if (BuildPlanManager.hasChoicesForLevel(this.buildPlan, state.level)) {
+          state.loadFromPlan(this.buildPlan, state.level);
+        }
+      }
+    }
+
+    this._setStep(0);
 
     // Scroll position preservation
     this.scrollPosition = 0;
@@ -43,9 +76,14 @@ export class LevelUpWizardApp extends foundry.applications.api.HandlebarsApplica
     actions: {
       selectFeat: LevelUpWizardApp.prototype._onSelectFeat,
       selectSpell: LevelUpWizardApp.prototype._onSelectSpell,
+      swapSpell: LevelUpWizardApp.prototype._onSwapSpell,
+      clearSpellSwap: LevelUpWizardApp.prototype._onClearSpellSwap,
       toggleAbilityBoost: LevelUpWizardApp.prototype._onToggleAbilityBoost,
       toggleSkillIncrease: LevelUpWizardApp.prototype._onToggleSkillIncrease,
+      toggleRune: LevelUpWizardApp.prototype._onToggleRune,
       applyPlan: LevelUpWizardApp.prototype._onApplyPlan,
+      previousStep: LevelUpWizardApp.prototype._onPreviousStep,
+      nextStep: LevelUpWizardApp.prototype._onNextStep,
       submit: LevelUpWizardApp.prototype._onSubmit,
       cancel: LevelUpWizardApp.prototype._onCancel
     }
@@ -58,9 +96,107 @@ export class LevelUpWizardApp extends foundry.applications.api.HandlebarsApplica
   };
 
   get title() {
+    if (this.isCatchUp) {
+      return `Level Up Wizard - ${this.actor.name} (Level ${this.stepLevels[0]}-${this.finalLevel})`;
+    }
     return `Level Up Wizard - ${this.actor.name} (Level ${this.targetLevel})`;
   }
 
+  /**
+   * Switch the wizard to a catch-up step
+   * targetLevel and stateManager always point at the step being edited
+   * @param {number} index - Step index
+   * @private
+   */
+  _setStep(index) {
+    this.stepIndex = index;
+    this.targetLevel = this.stepLevels[index];
+    this.stateManager = this.stepStates[index];
+    this.hasPlan = !this.isCatchUp && this.buildPlan && BuildPlanManager.hasChoicesForLevel(this.buildPlan, this.targetLevel);
+  }
+
+  /**
+   * Get the steps before the current one, as projected state for validation
+   * @param {number} index - Step index (defaults to current step)
+   * @returns {Array<Object>} Earlier steps as { level, choices }
+   * @private
+   */
+  _getPreviousSteps(index = this.stepIndex) {
+    return this.stepStates.slice(0, index).map(state => ({ level: state.level, choices: state.choices }));
+  }
+
+  /**
+   * Count skill increases chosen in earlier catch-up steps
+   * @returns {Object} Map of skill key to number of increases
+   * @private
+   */
+  _getProjectedSkillIncreases() {
+    const increases = {};
+    for (const step of this._getPreviousSteps()) {
+      for (const skillKey of step.choices.skillIncreases || []) {
+        increases[skillKey] = (increases[skillKey] || 0) + 1;
+      }
+    }
+    return increases;
+  }
+
+  /**
+   * Build the repertoire swap section: spells that can be swapped out, grouped by rank, and the chosen swap
+   * Spells already swapped out in earlier catch-up steps are left out
+   * @returns {Promise<Object|null>} { ranks, current } or null if there is nothing to swap
+   * @private
+   */
+  async _getSpellSwapContext() {
+    const swap = this.stateManager.choices.spellSwap;
+    const swappedOut = new Set(this._getPreviousSteps().map(step => step.choices.spellSwap?.remove).filter(Boolean));
+
+    const ranks = new Map();
+    let current = null;
+    for (const spell of RetrainingManager.getRetrainableSpells(this.actor)) {
+      const uuid = spell.sourceId || spell.flags?.core?.sourceId || spell.uuid;
+      if (swappedOut.has(uuid)) continue;
+
+      const rank = SpellHelpers.getSpellRank(spell);
+      if (!ranks.has(rank)) {
+        ranks.set(rank, { rank, label: rank === 0 ? 'Cantrips' : `Rank ${rank}`, spells: [] });
+      }
+
+      const selected = swap?.remove === uuid;
+      ranks.get(rank).spells.push({ id: spell.id, uuid, name: spell.name, img: spell.img, selected });
+
+      if (selected && swap.add) {
+        const newSpell = await fromUuid(swap.add).catch(() => null);
+        current = { from: spell.name, to: newSpell?.name ?? swap.add };
+      }
+    }
+
+    if (ranks.size === 0) return null;
+    return { ranks: [...ranks.values()], current };
+  }
+
+  /**
+   * Work out the focus spells and focus pool gained at this step, after any gained in earlier catch-up steps
+   * @returns {Promise<Object>} { gains: Array<{ name, source }>, pool: { from, to }|null }
+   * @private
+   */
+  async _getFocusSpellSummary() {
+    const known = new Set();
+    let focusMax = FocusSpellHelpers.getFocusPoolMax(this.actor);
+    for (const step of this._getPreviousSteps()) {
+      const stepGains = await FocusSpellHelpers.getFocusSpellGains(this.actor, step.level, step.choices, known);
+      stepGains.forEach(gain => known.add(gain.uuid));
+      focusMax = FocusSpellHelpers.getFocusPoolChange(focusMax, stepGains.length).to;
+    }
+
+    const gains = await FocusSpellHelpers.getFocusSpellGains(this.actor, this.targetLevel, this.stateManager.choices, known);
+    const pool = FocusSpellHelpers.getFocusPoolChange(focusMax, gains.length);
+
+    return {
+      gains: gains.map(({ name, source }) => ({ name, source })),
+      pool: pool.to !== pool.from ? pool : null
+    };
+  }
+
   async _prepareContext(options) {
     const context = await super._prepareContext(options);
 
@@ -83,15 +219,61 @@ export class LevelUpWizardApp extends foundry.applications.api.HandlebarsApplica
 
     // Get skill increase count and available skills
     context.skillIncreaseCount = ClassFeaturesHelpers.getSkillIncreasesForLevel(this.actor, this.targetLevel);
-    context.availableSkills = context.skillIncreaseCount > 0 ? SkillsHelpers.getSkillsForLevel(this.actor, this.targetLevel) : [];
+    context.availableSkills = [];
+    if (context.skillIncreaseCount > 0) {
+      const maxRank = SkillsHelpers.getMaxSkillRankForLevel(this.targetLevel);
+      context.availableSkills = SkillsHelpers.getSkillsForLevel(this.actor, this.targetLevel, this._getProjectedSkillIncreases());
+      if (this.isCatchUp) {
+        for (const skill of context.availableSkills) {
+          skill.canIncrease = skill.canIncrease && skill.nextRank <= maxRank;
+        }
+      }
+    }
+
+    // Catch-up steps
+    context.isCatchUp = this.isCatchUp;
+    if (this.isCatchUp) {
+      context.finalLevel = this.finalLevel;
+      context.stepNumber = this.stepIndex + 1;
+      context.stepCount = this.stepLevels.length;
+      context.isFirstStep = this.stepIndex === 0;
+      context.isLastStep = this.stepIndex === this.stepLevels.length - 1;
+      context.steps = this.stepLevels.map((level, index) => ({
+        level,
+        isActive: index === this.stepIndex,
+        isDone: index < this.stepIndex,
+        fromPlan: !!this.buildPlan && BuildPlanManager.hasChoicesForLevel(this.buildPlan, level)
+      }));
+
+      const stepValidation = await Validators.validateCatchUpStep(
+        this.actor, this.targetLevel, this.stateManager.choices, this._getPreviousSteps()
+      );
+      context.stepErrors = stepValidation.errors;
+    }
 
     // Check if Runesmith and get progression info
     context.isRunesmith = ClassFeaturesHelpers.isRunesmith(this.actor);
     if (context.isRunesmith) {
       context.runesmithChanges = ClassFeaturesHelpers.getRunesmithChangesAtLevel(this.targetLevel);
       debugLog('LevelUpWizard', `Runesmith detected, changes at level ${this.targetLevel}:`, context.runesmithChanges);
+
+      // New runes fill the repertoire left after the runes picked in earlier catch-up steps
+      context.runeSelection = await ClassFeaturesHelpers.getRuneSelection(
+        this.actor, this.targetLevel, this._getPreviousSteps(), this.stateManager.choices.runes || []
+      );
+    }
+
+    // Kineticist gate's threshold, after any gates opened in earlier catch-up steps
+    if (KineticistHelpers.isGateThresholdLevel(this.actor, this.targetLevel)) {
+      context.gateThreshold = KineticistHelpers.getGateThresholdOptions(
+        this.actor, this._getPreviousSteps(), this.stateManager.choices.gateThreshold
+      );
     }
 
+    // Resolve the spell progression from the class item (falling back to the tables) before any slot lookups
+    if (!this.classProgression) this.classProgression = await resolveClassProgression(this.actor);
+    context.progressionMismatches = this.classProgression.mismatches;
+
     // Check if spellcaster and get spell info
     context.isSpellcaster = ClassFeaturesHelpers.isSpellcaster(this.actor);
     context.newSpellRank = ClassFeaturesHelpers.getNewSpellRankAtLevel(this.actor, this.targetLevel);
@@ -160,6 +342,22 @@ export class LevelUpWizardApp extends foundry.applications.api.HandlebarsApplica
           debugLog('LevelUpWizard', `Additional spell learning: rank ${learningRank}, maxSpells=${spellCount}, rule=${spellsToLearn.learningRule}`);
         }
       }
+
+      // Spontaneous casters may swap one repertoire spell each time they level up
+      if (this.targetLevel > 1 && SpellHelpers.canReplaceSpells(this.actor)) {
+        context.spellSwap = await this._getSpellSwapContext();
+      }
+
+      // Signature spells for the ranks picked at this level
+      const signatureSpellSelection = await SpellHelpers.getSignatureSpellChoices(
+        this.actor,
+        this.targetLevel,
+        [...this._getPreviousSteps(), { level: this.targetLevel, choices: this.stateManager.choices }],
+        this.stateManager.choices.signatureSpells || []
+      );
+      if (signatureSpellSelection.length > 0) {
+        context.signatureSpellSelection = signatureSpellSelection;
+      }
     }
 
     // Get class features for this level and enrich HTML for @UUID links
@@ -195,6 +393,11 @@ export class LevelUpWizardApp extends foundry.applications.api.HandlebarsApplica
       context.classFeatures.push(enrichedFeature);
     }
 
+    // Focus spells granted by this level's feats and class features
+    const focusSummary = await this._getFocusSpellSummary();
+    context.focusSpellGains = focusSummary.gains;
+    context.focusPool = focusSummary.pool;
+
     // Current choices from state manager
     context.choices = this.stateManager.choices;
 
@@ -384,11 +587,53 @@ export class LevelUpWizardApp extends foundry.applications.api.HandlebarsApplica
           required: true
         });
       }
+
+      // Signature spells (only ranks with a repertoire spell to pick)
+      const signatureRanks = (context.signatureSpellSelection || []).filter(rank => rank.options.length > 0);
+      if (signatureRanks.length > 0) {
+        totalRequirements++;
+        const chosen = signatureRanks.filter(rank => rank.selected).length;
+        const complete = chosen >= signatureRanks.length;
+        if (complete) completedRequirements++;
+        context.requirements.push({
+          name: `Signature Spells (${chosen}/${signatureRanks.length})`,
+          icon: 'fa-signature',
+          complete: complete,
+          required: true
+        });
+      }
+    }
+
+    // Gate's threshold (kineticist)
+    if (context.gateThreshold) {
+      totalRequirements++;
+      const complete = !!choices.gateThreshold;
+      if (complete) completedRequirements++;
+      context.requirements.push({
+        name: "Gate's Threshold",
+        icon: 'fa-dungeon',
+        complete: complete,
+        required: true
+      });
+    }
+
+    // Runic repertoire (runesmith), only required when the compendium has runes to pick
+    if (context.runeSelection?.options.length) {
+      totalRequirements++;
+      const needed = Math.min(context.runeSelection.maxRunes, context.runeSelection.options.length);
+      const complete = context.runeSelection.selected >= needed;
+      if (complete) completedRequirements++;
+      context.requirements.push({
+        name: `Runes (${context.runeSelection.selected}/${context.runeSelection.maxRunes})`,
+        icon: 'fa-hammer',
+        complete: complete,
+        required: true
+      });
     }
 
     // Progress tracking
     context.progressPercent = totalRequirements > 0 ? Math.round((completedRequirements / totalRequirements) * 100) : 100;
-    context.allRequirementsMet = completedRequirements >= totalRequirements;
+    context.allRequirementsMet = completedRequirements >= totalRequirements && !context.stepErrors?.length;
     context.totalRequirements = totalRequirements;
     context.completedRequirements = completedRequirements;
 
@@ -421,6 +666,14 @@ export class LevelUpWizardApp extends foundry.applications.api.HandlebarsApplica
         TextEditor.activateListeners(desc);
       });
 
+      element.querySelectorAll('select[data-signature-rank]').forEach(select => {
+        select.addEventListener('change', (event) => this._onChangeSignatureSpell(event.currentTarget));
+      });
+
+      element.querySelector('select[data-gate-threshold]')?.addEventListener('change', (event) => {
+        this._onChangeGateThreshold(event.currentTarget);
+      });
+
       // Restore scroll position after render - use wizard-content which is the scrollable container
       const contentContainer = element.querySelector('.wizard-content');
       if (contentContainer && this.scrollPosition > 0) {
@@ -486,8 +739,11 @@ export class LevelUpWizardApp extends foundry.applications.api.HandlebarsApplica
     const featType = target.dataset.featType;
     const currentSelection = this.stateManager.choices[featType];
 
-    // Create feat selector
+    // Create feat selector; in catch-up mode prerequisites see the choices from earlier steps
     const selector = new FeatSelectorApp(this.actor, featType, this.targetLevel, currentSelection, {
+      prerequisiteActor: this.isCatchUp
+        ? await createProjectedActor(this.actor, this._getPreviousSteps(), this.targetLevel)
+        : this.actor,
       onSelect: async (featUuid) => {
         // Update state manager with selection
         this.stateManager.setChoice(featType, featUuid);
@@ -511,10 +767,13 @@ export class LevelUpWizardApp extends foundry.applications.api.HandlebarsApplica
     // Get current selections
     const currentSelections = this.stateManager.choices[spellType] || [];
 
-    // Get already-known spells from actor
+    // Get already-known spells from actor, plus any picked in earlier catch-up steps
     const knownSpells = this.actor.items
       .filter(item => item.type === 'spell')
       .map(spell => spell.sourceId || spell.uuid);
+    for (const step of this._getPreviousSteps()) {
+      knownSpells.push(...BuildPlanApplicator.getSpellChoiceUuids(step.choices));
+    }
 
     // Create spell selector
     const selector = new SpellSelectorApp(this.actor, rank, maxSpells, currentSelections, {
@@ -533,6 +792,83 @@ export class LevelUpWizardApp extends foundry.applications.api.HandlebarsApplica
     selector.render(true);
   }
 
+  /**
+   * Pick a replacement for a repertoire spell, of the same rank or lower
+   */
+  async _onSwapSpell(event, target) {
+    const oldSpell = this.actor.items.get(target.dataset.itemId);
+    if (!oldSpell) return;
+
+    const removeUuid = target.dataset.spellUuid;
+    const rank = SpellHelpers.getSpellRank(oldSpell);
+    const swap = this.stateManager.choices.spellSwap;
+
+    // Spells the character knows or is learning can't be swapped in
+    const knownSpells = this.actor.items
+      .filter(item => item.type === 'spell')
+      .map(spell => spell.sourceId || spell.uuid);
+    for (const step of [...this._getPreviousSteps(), { choices: this.stateManager.choices }]) {
+      knownSpells.push(...BuildPlanApplicator.getSpellChoiceUuids(step.choices));
+    }
+
+    const selector = new SpellSelectorApp(this.actor, rank, 1, swap?.remove === removeUuid ? [swap.add] : [], {
+      minRank: rank === 0 ? 0 : 1,
+      knownSpells,
+      onConfirm: async (spellUuids) => {
+        const addUuid = spellUuids[0];
+        const newSpell = addUuid ? await fromUuid(addUuid) : null;
+        if (!newSpell) return;
+
+        const swapError = SpellHelpers.getSpellSwapError(this.actor, oldSpell, newSpell);
+        if (swapError) {
+          ui.notifications.warn(swapError);
+          return;
+        }
+
+        this.stateManager.setChoice('spellSwap', { remove: removeUuid, add: addUuid });
+        this._saveScrollPosition();
+        this.render();
+      }
+    });
+
+    selector.render(true);
+  }
+
+  /**
+   * Replace the signature spell for one rank
+   * @param {HTMLSelectElement} select - The rank's signature spell select
+   * @private
+   */
+  _onChangeSignatureSpell(select) {
+    const rankUuids = [...select.options].map(option => option.value);
+    const signatureSpells = (this.stateManager.choices.signatureSpells || []).filter(uuid => !rankUuids.includes(uuid));
+    if (select.value) signatureSpells.push(select.value);
+
+    this.stateManager.setChoice('signatureSpells', signatureSpells);
+    this._saveScrollPosition();
+    this.render();
+  }
+
+  /**
+   * Choose the gate's threshold
+   * @param {HTMLSelectElement} select - The gate's threshold select
+   * @private
+   */
+  _onChangeGateThreshold(select) {
+    this.stateManager.setChoice('gateThreshold', KineticistHelpers.parseGateThreshold(select.value));
+    this._saveScrollPosition();
+    this.render();
+  }
+
+  /**
+   * Keep the repertoire as it is
+   */
+  async _onClearSpellSwap(event, target) {
+    this.stateManager.setChoice('spellSwap', null);
+    this._saveScrollPosition();
+    this.render();
+  }
+
   /**
    * Toggle ability boost
    */
@@ -593,16 +929,44 @@ export class LevelUpWizardApp extends foundry.applications.api.HandlebarsApplica
     this.render();
   }
 
+  /**
+   * Toggle a rune for the runic repertoire
+   */
+  async _onToggleRune(event, target) {
+    const uuid = target.dataset.uuid;
+    const runes = [...(this.stateManager.choices.runes || [])];
+
+    const index = runes.indexOf(uuid);
+    if (index > -1) {
+      runes.splice(index, 1);
+    } else {
+      const selection = await ClassFeaturesHelpers.getRuneSelection(
+        this.actor, this.targetLevel, this._getPreviousSteps(), runes
+      );
+      if (runes.length >= (selection?.maxRunes ?? 0)) {
+        ui.notifications.warn(`You can only add ${selection?.maxRunes ?? 0} rune(s) at this level.`);
+        return;
+      }
+      runes.push(uuid);
+    }
+
+    this.stateManager.setChoice('runes', runes);
+    this._saveScrollPosition();
+    this.render();
+  }
+
   /**
    * Apply build plan
    */
   async _onApplyPlan(event, target) {
     try {
-      const { BuildPlanApplicator } = await import('./build-plan-applicator.js');
+      const choices = BuildPlanManager.getLevelChoices(this.buildPlan, this.targetLevel);
+      const confirmed = await confirmLevelUpPreview(this.actor, [{ level: this.targetLevel, choices }]);
+      if (!confirmed) return;
 
       ui.notifications.info(`Applying build plan for level ${this.targetLevel}...`);
 
-      await BuildPlanApplicator.applyLevel(this.actor, this.buildPlan, this.targetLevel);
+      await BuildPlanApplicator.applyLevel(this.actor, this.buildPlan, this.targetLevel, { exclude: confirmed[0].exclude });
 
       ui.notifications.success(`Successfully applied build plan for level ${this.targetLevel}!`);
 
@@ -613,234 +977,81 @@ export class LevelUpWizardApp extends foundry.applications.api.HandlebarsApplica
     }
   }
 
+  /**
+   * Go back to the previous catch-up step
+   */
+  async _onPreviousStep(event, target) {
+    if (this.stepIndex === 0) return;
+    this._setStep(this.stepIndex - 1);
+    this.scrollPosition = 0;
+    this.render();
+  }
+
+  /**
+   * Advance to the next catch-up step once the current one is valid
+   */
+  async _onNextStep(event, target) {
+    if (this.stepIndex >= this.stepLevels.length - 1) return;
+
+    const validation = await Validators.validateCatchUpStep(
+      this.actor, this.targetLevel, this.stateManager.choices, this._getPreviousSteps()
+    );
+    if (!validation.valid) {
+      ui.notifications.warn(`Level ${this.targetLevel}: ${validation.errors.join('; ')}`);
+      return;
+    }
+
+    this._setStep(this.stepIndex + 1);
+    this.scrollPosition = 0;
+    this.render();
+  }
+
   /**
    * Submit level-up
    */
   async _onSubmit(event, target) {
     try {
-      const choices = this.stateManager.choices;
-      const currentLevel = this.actor.system.details.level.value;
-
       // Validate required choices
       // TODO: Add comprehensive validation
 
-      ui.notifications.info(`Applying level ${this.targetLevel} selections...`);
-
-      // 0. Update actor level if needed (only if actually leveling up, not if already at target level)
-      if (currentLevel < this.targetLevel) {
-        await this.actor.update({ 'system.details.level.value': this.targetLevel });
-        ui.notifications.info(`Level increased to ${this.targetLevel}`);
-      }
-
-      // 1. Add feats
-      const featTypes = {
-        classFeats: 'class',
-        ancestryFeats: 'ancestry',
-        skillFeats: 'skill',
-        generalFeats: 'general',
-        freeArchetypeFeats: 'archetype',
-        ancestryParagonFeats: 'xdy_ancestryparagon',
-        mythicFeats: 'mythic',
-        dualClassFeats: 'xdy_dualclass'
-      };
-
-      const featsToCreate = [];
-      for (const [featType, locationGroup] of Object.entries(featTypes)) {
-        const featUuid = choices[featType];
-        if (featUuid) {
-          try {
-            const feat = await fromUuid(featUuid);
-            if (feat) {
-              // Check if actor already has this feat (check by sourceId, name+location, or UUID)
-              const targetLocation = `${locationGroup}-${this.targetLevel}`;
-              const existingFeat = this.actor.items.find(i =>
-                i.type === 'feat' && (
-                  i.sourceId === featUuid ||
-                  i.uuid === featUuid ||
-                  i.flags?.core?.sourceId === featUuid ||
-                  (i.name === feat.name && i.system.location === targetLocation)
-                )
-              );
-
-              if (existingFeat) {
-                console.log(`${MODULE_NAME} | Feat ${feat.name} already exists at ${targetLocation}, skipping`);
-                continue;
-              }
-
-              const featClone = foundry.utils.duplicate(feat.toObject());
-              featClone.system.location = `${locationGroup}-${this.targetLevel}`;
-              featClone.system.level = {
-                ...featClone.system.level,
-                taken: this.targetLevel
-              };
-              featsToCreate.push(featClone);
-            }
-          } catch (e) {
-            console.warn(`${MODULE_NAME} | Failed to load feat ${featUuid}:`, e);
+      if (this.isCatchUp) {
+        // Earlier steps may have been edited after later ones were filled in, so re-check them all
+        for (let index = 0; index < this.stepStates.length; index++) {
+          const state = this.stepStates[index];
+          const validation = await Validators.validateCatchUpStep(this.actor, state.level, state.choices, this._getPreviousSteps(index));
+          if (!validation.valid) {
+            ui.notifications.warn(`Level ${state.level}: ${validation.errors.join('; ')}`);
+            this._setStep(index);
+            this.render();
+            return;
           }
         }
       }
 
-      if (featsToCreate.length > 0) {
-        await this.actor.createEmbeddedDocuments('Item', featsToCreate);
-        ui.notifications.info(`Added ${featsToCreate.length} feat(s)`);
-      } else if (Object.values(choices).some(v => v)) {
-        ui.notifications.info('All selected feats already exist on character');
-      }
-
-      // 2. Apply skill increases
-      if (choices.skillIncreases && choices.skillIncreases.length > 0) {
-        const updates = {};
-        for (const skillKey of choices.skillIncreases) {
-          const currentRank = this.actor.system.skills[skillKey]?.rank || 0;
-          updates[`system.skills.${skillKey}.rank`] = currentRank + 1;
-        }
-        await this.actor.update(updates);
-        ui.notifications.info(`Increased ${choices.skillIncreases.length} skill(s)`);
-      }
-
-      // 3. Apply ability boosts using PF2e's build system
-      // PF2e stores ability boosts in system.build.attributes.boosts.{boostSet}
-      // The boostSet corresponds to the level milestone (5, 10, 15, 20)
-      if (choices.abilityBoosts && choices.abilityBoosts.length > 0) {
-        // Determine which boost set this level belongs to
-        const boostSetLevels = [5, 10, 15, 20];
-        const currentBoostSet = boostSetLevels.find(level => level >= this.targetLevel);
-        
-        if (currentBoostSet) {
-          const boostPath = `system.build.attributes.boosts.${currentBoostSet}`;
-          await this.actor.update({ [boostPath]: choices.abilityBoosts });
-          ui.notifications.info(`Applied ${choices.abilityBoosts.length} ability boost(s)`);
-        } else {
-          console.warn(`${MODULE_NAME} | Could not determine boost set for level ${this.targetLevel}`);
-        }
-      }
+      // Show the dry-run preview; the user can untick changes or back out entirely
+      const steps = await confirmLevelUpPreview(
+        this.actor,
+        this.stepStates.map(state => ({ level: state.level, choices: state.choices }))
+      );
+      if (!steps) return;
 
-      // 4. Apply spells
-      const spellsToCreate = [];
-      const spellTypes = ['cantrips', 'rank1Spells', 'rank2Spells', 'rank3Spells', 'rank4Spells',
-                          'rank5Spells', 'rank6Spells', 'rank7Spells', 'rank8Spells', 'rank9Spells', 'rank10Spells',
-                          'additionalRank1Spells', 'additionalRank2Spells', 'additionalRank3Spells', 'additionalRank4Spells',
-                          'additionalRank5Spells', 'additionalRank6Spells', 'additionalRank7Spells', 'additionalRank8Spells',
-                          'additionalRank9Spells', 'additionalRank10Spells'];
-
-      // Find the spellcasting entry for the actor using the shared helper
-      // Debug: Log all spellcasting entries on the actor
-      const allSpellcastingEntries = this.actor.items.filter(i => i.type === 'spellcastingEntry');
-      console.log(`${MODULE_NAME} | Found ${allSpellcastingEntries.length} spellcasting entries on actor:`);
-      allSpellcastingEntries.forEach((entry, idx) => {
-        console.log(`${MODULE_NAME} |   [${idx}] "${entry.name}" - id: ${entry.id}, category: ${entry.system?.category}, tradition: ${entry.system?.tradition?.value}`);
-      });
-      
-      const spellcastingEntry = SpellHelpers.getClassSpellcastingEntry(this.actor);
-      console.log(`${MODULE_NAME} | FINAL spellcasting entry selected: "${spellcastingEntry?.name}" (id: ${spellcastingEntry?.id})`);
-
-      for (const spellType of spellTypes) {
-        const spellUuids = choices[spellType];
-        if (spellUuids && Array.isArray(spellUuids) && spellUuids.length > 0) {
-          for (const spellUuid of spellUuids) {
-            try {
-              const spell = await fromUuid(spellUuid);
-              if (spell) {
-                // Check if actor already has this spell
-                const existingSpell = this.actor.items.find(i =>
-                  i.type === 'spell' && (
-                    i.sourceId === spellUuid ||
-                    i.uuid === spellUuid ||
-                    i.flags?.core?.sourceId === spellUuid ||
-                    i.name === spell.name
-                  )
-                );
-
-                if (existingSpell) {
-                  console.log(`${MODULE_NAME} | Spell ${spell.name} already exists, skipping`);
-                  continue;
-                }
-
-                const spellClone = foundry.utils.duplicate(spell.toObject());
-
-                // Set sourceId for tracking
-                if (!spellClone.flags) spellClone.flags = {};
-                if (!spellClone.flags.core) spellClone.flags.core = {};
-                spellClone.flags.core.sourceId = spellUuid;
-
-                // Set location to spellcasting entry so spell appears in the correct list
-                if (spellcastingEntry) {
-                  if (!spellClone.system.location) spellClone.system.location = {};
-                  spellClone.system.location.value = spellcastingEntry.id;
-                  debugLog('LevelUpWizard._onSubmit', `Set spell location to: ${spellcastingEntry.id}`);
-                }
-
-                debugLog('LevelUpWizard._onSubmit', `Adding spell: ${spell.name} (${spellUuid})`);
-                spellsToCreate.push(spellClone);
-              }
-            } catch (e) {
-              console.warn(`${MODULE_NAME} | Failed to load spell ${spellUuid}:`, e);
-            }
-          }
-        }
-      }
-
-      if (spellsToCreate.length > 0) {
-        debugLog('LevelUpWizard._onSubmit', `Creating ${spellsToCreate.length} spell(s)`);
-        const createdSpells = await this.actor.createEmbeddedDocuments('Item', spellsToCreate);
-        debugLog('LevelUpWizard._onSubmit', `Successfully created ${createdSpells.length} spell(s)`);
-        ui.notifications.info(`Added ${createdSpells.length} spell(s) to your character`);
-      }
-
-      // Update spell slots in spellcasting entry based on target level
-      // This runs for ALL spellcasters, including auto-learn classes like Cleric/Druid
-      console.log(`${MODULE_NAME} | Checking spell slot update - spellcastingEntry: ${spellcastingEntry ? spellcastingEntry.name : 'NONE'}`);
-      if (spellcastingEntry) {
-        const classItem = this.actor.items.find(i => i.type === 'class');
-        console.log(`${MODULE_NAME} | Class item: ${classItem ? classItem.name : 'NONE'}`);
-        if (classItem) {
-          const classSlug = classItem.slug || classItem.name?.toLowerCase().replace(/\s+/g, '-');
-          console.log(`${MODULE_NAME} | Class slug: ${classSlug}`);
-          const targetSlots = SpellSlotProgression.getSpellSlotsAtLevel(classSlug, this.targetLevel);
-          console.log(`${MODULE_NAME} | Target slots for ${classSlug} at level ${this.targetLevel}:`, targetSlots);
-
-          // Always update slots - for wave casters we need to set slots to 0 for lost ranks
-          if (targetSlots || SpellSlotProgression.isWaveCaster(classSlug)) {
-            console.log(`${MODULE_NAME} | Updating spell slots for ${classSlug} at level ${this.targetLevel}:`, targetSlots);
-
-            // Build the slots update object
-            // For wave casters (Magus, Summoner), we need to explicitly set slots to 0 for ranks that are lost
-            const slotsUpdate = {};
-            for (let rank = 1; rank <= 10; rank++) {
-              const slotCount = (targetSlots && targetSlots[rank]) || 0;
-              // Always set the slot value - this handles both gaining and losing slots
-              // PF2e uses slot1, slot2, etc. for each rank (skip slot0 for cantrips)
-              slotsUpdate[`system.slots.slot${rank}`] = {
-                max: slotCount,
-                value: slotCount // Set current slots to max on level up
-              };
-            }
-
-            await spellcastingEntry.update(slotsUpdate);
-            console.log(`${MODULE_NAME} | Spell slots updated successfully for ${spellcastingEntry.name}`);
-          } else {
-            console.log(`${MODULE_NAME} | No spell slot data found for class: ${classSlug}`);
-          }
-
-          // For auto-learn classes (Cleric, Druid, Animist), add all common spells they can now cast
-          if (SpellHelpers.autoLearnsCommonSpells(this.actor)) {
-            await this._addAutoLearnSpells(spellcastingEntry, classSlug, targetSlots);
-          }
-        }
+      if (this.isCatchUp) {
+        ui.notifications.info(`Applying levels ${this.stepLevels[0]}-${this.finalLevel}...`);
+        await BuildPlanApplicator.applyLevels(this.actor, steps);
       } else {
-        console.log(`${MODULE_NAME} | No spellcasting entry found - skipping spell slot update`);
+        ui.notifications.info(`Applying level ${this.targetLevel} selections...`);
+        await BuildPlanApplicator.applyChoices(this.actor, this.targetLevel, steps[0].choices, { exclude: steps[0].exclude });
       }
 
-      // 5. Create chat message
+      // Create chat message
       const chatData = {
         user: game.user.id,
         speaker: ChatMessage.getSpeaker({ actor: this.actor }),
-        content: `<h3>Level Up Complete!</h3><p><strong>${this.actor.name}</strong> has reached <strong>Level ${this.targetLevel}</strong>!</p>`
+        content: `<h3>Level Up Complete!</h3><p><strong>${this.actor.name}</strong> has reached <strong>Level ${this.finalLevel}</strong>!</p>`
       };
       await ChatMessage.create(chatData);
 
-      ui.notifications.success(`Successfully leveled up to ${this.targetLevel}!`);
+      ui.notifications.success(`Successfully leveled up to ${this.finalLevel}!`);
 
       // Close wizard
       this.close();
@@ -856,76 +1067,6 @@ export class LevelUpWizardApp extends foundry.applications.api.HandlebarsApplica
   async _onCancel(event, target) {
     this.close();
   }
-
-  /**
-   * Add all common spells for auto-learn classes (Cleric, Druid, Animist)
-   * These classes have access to all common spells from their tradition
-   * @param {Item} spellcastingEntry - The spellcasting entry to add spells to
-   * @param {string} classSlug - The class slug
-   * @param {Object} targetSlots - The spell slots at the target level
-   */
-  async _addAutoLearnSpells(spellcastingEntry, classSlug, targetSlots) {
-    console.log(`${MODULE_NAME} | Auto-learning spells for ${classSlug}...`);
-    
-    // Get the tradition from the spellcasting entry
-    const tradition = spellcastingEntry.system?.tradition?.value;
-    if (!tradition) {
-      console.log(`${MODULE_NAME} | No tradition found on spellcasting entry, skipping auto-learn`);
-      return;
-    }
-    
-    // Determine the maximum spell rank this class can cast at this level
-    let maxRank = 0;
-    if (targetSlots) {
-      maxRank = Math.max(...Object.keys(targetSlots).map(Number));
-    }
-    
-    // Also include cantrips (rank 0)
-    console.log(`${MODULE_NAME} | Fetching ${tradition} spells up to rank ${maxRank} (including cantrips)`);
-    
-    // Get existing spells on the actor
-    const existingSpells = this.actor.items.filter(i => i.type === 'spell');
-    const existingSpellNames = new Set(existingSpells.map(s => s.name.toLowerCase()));
-    
-    // Fetch all common spells from the tradition for each rank
-    const spellsToAdd = [];
-    
-    for (let rank = 0; rank <= maxRank; rank++) {
-      const spells = await dataProvider.getSpells({
-        rank: rank,
-        tradition: tradition,
-        rarity: 'common'  // Only common spells are auto-learned
-      });
-      
-      // Filter out spells the actor already has
-      for (const spell of spells) {
-        if (!existingSpellNames.has(spell.name.toLowerCase())) {
-          const spellClone = foundry.utils.duplicate(spell.toObject());
-          
-          // Set the location to the spellcasting entry
-          if (!spellClone.system.location) spellClone.system.location = {};
-          spellClone.system.location.value = spellcastingEntry.id;
-          
-          // Set sourceId for tracking
-          if (!spellClone.flags) spellClone.flags = {};
-          if (!spellClone.flags.core) spellClone.flags.core = {};
-          spellClone.flags.core.sourceId = spell.uuid;
-          
-          spellsToAdd.push(spellClone);
-          existingSpellNames.add(spell.name.toLowerCase()); // Prevent duplicates in same batch
-        }
-      }
-    }
-    
-    if (spellsToAdd.length > 0) {
-      console.log(`${MODULE_NAME} | Adding ${spellsToAdd.length} auto-learned ${tradition} spells`);
-      const createdSpells = await this.actor.createEmbeddedDocuments('Item', spellsToAdd);
-      console.log(`${MODULE_NAME} | Successfully added ${createdSpells.length} auto-learned spells`);
-      ui.notifications.info(`Auto-learned ${createdSpells.length} ${tradition} spell(s)`);
-    } else {
-      console.log(`${MODULE_NAME} | No new spells to auto-learn (already has all available spells)`);
-    }
-  }
 }
 
 export default LevelUpWizardApp;
@@ -24,7 +24,9 @@ Hooks.once('init', async () => {
   await loadTemplates([
     'modules/intrinsics-pf2e-level-up-wizard/templates/partials/ability-boosts.hbs',
     'modules/intrinsics-pf2e-level-up-wizard/templates/partials/feat-choice.hbs',
+    'modules/intrinsics-pf2e-level-up-wizard/templates/partials/gate-threshold.hbs',
     'modules/intrinsics-pf2e-level-up-wizard/templates/partials/plan-summary.hbs',
+    'modules/intrinsics-pf2e-level-up-wizard/templates/partials/rune-choice.hbs',
     'modules/intrinsics-pf2e-level-up-wizard/templates/partials/skill-selector.hbs',
     'modules/intrinsics-pf2e-level-up-wizard/templates/partials/spell-choice.hbs'
   ]);
@@ -48,10 +50,22 @@ Hooks.once('ready', async () => {
   // Initialize global API
   initializeAPI();
 
+  // Class spell progressions: the built-in tables register on import, then world settings and other modules
+  await import('./helpers/spell-slot-progression.js');
+  const { ClassProgressionRegistry } = await import('./class-progression-registry.js');
+  ClassProgressionRegistry.loadWorldProgressions();
+  game.intrinsicsLevelUpWizard.classProgressions = ClassProgressionRegistry;
+  Hooks.callAll(`${MODULE_NAME}.registerClassProgressions`, ClassProgressionRegistry);
+
   // Register hooks for character sheet buttons
   Hooks.on('getActorSheetHeaderButtons', onGetActorSheetHeaderButtons);
 
-  // Register hook for level-up detection
+  // Relay build template library changes from players to the GM
+  const { BuildTemplateLibrary } = await import('./build-template-library.js');
+  BuildTemplateLibrary.registerSocket();
+
+  // Register hooks for level-up detection
+  Hooks.on('preUpdateActor', onPreActorUpdate);
   Hooks.on('updateActor', onActorUpdate);
   
   // Register hook to apply accessibility settings when any app renders
@@ -145,6 +159,26 @@ function registerSettings() {
     default: true
   });
 
+  // Preview changes before applying a level-up
+  game.settings.register(MODULE_NAME, 'show-level-up-preview', {
+    name: 'Preview Level-Up Changes',
+    hint: 'Show a list of every change (feats, spells, skills, boosts, spell slots) before a level-up or build plan is applied, with the option to untick individual changes',
+    scope: 'client',
+    config: true,
+    type: Boolean,
+    default: true
+  });
+
+  // Build template library (edited through BuildTemplateLibrary)
+  game.settings.register(MODULE_NAME, 'build-templates', {
+    name: 'Build Template Library',
+    hint: 'Build templates shared by everyone in this world',
+    scope: 'world',
+    config: false,
+    type: Object,
+    default: {}
+  });
+
   // Additional feat compendiums
   game.settings.register(MODULE_NAME, 'additional-feat-compendiums', {
     name: 'Additional Feat Compendiums',
@@ -165,6 +199,20 @@ function registerSettings() {
     default: ''
   });
 
+  // Custom class spell progressions (loaded into ClassProgressionRegistry)
+  game.settings.register(MODULE_NAME, 'custom-class-progressions', {
+    name: 'Custom Class Progressions',
+    hint: 'JSON object of spellcasting progressions keyed by class slug, for homebrew and third-party classes. Each entry needs "spellSlots" ({ level: { rank: slots } }) and "learningRule" ("prepared", "spontaneous" or "auto"), and may set "isWaveCaster", "hasDualSpellLists" and "apparitionSlots". Entries override the built-in tables.',
+    scope: 'world',
+    config: true,
+    type: String,
+    default: '',
+    onChange: async () => {
+      const { ClassProgressionRegistry } = await import('./class-progression-registry.js');
+      ClassProgressionRegistry.loadWorldProgressions();
+    }
+  });
+
   // Feat sort method
   game.settings.register(MODULE_NAME, 'feat-sort-method', {
     name: 'Feat Sort Method',
@@ -408,6 +456,7 @@ function initializeAPI() {
     // Applications (will be set when classes are imported)
     BuildPlannerApp: null,
     LevelUpWizardApp: null,
+    RetrainingApp: null,
     FeatSelector: null,
     SpellSelector: null,
 
@@ -415,6 +464,9 @@ function initializeAPI() {
     BuildPlanManager: null,
     DataProvider: null,
 
+    // Class spell progressions (ClassProgressionRegistry, set on ready)
+    classProgressions: null,
+
     // Helpers
     helpers: {},
 
@@ -429,14 +481,28 @@ function initializeAPI() {
       return app;
     },
 
-    openLevelUpWizard: async (actor, level) => {
+    openLevelUpWizard: async (actor, level, options = {}) => {
       if (!game.intrinsicsLevelUpWizard.LevelUpWizardApp) {
         const { LevelUpWizardApp } = await import('./level-up-wizard-app.js');
         game.intrinsicsLevelUpWizard.LevelUpWizardApp = LevelUpWizardApp;
       }
-      const app = new game.intrinsicsLevelUpWizard.LevelUpWizardApp(actor, level);
+      const app = new game.intrinsicsLevelUpWizard.LevelUpWizardApp(actor, level, options);
+      app.render(true);
+      return app;
+    },
+
+    openRetraining: async (actor) => {
+      if (!game.intrinsicsLevelUpWizard.RetrainingApp) {
+        const { RetrainingApp } = await import('./retraining-app.js');
+        game.intrinsicsLevelUpWizard.RetrainingApp = RetrainingApp;
+      }
+      const app = new game.intrinsicsLevelUpWizard.RetrainingApp(actor);
       app.render(true);
       return app;
+    },
+
+    undoLevelUp: async (actor) => {
+      return undoLastLevelUp(actor);
     }
   };
 
@@ -489,6 +555,29 @@ function onGetActorSheetHeaderButtons(sheet, buttons) {
         await game.intrinsicsLevelUpWizard.openLevelUpWizard(actor, targetLevel);
       }
     });
+
+    // Retraining swaps existing choices during downtime
+    buttons.unshift({
+      label: 'Retrain',
+      class: 'intrinsics-retraining',
+      icon: 'fas fa-right-left',
+      onclick: async () => {
+        await game.intrinsicsLevelUpWizard.openRetraining(actor);
+      }
+    });
+
+    // Offer undo when the current level was applied by the wizard or a build plan
+    const currentLevel = actor.system.details.level.value;
+    if (actor.getFlag(MODULE_NAME, 'levelUpJournal')?.[currentLevel]) {
+      buttons.unshift({
+        label: 'Undo Level Up',
+        class: 'intrinsics-undo-level-up',
+        icon: 'fas fa-undo',
+        onclick: async () => {
+          await game.intrinsicsLevelUpWizard.undoLevelUp(actor);
+        }
+      });
+    }
   }
 }
 
@@ -496,6 +585,17 @@ function onGetActorSheetHeaderButtons(sheet, buttons) {
 // LEVEL-UP DETECTION
 // ============================================================================
 
+/**
+ * Remember the level before an update, since updateActor only sees the new value
+ */
+function onPreActorUpdate(actor, changes, options, userId) {
+  if (changes.system?.details?.level?.value === undefined) return;
+  options[MODULE_NAME] = {
+    ...options[MODULE_NAME],
+    previousLevel: actor.system.details.level.value
+  };
+}
+
 /**
  * Detect when actor levels up and show prompt
  */
@@ -513,7 +613,17 @@ async function onActorUpdate(actor, changes, options, userId) {
   const newLevel = changes.system?.details?.level?.value;
   if (!newLevel) return;
 
-  const oldLevel = foundry.utils.getProperty(actor, 'system.details.level.value');
+  // Level changes made by the wizard or a plan apply are already being handled
+  if (options[MODULE_NAME]?.levelUpWizard) return;
+
+  const oldLevel = options[MODULE_NAME]?.previousLevel ?? newLevel - 1;
+
+  // Several levels at once - step through each of them in catch-up mode
+  if (newLevel - oldLevel > 1) {
+    console.log(`${MODULE_TITLE} | Detected multi-level up: ${actor.name} went from level ${oldLevel} to ${newLevel}`);
+    await game.intrinsicsLevelUpWizard.openLevelUpWizard(actor, newLevel, { startLevel: oldLevel + 1 });
+    return;
+  }
 
   // Level increased
   if (newLevel > oldLevel) {
@@ -550,8 +660,11 @@ function showLevelUpPrompt(actor, level, plan) {
   if (levelChoices.mythicFeats) planSummary.push('Mythic Feat');
   if (levelChoices.skillIncreases?.length) planSummary.push(`Skill Increase (${levelChoices.skillIncreases.length})`);
   if (levelChoices.abilityBoosts?.length) planSummary.push(`Ability Boosts (${levelChoices.abilityBoosts.length})`);
-  if (levelChoices.spells?.cantrips?.length) planSummary.push(`Cantrips (${levelChoices.spells.cantrips.length})`);
-  if (levelChoices.spells?.rank1?.length) planSummary.push(`Spells (${levelChoices.spells.rank1.length})`);
+  if (levelChoices.cantrips?.length) planSummary.push(`Cantrips (${levelChoices.cantrips.length})`);
+  const spellCount = Object.entries(levelChoices)
+    .filter(([key, value]) => /^(additionalR|r)ank\d+Spells$/.test(key) && Array.isArray(value))
+    .reduce((count, [, value]) => count + value.length, 0);
+  if (spellCount) planSummary.push(`Spells (${spellCount})`);
 
   const summaryText = planSummary.length > 0
     ? `<p><strong>Build plan includes:</strong></p><ul><li>${planSummary.join('</li><li>')}</li></ul>`
@@ -563,7 +676,7 @@ function showLevelUpPrompt(actor, level, plan) {
       <h2>Congratulations, ${actor.name}!</h2>
       <p>You've reached <strong>level ${level}</strong>!</p>
       <hr>
-      <p>A build plan exists for this level.</p>
+      <p>Your active build plan${plan.name ? ` (<strong>${plan.name}</strong>)` : ''} has choices for this level.</p>
       ${summaryText}
       <p>Would you like to apply the build plan or manually level up?</p>
     `,
@@ -597,10 +710,15 @@ function showLevelUpPrompt(actor, level, plan) {
 async function applyBuildPlanForLevel(actor, plan, level) {
   try {
     const { BuildPlanApplicator } = await import('./build-plan-applicator.js');
+    const { confirmLevelUpPreview } = await import('./level-up-preview.js');
+
+    const choices = plan.levels[level]?.choices || {};
+    const confirmed = await confirmLevelUpPreview(actor, [{ level, choices }]);
+    if (!confirmed) return;
 
     ui.notifications.info(`Applying build plan for level ${level}...`);
 
-    await BuildPlanApplicator.applyLevel(actor, plan, level);
+    await BuildPlanApplicator.applyLevel(actor, plan, level, { exclude: confirmed[0].exclude });
 
     ui.notifications.success(`Successfully applied build plan for level ${level}!`);
   } catch (error) {
@@ -609,6 +727,47 @@ async function applyBuildPlanForLevel(actor, plan, level) {
   }
 }
 
+/**
+ * Confirm and revert the actor's most recent level-up using its change journal
+ */
+async function undoLastLevelUp(actor) {
+  const { BuildPlanApplicator } = await import('./build-plan-applicator.js');
+
+  const entry = BuildPlanApplicator.getUndoableEntry(actor);
+  if (!entry) {
+    ui.notifications.warn(`No recorded level-up to undo for ${actor.name}`);
+    return false;
+  }
+
+  const itemList = entry.createdItems.length > 0
+    ? `<ul>${entry.createdItems.map(i => `<li>${i.name}</li>`).join('')}</ul>`
+    : '<p><em>No items were added at this level.</em></p>';
+
+  const confirmed = await Dialog.confirm({
+    title: `Undo Level ${entry.level} - ${actor.name}`,
+    content: `
+      <p>Revert <strong>${actor.name}</strong> to level ${entry.level - 1}?</p>
+      <p>Skill ranks, ability boosts and spell slots will be restored, and these items removed:</p>
+      ${itemList}
+    `
+  });
+  if (!confirmed) return false;
+
+  try {
+    const restored = await BuildPlanApplicator.undoLevel(actor);
+    if (restored) {
+      ui.notifications.success(`Reverted level ${entry.level} for ${actor.name}`);
+    } else {
+      ui.notifications.warn(`Level ${entry.level} was only partially reverted - check ${actor.name}'s sheet`);
+    }
+    return restored;
+  } catch (error) {
+    console.error(`${MODULE_TITLE} | Error undoing level-up:`, error);
+    ui.notifications.error(`Failed to undo level-up: ${error.message}`);
+    return false;
+  }
+}
+
 // ============================================================================
 // DEBUG LOGGING
 // ============================================================================
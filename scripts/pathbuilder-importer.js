@@ -0,0 +1,319 @@
+// Pathbuilder Importer - Converts Pathbuilder 2e JSON exports into build plans
+import { debugLog } from './module.js';
+import BuildPlanManager from './build-plan-manager.js';
+import * as ClassFeaturesHelpers from './helpers/class-features-helpers.js';
+import * as SkillsHelpers from './helpers/skills-helpers.js';
+import * as SpellSlotProgression from './helpers/spell-slot-progression.js';
+import { resolveClassProgression } from './helpers/class-progression-resolver.js';
+import { ABILITIES } from './helpers/ability-helpers.js';
+import dataProvider from './data-provider.js';
+
+// Pathbuilder feat types mapped to plan feat slots
+const FEAT_TYPE_SLOTS = {
+  'class feat': 'classFeats',
+  'archetype feat': 'classFeats',
+  'ancestry feat': 'ancestryFeats',
+  'skill feat': 'skillFeats',
+  'general feat': 'generalFeats'
+};
+
+// Pathbuilder slot names for variant-rule feats, checked before the feat type
+const VARIANT_SLOT_PATTERNS = [
+  [/free archetype/i, 'freeArchetypeFeats'],
+  [/ancestry paragon/i, 'ancestryParagonFeats'],
+  [/dual class/i, 'dualClassFeats'],
+  [/mythic/i, 'mythicFeats']
+];
+
+/**
+ * PathbuilderImporter - Builds a plan from a Pathbuilder 2e "Export JSON" file
+ *
+ * Pathbuilder stores feats with the level and slot they were taken in, and ability boosts per level.
+ * It only stores final skill proficiencies and spell lists, so those are spread across the levels that grant them.
+ */
+export class PathbuilderImporter {
+  /**
+   * Check whether JSON text looks like a Pathbuilder 2e export
+   * @param {string} json - JSON string
+   * @returns {boolean} True if the text is a Pathbuilder export
+   */
+  static isPathbuilderExport(json) {
+    try {
+      const data = JSON.parse(json);
+      const build = data?.build ?? data;
+      return !!(build && Array.isArray(build.feats) && build.abilities && build.proficiencies);
+    } catch (e) {
+      return false;
+    }
+  }
+
+  /**
+   * Convert a Pathbuilder export into a build plan for an actor
+   * The plan is not saved.
+   * @param {Actor} actor - The actor the plan is for
+   * @param {string} json - Pathbuilder export JSON
+   * @returns {Promise<Object>} { plan, report: { unmatched: Array<{ level, kind, name, reason }>, notes: Array<string> } }
+   */
+  static async importBuild(actor, json) {
+    let data;
+    try {
+      data = JSON.parse(json);
+    } catch (error) {
+      throw new Error(`Invalid JSON: ${error.message}`);
+    }
+
+    const build = data?.build ?? data;
+    if (data?.success === false || !build?.feats) {
+      throw new Error('Not a Pathbuilder 2e export');
+    }
+
+    const plan = BuildPlanManager.createNewPlan(actor, build.name ? `${build.name} (Pathbuilder)` : 'Pathbuilder Import');
+    const report = { unmatched: [], notes: [] };
+
+    const classItem = actor.items.find(i => i.type === 'class');
+    if (build.class && classItem && normalizeName(build.class) !== normalizeName(classItem.name)) {
+      report.notes.push(`The Pathbuilder character is a ${build.class}, but ${actor.name} is a ${classItem.name}.`);
+    }
+
+    await this._importFeats(build, plan, report);
+    this._importBoosts(actor, build, plan, report);
+    this._importSkillIncreases(actor, build, plan, report);
+    await this._importSpells(actor, build, plan, report);
+
+    debugLog('PathbuilderImporter.importBuild', `Imported "${build.name}" for ${actor.name}`, report);
+    return { plan, report };
+  }
+
+  /**
+   * Resolve feats by name and place them in their level's slot
+   * @private
+   */
+  static async _importFeats(build, plan, report) {
+    const feats = await dataProvider.getFeats();
+    const featsByName = new Map(feats.map(feat => [normalizeName(feat.name), feat]));
+
+    for (const entry of build.feats) {
+      // [name, extra, type, level, slotName, choiceType, parent]
+      const [name, extra, type, level, slotName] = entry;
+      if (!name || !level || level > 20) continue;
+
+      const field = getFeatField(type, slotName);
+      if (!field) {
+        // Heritages and awarded/bonus feats have no slot in a plan
+        report.unmatched.push({ level, kind: 'Feat', name, reason: `"${slotName || type}" is not a planned feat slot` });
+        continue;
+      }
+
+      const feat = featsByName.get(normalizeName(name)) ?? (extra ? featsByName.get(normalizeName(`${name} (${extra})`)) : null);
+      if (!feat) {
+        report.unmatched.push({ level, kind: 'Feat', name, reason: 'No compendium feat with this name' });
+        continue;
+      }
+
+      const choices = plan.levels[level].choices;
+      if (choices[field] === undefined) {
+        report.unmatched.push({ level, kind: 'Feat', name, reason: `${BuildPlanManager.getFieldLabel(field)} variant rule is not enabled` });
+      } else if (choices[field]) {
+        report.unmatched.push({ level, kind: 'Feat', name, reason: `${BuildPlanManager.getFieldLabel(field)} slot is already filled` });
+      } else {
+        choices[field] = feat.uuid;
+      }
+    }
+  }
+
+  /**
+   * Copy per-level ability boosts (level 1 boosts belong to character creation)
+   * @private
+   */
+  static _importBoosts(actor, build, plan, report) {
+    const levelled = build.abilities?.breakdown?.mapLevelledBoosts ?? {};
+
+    for (const [key, boosts] of Object.entries(levelled)) {
+      const level = Number(key);
+      if (level <= 1 || level > 20 || !Array.isArray(boosts)) continue;
+
+      const abilities = boosts.map(boost => String(boost).toLowerCase().slice(0, 3)).filter(ability => ABILITIES.includes(ability));
+      const boostInfo = ClassFeaturesHelpers.detectAbilityBoosts(actor, level);
+
+      if (!boostInfo.hasBoosts || boostInfo.count === 0) {
+        report.unmatched.push({ level, kind: 'Ability Boosts', name: abilities.join(', ').toUpperCase(), reason: 'This world grants no ability boosts at this level' });
+        continue;
+      }
+
+      plan.levels[level].choices.abilityBoosts = abilities.slice(0, boostInfo.count);
+    }
+  }
+
+  /**
+   * Spread final skill proficiencies over the levels that grant skill increases
+   * Increases start from the actor's current ranks, which include the trainings from its class, background
+   * and Intelligence, and fill the levels the actor hasn't applied yet. Skills that need the most increases
+   * are raised first so master and legendary ranks are reachable in time.
+   * @private
+   */
+  static _importSkillIncreases(actor, build, plan, report) {
+    const TRAINED = SkillsHelpers.SKILL_PROFICIENCY_RANKS.TRAINED;
+
+    // Without a background the sheet's level 1 trainings aren't there yet, so Pathbuilder's trained skills are taken as the start
+    const hasCreation = actor.items.some(i => i.type === 'background');
+    if (!hasCreation) {
+      report.notes.push(`${actor.name} has no background yet, so every skill trained in Pathbuilder was assumed to be trained at level 1.`);
+    }
+
+    // Pathbuilder proficiencies: 2 trained, 4 expert, 6 master, 8 legendary
+    const targets = {};
+    const ranks = {};
+    for (const skill of SkillsHelpers.SKILLS) {
+      const target = Math.floor((build.proficiencies[skill] || 0) / 2);
+      const start = hasCreation ? (actor.system.skills[skill]?.rank ?? 0) : Math.min(target, TRAINED);
+      if (target > start) {
+        targets[skill] = target;
+        ranks[skill] = start;
+      }
+    }
+
+    const maxLevel = Math.min(build.level || 20, 20);
+
+    for (let level = 2; level <= maxLevel; level++) {
+      if (plan.levels[level].applied) continue;
+
+      const count = ClassFeaturesHelpers.getSkillIncreasesForLevel(actor, level);
+      if (count === 0) continue;
+
+      const maxRank = SkillsHelpers.getMaxSkillRankForLevel(level);
+      const candidates = Object.keys(targets)
+        .filter(skill => ranks[skill] < targets[skill] && ranks[skill] < maxRank)
+        .sort((a, b) => (targets[b] - ranks[b]) - (targets[a] - ranks[a]));
+
+      const picked = candidates.slice(0, count);
+      for (const skill of picked) ranks[skill]++;
+      plan.levels[level].choices.skillIncreases = picked;
+    }
+
+    for (const [skill, target] of Object.entries(targets)) {
+      if (ranks[skill] < target) {
+        report.unmatched.push({
+          level: null,
+          kind: 'Skill Increase',
+          name: SkillsHelpers.getSkillTranslation(skill),
+          reason: `Only reached ${SkillsHelpers.getRankName(ranks[skill])} of ${SkillsHelpers.getRankName(target)}`
+        });
+      }
+    }
+
+    for (const [lore, proficiency] of build.lores ?? []) {
+      if (Math.floor(proficiency / 2) > TRAINED) {
+        report.unmatched.push({ level: null, kind: 'Skill Increase', name: `${lore} Lore`, reason: 'Lore increases are not planned' });
+      }
+    }
+
+    if (Object.keys(targets).length > 0) {
+      report.notes.push('Pathbuilder only stores final skill ranks, so the level of each skill increase was inferred.');
+    }
+  }
+
+  /**
+   * Place the class caster's spells at the levels the class learns spells of their rank
+   * Spells the actor already knows are skipped. Each rank fills the levels that learn spells of it in order,
+   * up to the number the class learns there; spells with no room left are reported rather than guessed.
+   * @private
+   */
+  static async _importSpells(actor, build, plan, report) {
+    const casters = (build.spellCasters ?? []).filter(caster => !caster.innate);
+    const caster = casters.find(c => normalizeName(c.name) === normalizeName(build.class)) ?? casters[0];
+    if (!caster) return;
+
+    for (const other of build.spellCasters.filter(c => c !== caster)) {
+      report.notes.push(`Spells from "${other.name}" were not imported (only the class spellcasting entry is planned).`);
+    }
+
+    const { progression } = await resolveClassProgression(actor);
+    if (progression?.learningRule === 'auto') {
+      report.notes.push(`${build.class} learns its spells automatically, so the spell list was not imported.`);
+      return;
+    }
+
+    const spells = await dataProvider.getSpells();
+    const spellsByName = new Map(spells.map(spell => [normalizeName(spell.name), spell]));
+    const knownNames = new Set(actor.items.filter(i => i.type === 'spell').map(i => normalizeName(i.name)));
+
+    // Spells the class learns at each unapplied level, by rank
+    const maxLevel = Math.min(build.level || 20, 20);
+    const room = {};
+    for (let level = 1; level <= maxLevel; level++) {
+      if (plan.levels[level].applied) continue;
+      room[level] = { ...SpellSlotProgression.getSpellsToLearnAtLevel(actor, level).byRank };
+    }
+
+    let placed = 0;
+    for (const { spellLevel: rank, list } of caster.spells ?? []) {
+      const kind = rank === 0 ? 'Cantrip' : `Rank ${rank} Spell`;
+
+      for (const name of list ?? []) {
+        if (knownNames.has(normalizeName(name))) continue;
+
+        const spell = spellsByName.get(normalizeName(name));
+        if (!spell) {
+          report.unmatched.push({ level: null, kind, name, reason: 'No compendium spell with this name' });
+          continue;
+        }
+
+        // Cantrips are chosen at character creation
+        let level = null;
+        if (rank === 0) {
+          level = room[1] ? 1 : null;
+        } else {
+          level = Object.keys(room).map(Number).find(l => room[l][rank] > 0) ?? null;
+          if (level !== null) room[level][rank]--;
+        }
+
+        if (level === null) {
+          const reason = rank === 0
+            ? `Level 1 is already applied to ${actor.name}`
+            : `No unapplied level up to ${maxLevel} learns another rank ${rank} spell`;
+          report.unmatched.push({ level: null, kind, name, reason });
+          continue;
+        }
+
+        // Spells learned after level 1 are additional spells, which the planner and wizard edit per rank
+        let field = `additionalRank${rank}Spells`;
+        if (rank === 0) {
+          field = 'cantrips';
+        } else if (level === 1) {
+          field = `rank${rank}Spells`;
+        }
+        const choices = plan.levels[level].choices;
+        choices[field] = [...new Set([...(choices[field] || []), spell.uuid])];
+        placed++;
+      }
+    }
+
+    if (placed > 0) {
+      report.notes.push('Pathbuilder only stores final spell lists, so spells were spread over the levels that learn spells of their rank.');
+    }
+  }
+}
+
+/**
+ * Get the plan feat slot for a Pathbuilder feat entry
+ * @param {string} type - Pathbuilder feat type (e.g. "Class Feat")
+ * @param {string} slotName - Pathbuilder slot name (e.g. "Free Archetype 2")
+ * @returns {string|null} Plan choice key
+ */
+function getFeatField(type, slotName) {
+  for (const [pattern, field] of VARIANT_SLOT_PATTERNS) {
+    if (pattern.test(slotName || '')) return field;
+  }
+  return FEAT_TYPE_SLOTS[String(type).toLowerCase()] ?? null;
+}
+
+/**
+ * Normalize a feat or spell name for matching (case, curly quotes, extra whitespace)
+ * @param {string} name - Name
+ * @returns {string} Normalized name
+ */
+function normalizeName(name) {
+  return String(name ?? '').toLowerCase().replace(/[’‘]/g, "'").replace(/\s+/g, ' ').trim();
+}
+
+export default PathbuilderImporter;
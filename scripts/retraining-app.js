@@ -0,0 +1,237 @@
+// Retraining App - Downtime retraining of feats, skill increases and repertoire spells
+import { MODULE_NAME, debugLog } from './module.js';
+import BuildPlanManager from './build-plan-manager.js';
+import RetrainingManager from './retraining-manager.js';
+import * as SkillsHelpers from './helpers/skills-helpers.js';
+import * as SpellHelpers from './helpers/spell-helpers.js';
+import { FeatSelectorApp } from './feat-selector.js';
+import { SpellSelectorApp } from './spell-selector.js';
+
+/**
+ * Retraining - Swap a character's existing choices for other legal ones
+ */
+export class RetrainingApp extends foundry.applications.api.HandlebarsApplicationMixin(foundry.applications.api.ApplicationV2) {
+  constructor(actor) {
+    super();
+    this.actor = actor;
+
+    // Skill increase being moved
+    this.fromSkill = '';
+    this.toSkill = '';
+  }
+
+  static DEFAULT_OPTIONS = {
+    id: 'retraining-{id}',
+    classes: ['intrinsics-level-up-wizard', 'retraining-app'],
+    position: {
+      width: 720,
+      height: 760
+    },
+    window: {
+      resizable: true,
+      title: 'Retraining'
+    },
+    actions: {
+      retrainFeat: this._onRetrainFeat,
+      retrainSkill: this._onRetrainSkill,
+      retrainSpell: this._onRetrainSpell
+    }
+  };
+
+  static PARTS = {
+    form: {
+      template: 'modules/intrinsics-pf2e-level-up-wizard/templates/retraining.hbs'
+    }
+  };
+
+  get title() {
+    return `Retraining - ${this.actor.name}`;
+  }
+
+  async _prepareContext(options) {
+    const context = await super._prepareContext(options);
+
+    context.actorName = this.actor.name;
+
+    context.feats = RetrainingManager.getRetrainableFeats(this.actor).map(({ item, featType, level }) => ({
+      id: item.id,
+      name: item.name,
+      img: item.img,
+      level,
+      slotLabel: BuildPlanManager.getFieldLabel(featType)
+    }));
+
+    const level = this.actor.system.details.level.value;
+    const maxRank = SkillsHelpers.getMaxSkillRankForLevel(level);
+    const skills = SkillsHelpers.SKILLS.map(key => {
+      const rank = this.actor.system.skills[key]?.rank ?? 0;
+      return {
+        key,
+        name: SkillsHelpers.getSkillTranslation(key),
+        rank,
+        rankName: SkillsHelpers.getRankName(rank),
+        nextRankName: SkillsHelpers.getRankName(rank + 1)
+      };
+    }).sort((a, b) => a.name.localeCompare(b.name));
+
+    // Only skills with an increase the character chose on level up can be lowered
+    const chosenSkills = new Set(RetrainingManager.getChosenSkillIncreases(this.actor).map(increase => increase.skill));
+    context.fromSkills = skills.filter(skill => chosenSkills.has(skill.key) && skill.rank >= SkillsHelpers.SKILL_PROFICIENCY_RANKS.TRAINED);
+    context.toSkills = skills.filter(skill => skill.rank < maxRank);
+    context.fromSkill = this.fromSkill;
+    context.toSkill = this.toSkill;
+    context.skillValidation = this.fromSkill && this.toSkill
+      ? await RetrainingManager.validateSkillRetrain(this.actor, this.fromSkill, this.toSkill)
+      : null;
+
+    const spells = RetrainingManager.getRetrainableSpells(this.actor);
+    context.canSwapSpells = spells.length > 0;
+    const spellsByRank = new Map();
+    for (const spell of spells) {
+      const rank = SpellHelpers.getSpellRank(spell);
+      if (!spellsByRank.has(rank)) {
+        spellsByRank.set(rank, { rank, label: rank === 0 ? 'Cantrips' : `Rank ${rank}`, spells: [] });
+      }
+      spellsByRank.get(rank).spells.push({ id: spell.id, name: spell.name, img: spell.img });
+    }
+    context.spellRanks = [...spellsByRank.values()];
+
+    context.log = RetrainingManager.getLog(this.actor).map(entry => ({
+      ...entry,
+      date: new Date(entry.timestamp).toLocaleString(),
+      kindLabel: { feat: 'Feat', skill: 'Skill Increase', spell: 'Spell' }[entry.kind] ?? entry.kind
+    }));
+
+    return context;
+  }
+
+  _onRender(context, options) {
+    super._onRender(context, options);
+
+    for (const select of this.element.querySelectorAll('select[data-skill-field]')) {
+      select.addEventListener('change', (event) => {
+        this[event.target.dataset.skillField] = event.target.value;
+        this.render();
+      });
+    }
+  }
+
+  /**
+   * Pick a replacement for a feat slot, then swap it in
+   */
+  static async _onRetrainFeat(event, target) {
+    const slot = RetrainingManager.getRetrainableFeats(this.actor).find(f => f.item.id === target.dataset.itemId);
+    if (!slot) return;
+
+    const selector = new FeatSelectorApp(this.actor, slot.featType, slot.level, null, {
+      prerequisiteActor: await RetrainingManager.getActorWithoutFeat(this.actor, slot.item.id),
+      onSelect: async (featUuid) => {
+        if (!featUuid) return;
+        const newFeat = await fromUuid(featUuid);
+        if (!newFeat) return;
+
+        const projected = await RetrainingManager.getActorWithoutFeat(this.actor, slot.item.id);
+        projected.items.push({ type: 'feat', name: newFeat.name, slug: newFeat.slug, system: newFeat.system, isPlanned: true });
+        const broken = RetrainingManager.findBrokenPrerequisites(this.actor, projected, slot.item.id);
+
+        const confirmed = await this._confirmRetrain(slot.item.name, newFeat.name, broken);
+        if (!confirmed) return;
+
+        try {
+          await RetrainingManager.retrainFeat(this.actor, slot.item.id, featUuid);
+          ui.notifications.info(`Retrained ${slot.item.name} into ${newFeat.name}`);
+        } catch (error) {
+          console.error(`${MODULE_NAME} | Feat retraining failed:`, error);
+          ui.notifications.error(`Retraining failed: ${error.message}`);
+        }
+        this.render();
+      }
+    });
+
+    selector.render(true);
+  }
+
+  /**
+   * Move the selected skill increase
+   */
+  static async _onRetrainSkill(event, target) {
+    const validation = await RetrainingManager.validateSkillRetrain(this.actor, this.fromSkill, this.toSkill);
+    if (!validation.valid) {
+      ui.notifications.warn(validation.errors.join('; '));
+      return;
+    }
+
+    const fromName = SkillsHelpers.getSkillTranslation(this.fromSkill);
+    const toName = SkillsHelpers.getSkillTranslation(this.toSkill);
+    const confirmed = await this._confirmRetrain(`a ${fromName} increase`, toName, validation.brokenFeats);
+    if (!confirmed) return;
+
+    try {
+      await RetrainingManager.retrainSkillIncrease(this.actor, this.fromSkill, this.toSkill);
+      ui.notifications.info(`Moved a skill increase from ${fromName} to ${toName}`);
+      this.fromSkill = '';
+      this.toSkill = '';
+    } catch (error) {
+      console.error(`${MODULE_NAME} | Skill retraining failed:`, error);
+      ui.notifications.error(`Retraining failed: ${error.message}`);
+    }
+    this.render();
+  }
+
+  /**
+   * Pick a same-rank replacement for a repertoire spell, then swap it in
+   */
+  static async _onRetrainSpell(event, target) {
+    const spell = this.actor.items.get(target.dataset.itemId);
+    if (!spell) return;
+
+    const knownSpells = this.actor.itemTypes.spell.map(s => s.sourceId || s.flags?.core?.sourceId || s.uuid);
+
+    const selector = new SpellSelectorApp(this.actor, SpellHelpers.getSpellRank(spell), 1, [], {
+      knownSpells,
+      onConfirm: async (selections) => {
+        const newSpellUuid = selections[0];
+        const newSpell = newSpellUuid ? await fromUuid(newSpellUuid) : null;
+        if (!newSpell) return;
+
+        const confirmed = await this._confirmRetrain(spell.name, newSpell.name);
+        if (!confirmed) return;
+
+        try {
+          await RetrainingManager.retrainSpell(this.actor, spell.id, newSpellUuid);
+          ui.notifications.info(`Swapped ${spell.name} for ${newSpell.name}`);
+        } catch (error) {
+          console.error(`${MODULE_NAME} | Spell retraining failed:`, error);
+          ui.notifications.error(`Retraining failed: ${error.message}`);
+        }
+        this.render();
+      }
+    });
+
+    selector.render(true);
+  }
+
+  /**
+   * Confirm a retraining swap, listing feats whose prerequisites it would break
+   * @param {string} fromName - What is being retrained
+   * @param {string} toName - What it becomes
+   * @param {Array<string>} brokenFeats - Feats that would lose their prerequisites
+   * @returns {Promise<boolean>} True if confirmed
+   * @private
+   */
+  async _confirmRetrain(fromName, toName, brokenFeats = []) {
+    const warning = brokenFeats.length > 0
+      ? `<p class="retraining-warning"><i class="fas fa-exclamation-triangle"></i> These feats would no longer meet their prerequisites:</p>
+         <ul>${brokenFeats.map(name => `<li>${name}</li>`).join('')}</ul>`
+      : '';
+
+    debugLog('RetrainingApp._confirmRetrain', `${fromName} -> ${toName}`, brokenFeats);
+
+    return Dialog.confirm({
+      title: `Retrain - ${this.actor.name}`,
+      content: `<p>Retrain <strong>${fromName}</strong> into <strong>${toName}</strong>?</p>${warning}`
+    });
+  }
+}
+
+export default RetrainingApp;
@@ -0,0 +1,450 @@
+// Retraining Manager - Swaps feats, skill increases and repertoire spells during downtime
+import { MODULE_NAME, debugLog } from './module.js';
+import BuildPlanManager from './build-plan-manager.js';
+import BuildPlanApplicator, { FEAT_LOCATION_GROUPS } from './build-plan-applicator.js';
+import { FEAT_CHOICE_KEYS, SPELL_CHOICE_KEYS } from './build-plan-schema.js';
+import * as FeatHelpers from './helpers/feat-helpers.js';
+import * as SkillsHelpers from './helpers/skills-helpers.js';
+import * as SpellHelpers from './helpers/spell-helpers.js';
+import { createProjectedActor } from './helpers/projected-actor.js';
+
+// Flag holding retraining records, newest first
+const LOG_FLAG = 'retrainingLog';
+
+// Oldest records are dropped past this many
+const MAX_LOG_ENTRIES = 50;
+
+// Change journal written by BuildPlanApplicator.recordJournal
+const JOURNAL_FLAG = 'levelUpJournal';
+
+// Which feats fit each feat slot
+const SLOT_RULES = {
+  classFeats: { label: 'class feat', fits: feat => feat.system.category === 'class' },
+  dualClassFeats: { label: 'class feat', fits: feat => feat.system.category === 'class' },
+  ancestryFeats: { label: 'ancestry feat', fits: feat => feat.system.category === 'ancestry' },
+  ancestryParagonFeats: { label: 'ancestry feat', fits: feat => feat.system.category === 'ancestry' },
+  skillFeats: { label: 'skill feat', fits: feat => feat.system.category === 'skill' || hasTrait(feat, 'skill') },
+  generalFeats: { label: 'general feat', fits: feat => ['general', 'skill'].includes(feat.system.category) || hasTrait(feat, 'general') },
+  freeArchetypeFeats: { label: 'archetype feat', fits: feat => hasTrait(feat, 'archetype') },
+  mythicFeats: { label: 'mythic feat', fits: feat => hasTrait(feat, 'mythic') || hasTrait(feat, 'destiny') }
+};
+
+/**
+ * RetrainingManager - Applies retraining to an actor, records it and keeps the active build plan in step
+ * Static class used by the Retraining app
+ *
+ * Log entry shape: { id, timestamp, kind: 'feat'|'skill'|'spell', level, from: { name, uuid }, to: { name, uuid }, userName }
+ */
+export class RetrainingManager {
+  /**
+   * Get the feats the actor took in a level-based feat slot
+   * Granted feats and class features have no slot and can't be retrained here.
+   * @param {Actor} actor - The actor
+   * @returns {Array<Object>} { item, featType, level } sorted by level then name
+   */
+  static getRetrainableFeats(actor) {
+    const featTypesByGroup = Object.fromEntries(
+      Object.entries(FEAT_LOCATION_GROUPS).map(([featType, group]) => [group, featType])
+    );
+
+    const feats = [];
+    for (const item of actor.itemTypes.feat) {
+      const match = String(item.system.location ?? '').match(/^(.+)-(\d+)$/);
+      const featType = match && featTypesByGroup[match[1]];
+      if (!featType) continue;
+
+      feats.push({ item, featType, level: Number(match[2]) });
+    }
+
+    return feats.sort((a, b) => a.level - b.level || a.item.name.localeCompare(b.item.name));
+  }
+
+  /**
+   * Get spells that can be swapped out of a spontaneous repertoire
+   * @param {Actor} actor - The actor
+   * @returns {Array<Item>} Spells in the class spellcasting entry, empty for prepared casters
+   */
+  static getRetrainableSpells(actor) {
+    if (!SpellHelpers.canReplaceSpells(actor)) return [];
+
+    const entry = SpellHelpers.getClassSpellcastingEntry(actor);
+    if (!entry) return [];
+
+    return actor.itemTypes.spell
+      .filter(spell => spell.system.location?.value === entry.id)
+      .sort((a, b) => SpellHelpers.getSpellRank(a) - SpellHelpers.getSpellRank(b) || a.name.localeCompare(b.name));
+  }
+
+  /**
+   * Get the actor as it would be without one feat, for checking a replacement's prerequisites
+   * @param {Actor} actor - The actor
+   * @param {string} featId - Feat being retrained
+   * @returns {Promise<Object>} Projected actor (see projected-actor.js)
+   */
+  static async getActorWithoutFeat(actor, featId) {
+    const projected = await createProjectedActor(actor, [], actor.system.details.level.value);
+    projected.items = projected.items.filter(i => i.id !== featId);
+    return projected;
+  }
+
+  /**
+   * List owned feats whose prerequisites a retrained character would no longer meet
+   * @param {Actor} actor - The actor
+   * @param {Object} projected - Projected actor after retraining
+   * @param {string} ignoreId - Feat being retrained away (not reported)
+   * @returns {Array<string>} Feat names
+   */
+  static findBrokenPrerequisites(actor, projected, ignoreId = null) {
+    return actor.itemTypes.feat
+      .filter(feat => feat.id !== ignoreId)
+      .filter(feat =>
+        FeatHelpers.checkPrerequisites(actor, feat).meets !== false &&
+        FeatHelpers.checkPrerequisites(projected, feat).meets === false
+      )
+      .map(feat => feat.name);
+  }
+
+  /**
+   * Replace a feat with another feat in the same slot
+   * @param {Actor} actor - The actor
+   * @param {string} featId - Owned feat to retrain
+   * @param {string} newFeatUuid - Replacement feat UUID
+   * @returns {Promise<Object>} Log entry
+   */
+  static async retrainFeat(actor, featId, newFeatUuid) {
+    const slot = this.getRetrainableFeats(actor).find(f => f.item.id === featId);
+    if (!slot) {
+      throw new Error('That feat is not in a feat slot and cannot be retrained');
+    }
+
+    const newFeat = await fromUuid(newFeatUuid);
+    if (!newFeat) {
+      throw new Error(`Feat not found: ${newFeatUuid}`);
+    }
+
+    if ((newFeat.system.level?.value ?? 0) > slot.level) {
+      throw new Error(`${newFeat.name} is level ${newFeat.system.level.value} and can't fill a level ${slot.level} slot`);
+    }
+
+    const slotRule = SLOT_RULES[slot.featType];
+    if (newFeat.type !== 'feat' || (slotRule && !slotRule.fits(newFeat))) {
+      throw new Error(`${newFeat.name} is not a ${slotRule?.label ?? 'feat'} and can't fill a ${BuildPlanManager.getFieldLabel(slot.featType)} slot`);
+    }
+
+    // Prerequisites are checked without the feat being retrained away; unknown prerequisites are allowed
+    const prereqCheck = FeatHelpers.checkPrerequisites(await this.getActorWithoutFeat(actor, featId), newFeat);
+    if (prereqCheck.meets === false) {
+      throw new Error(`${actor.name} doesn't meet the prerequisites for ${newFeat.name}: ${prereqCheck.missing.join(', ')}`);
+    }
+
+    const oldFeat = slot.item;
+    const oldData = oldFeat.toObject();
+    const oldUuid = getSourceId(oldFeat);
+
+    const featData = foundry.utils.duplicate(newFeat.toObject());
+    featData.system.location = oldFeat.system.location;
+    featData.system.level = { ...featData.system.level, taken: slot.level };
+
+    // Swap in place; if the new feat can't be created, put the old one back
+    await actor.deleteEmbeddedDocuments('Item', [featId]);
+    try {
+      await actor.createEmbeddedDocuments('Item', [featData]);
+    } catch (error) {
+      console.error(`${MODULE_NAME} | Retraining ${oldFeat.name} failed, restoring it:`, error);
+      await actor.createEmbeddedDocuments('Item', [oldData], { keepId: true });
+      throw error;
+    }
+
+    await this._updatePlan(actor, `Retrained ${oldFeat.name} into ${newFeat.name}`, (plan) => {
+      const levels = [slot.level, ...Object.keys(plan.levels).map(Number).filter(level => level !== slot.level)];
+      for (const level of levels) {
+        const choices = plan.levels[level]?.choices;
+        const key = FEAT_CHOICE_KEYS.find(k => choices?.[k] === oldUuid);
+        if (key) {
+          choices[key] = newFeatUuid;
+          return true;
+        }
+      }
+      return false;
+    });
+
+    return this._record(actor, {
+      kind: 'feat',
+      level: slot.level,
+      from: { name: oldFeat.name, uuid: oldUuid },
+      to: { name: newFeat.name, uuid: newFeatUuid }
+    });
+  }
+
+  /**
+   * Get the skill increases the character chose on level up, newest first
+   * Increases come from the applied levels of the active build plan and from the level-up change journal,
+   * so ranks granted by the class, background or ancestry are never offered for retraining.
+   * @param {Actor} actor - The actor
+   * @returns {Array<Object>} { level, skill }
+   */
+  static getChosenSkillIncreases(actor) {
+    const increases = new Map();
+    const add = (level, skill) => increases.set(`${level}:${skill}`, { level: Number(level), skill });
+
+    const plan = BuildPlanManager.loadPlan(actor);
+    for (const [level, levelData] of Object.entries(plan?.levels ?? {})) {
+      if (!levelData?.applied) continue;
+      for (const skill of levelData.choices?.skillIncreases ?? []) add(level, skill);
+    }
+
+    for (const [level, entry] of Object.entries(actor.getFlag(MODULE_NAME, JOURNAL_FLAG) ?? {})) {
+      for (const path of Object.keys(BuildPlanApplicator.getJournalSystemValues(entry))) {
+        const match = path.match(/^system\.skills\.([^.]+)\.rank$/);
+        if (match) add(level, match[1]);
+      }
+    }
+
+    return [...increases.values()].sort((a, b) => b.level - a.level);
+  }
+
+  /**
+   * Check whether a skill increase can be moved from one skill to another
+   * Only an increase the character chose can move, and not to a level that already raised the new skill.
+   * @param {Actor} actor - The actor
+   * @param {string} fromSkill - Skill losing a rank
+   * @param {string} toSkill - Skill gaining a rank
+   * @returns {Promise<Object>} { valid, errors, brokenFeats, increaseLevel } where brokenFeats lists feats that would
+   *   lose their prerequisites and increaseLevel is the level of the increase that moves
+   */
+  static async validateSkillRetrain(actor, fromSkill, toSkill) {
+    const errors = [];
+    const level = actor.system.details.level.value;
+    let increaseLevel = null;
+    const fromRank = actor.system.skills[fromSkill]?.rank ?? 0;
+    const toRank = actor.system.skills[toSkill]?.rank ?? 0;
+
+    if (!fromSkill || !toSkill) {
+      errors.push('Choose a skill to lower and a skill to raise');
+    } else if (fromSkill === toSkill) {
+      errors.push('Choose two different skills');
+    } else {
+      if (fromRank < SkillsHelpers.SKILL_PROFICIENCY_RANKS.TRAINED) {
+        errors.push(`${SkillsHelpers.getSkillTranslation(fromSkill)} is untrained and has no increase to move`);
+      } else {
+        const chosen = this.getChosenSkillIncreases(actor);
+        const fromIncreases = chosen.filter(increase => increase.skill === fromSkill);
+        increaseLevel = fromIncreases.find(increase =>
+          !chosen.some(other => other.level === increase.level && other.skill === toSkill)
+        )?.level ?? null;
+
+        if (fromIncreases.length === 0) {
+          errors.push(`${SkillsHelpers.getSkillTranslation(fromSkill)} has no skill increase chosen on level up to move (ranks from the class, background or ancestry can't be retrained here)`);
+        } else if (increaseLevel === null) {
+          errors.push(`Every ${SkillsHelpers.getSkillTranslation(fromSkill)} increase was taken at a level that also raised ${SkillsHelpers.getSkillTranslation(toSkill)}`);
+        }
+      }
+      if (toRank + 1 > SkillsHelpers.getMaxSkillRankForLevel(level)) {
+        errors.push(`${SkillsHelpers.getSkillTranslation(toSkill)} can't reach ${SkillsHelpers.getRankName(toRank + 1)} at level ${level}`);
+      }
+    }
+
+    let brokenFeats = [];
+    if (errors.length === 0) {
+      const projected = await createProjectedActor(actor, [], level);
+      projected.system.skills[fromSkill].rank = fromRank - 1;
+      projected.system.skills[toSkill].rank = toRank + 1;
+      brokenFeats = this.findBrokenPrerequisites(actor, projected);
+    }
+
+    return { valid: errors.length === 0, errors, brokenFeats, increaseLevel };
+  }
+
+  /**
+   * Move one skill increase from one skill to another
+   * @param {Actor} actor - The actor
+   * @param {string} fromSkill - Skill losing a rank
+   * @param {string} toSkill - Skill gaining a rank
+   * @returns {Promise<Object>} Log entry
+   */
+  static async retrainSkillIncrease(actor, fromSkill, toSkill) {
+    const validation = await this.validateSkillRetrain(actor, fromSkill, toSkill);
+    if (!validation.valid) {
+      throw new Error(validation.errors.join('; '));
+    }
+
+    await actor.update({
+      [`system.skills.${fromSkill}.rank`]: actor.system.skills[fromSkill].rank - 1,
+      [`system.skills.${toSkill}.rank`]: actor.system.skills[toSkill].rank + 1
+    });
+
+    const fromName = SkillsHelpers.getSkillTranslation(fromSkill);
+    const toName = SkillsHelpers.getSkillTranslation(toSkill);
+    const level = validation.increaseLevel;
+
+    // Move the chosen increase in the plan and the change journal, so neither offers it again
+    await this._updatePlan(actor, `Retrained a skill increase from ${fromName} to ${toName}`, (plan) => {
+      const levelData = plan.levels[level];
+      const increases = levelData?.choices?.skillIncreases;
+      if (!levelData?.applied || !increases?.includes(fromSkill)) return false;
+
+      levelData.choices.skillIncreases = increases.map(skill => skill === fromSkill ? toSkill : skill);
+      return true;
+    });
+    await this._moveJournalIncrease(actor, level, fromSkill, toSkill);
+
+    return this._record(actor, {
+      kind: 'skill',
+      level,
+      from: { name: fromName, uuid: null },
+      to: { name: toName, uuid: null }
+    });
+  }
+
+  /**
+   * Swap a spell in a spontaneous repertoire for another spell of the same rank
+   * @param {Actor} actor - The actor
+   * @param {string} spellId - Owned spell to swap out
+   * @param {string} newSpellUuid - Replacement spell UUID
+   * @returns {Promise<Object>} Log entry
+   */
+  static async retrainSpell(actor, spellId, newSpellUuid) {
+    const oldSpell = this.getRetrainableSpells(actor).find(s => s.id === spellId);
+    if (!oldSpell) {
+      throw new Error('Only spells in a spontaneous repertoire can be swapped');
+    }
+
+    const newSpell = await fromUuid(newSpellUuid);
+    if (!newSpell) {
+      throw new Error(`Spell not found: ${newSpellUuid}`);
+    }
+
+    const rank = SpellHelpers.getSpellRank(oldSpell);
+    if (SpellHelpers.getSpellRank(newSpell) !== rank) {
+      throw new Error(`${newSpell.name} is not a ${rank === 0 ? 'cantrip' : `rank ${rank} spell`}`);
+    }
+
+    const oldData = oldSpell.toObject();
+    const oldUuid = getSourceId(oldSpell);
+
+    const spellData = foundry.utils.duplicate(newSpell.toObject());
+    foundry.utils.setProperty(spellData, 'flags.core.sourceId', newSpellUuid);
+    foundry.utils.setProperty(spellData, 'system.location.value', oldSpell.system.location.value);
+
+    await actor.deleteEmbeddedDocuments('Item', [spellId]);
+    try {
+      await actor.createEmbeddedDocuments('Item', [spellData]);
+    } catch (error) {
+      console.error(`${MODULE_NAME} | Retraining ${oldSpell.name} failed, restoring it:`, error);
+      await actor.createEmbeddedDocuments('Item', [oldData], { keepId: true });
+      throw error;
+    }
+
+    let level = null;
+    await this._updatePlan(actor, `Swapped ${oldSpell.name} for ${newSpell.name}`, (plan) => {
+      for (let l = 1; l <= 20; l++) {
+        const choices = plan.levels[l]?.choices;
+        const key = SPELL_CHOICE_KEYS.find(k => choices?.[k]?.includes(oldUuid));
+        if (key) {
+          choices[key] = choices[key].map(uuid => uuid === oldUuid ? newSpellUuid : uuid);
+          level = l;
+          return true;
+        }
+      }
+      return false;
+    });
+
+    return this._record(actor, {
+      kind: 'spell',
+      level,
+      from: { name: oldSpell.name, uuid: oldUuid },
+      to: { name: newSpell.name, uuid: newSpellUuid }
+    });
+  }
+
+  /**
+   * Get the actor's retraining log
+   * @param {Actor} actor - The actor
+   * @returns {Array<Object>} Log entries, newest first
+   */
+  static getLog(actor) {
+    return actor.getFlag(MODULE_NAME, LOG_FLAG) ?? [];
+  }
+
+  /**
+   * Apply a change to the active build plan, if there is one and the change finds something to update
+   * @param {Actor} actor - The actor
+   * @param {string} summary - Revision summary
+   * @param {Function} mutate - Receives the plan, returns true if it changed it
+   * @returns {Promise<void>}
+   * @private
+   */
+  static async _updatePlan(actor, summary, mutate) {
+    const plan = BuildPlanManager.loadPlan(actor);
+    if (!plan || !mutate(plan)) return;
+
+    await BuildPlanManager.savePlan(actor, plan, { summary });
+  }
+
+  /**
+   * Move a skill increase in a level's change journal entry
+   * Undoing the level then lowers the new skill back to its rank from before the retraining.
+   * @param {Actor} actor - The actor
+   * @param {number} level - Level of the increase
+   * @param {string} fromSkill - Skill that lost the increase
+   * @param {string} toSkill - Skill that gained it
+   * @returns {Promise<void>}
+   * @private
+   */
+  static async _moveJournalIncrease(actor, level, fromSkill, toSkill) {
+    const entry = actor.getFlag(MODULE_NAME, JOURNAL_FLAG)?.[level];
+    if (!entry) return;
+
+    const systemValues = BuildPlanApplicator.getJournalSystemValues(entry);
+    const fromPath = `system.skills.${fromSkill}.rank`;
+    if (!(fromPath in systemValues)) return;
+
+    delete systemValues[fromPath];
+    systemValues[`system.skills.${toSkill}.rank`] = actor.system.skills[toSkill].rank - 1;
+
+    await actor.update({ [`flags.${MODULE_NAME}.${JOURNAL_FLAG}.-=${level}`]: null });
+    await actor.setFlag(MODULE_NAME, JOURNAL_FLAG, { [level]: { ...entry, systemValues: Object.entries(systemValues) } });
+  }
+
+  /**
+   * Add an entry to the retraining log
+   * @param {Actor} actor - The actor
+   * @param {Object} entry - { kind, level, from, to }
+   * @returns {Promise<Object>} The stored entry
+   * @private
+   */
+  static async _record(actor, entry) {
+    const record = {
+      id: foundry.utils.randomID(),
+      timestamp: Date.now(),
+      userName: game.user.name,
+      ...entry
+    };
+
+    await actor.setFlag(MODULE_NAME, LOG_FLAG, [record, ...this.getLog(actor)].slice(0, MAX_LOG_ENTRIES));
+
+    debugLog('RetrainingManager._record', `Retrained ${entry.from.name} into ${entry.to.name} for ${actor.name}`, record);
+    return record;
+  }
+}
+
+/**
+ * Check whether an item has a trait
+ * @param {Item} item - The item
+ * @param {string} trait - Trait slug
+ * @returns {boolean} True if the item has the trait
+ */
+function hasTrait(item, trait) {
+  return !!item.system.traits?.value?.includes(trait);
+}
+
+/**
+ * Get the compendium UUID an owned item was created from
+ * @param {Item} item - The item
+ * @returns {string} Source UUID (the item's own UUID if it has no source)
+ */
+function getSourceId(item) {
+  return item.sourceId || item.flags?.core?.sourceId || item.uuid;
+}
+
+export default RetrainingManager;
@@ -14,6 +14,7 @@ export class SpellSelectorApp extends foundry.applications.api.HandlebarsApplica
     this.maxSpells = maxSpells; // Maximum number of spells that can be selected
     this.currentSelections = Array.isArray(currentSelections) ? currentSelections : [];
     this.knownSpells = options.knownSpells || []; // UUIDs of spells the character already knows
+    // options.minRank widens the initial rank filter downward (e.g. repertoire swaps allow lower ranks)
 
     // Spell tradition (can be manually overridden)
     this.selectedTradition = null; // Manual override
@@ -26,7 +27,7 @@ export class SpellSelectorApp extends foundry.applications.api.HandlebarsApplica
     this.showCantrips = rank === 0; // Include cantrips if selecting cantrips
     this.traitFilter = ''; // Trait search
     // Set initial rank filter range based on selected rank
-    this.minLevel = rank === 0 ? 0 : rank; // Minimum spell rank for filter
+    this.minLevel = options.minRank ?? (rank === 0 ? 0 : rank); // Minimum spell rank for filter
     this.maxLevel = rank === 0 ? 0 : rank; // Maximum spell rank for filter
 
     // UI state
@@ -3,6 +3,11 @@ import { MODULE_NAME, debugLog } from './module.js';
 import * as FeatHelpers from './helpers/feat-helpers.js';
 import * as ClassFeaturesHelpers from './helpers/class-features-helpers.js';
 import * as VariantRulesHelpers from './helpers/variant-rules-helpers.js';
+import * as SkillsHelpers from './helpers/skills-helpers.js';
+import { createProjectedActor, projectActorFromPlan } from './helpers/projected-actor.js';
+import { FEAT_CHOICE_KEYS } from './build-plan-schema.js';
+import BuildPlanApplicator from './build-plan-applicator.js';
+import * as KineticistHelpers from './helpers/kineticist-helpers.js';
 
 /**
  * Get normalized class slug from class item (handles playtest null slugs)
@@ -97,10 +102,12 @@ export function validateLevelChoices(actor, level, choices) {
   if (ClassFeaturesHelpers.isSpellcaster(actor)) {
     const newRank = ClassFeaturesHelpers.getNewSpellRankAtLevel(actor, level);
 
-    if (newRank && choices.spells) {
+    if (newRank) {
       // Check if appropriate rank has spells
-      const rankKey = `rank${newRank}`;
-      const spellsForRank = choices.spells[rankKey] || [];
+      const spellsForRank = [
+        ...(choices[`rank${newRank}Spells`] || []),
+        ...(choices[`additionalRank${newRank}Spells`] || [])
+      ];
 
       // Auto-learning classes don't need to select spells
       const autoLearns = ['cleric', 'druid', 'animist'].includes(
@@ -122,14 +129,17 @@ export function validateLevelChoices(actor, level, choices) {
 
 /**
  * Validate feat choice
+ * Prerequisites, dedications and duplicates are checked against the actor projected through the planned steps.
  * @param {Actor} actor - The actor
  * @param {string} featUUID - Feat UUID
  * @param {string} featType - Feat type
  * @param {number} level - Level
+ * @param {Array<Object>} plannedSteps - Earlier planned levels not yet applied, as { level, choices }
  * @returns {Object} Validation result { valid: boolean, errors: Array }
  */
-export async function validateFeatChoice(actor, featUUID, featType, level) {
+export async function validateFeatChoice(actor, featUUID, featType, level, plannedSteps = []) {
   const errors = [];
+  const projected = await createProjectedActor(actor, plannedSteps, level);
 
   if (!featUUID) {
     errors.push('No feat selected');
@@ -156,8 +166,8 @@ export async function validateFeatChoice(actor, featUUID, featType, level) {
   }
 
   // Check prerequisites
-  const prereqCheck = FeatHelpers.checkPrerequisites(actor, feat);
-  if (!prereqCheck.meets) {
+  const prereqCheck = FeatHelpers.checkPrerequisites(projected, feat);
+  if (prereqCheck.meets === false) {
     errors.push(`Missing prerequisites: ${prereqCheck.missing.join(', ')}`);
   }
 
@@ -165,13 +175,21 @@ export async function validateFeatChoice(actor, featUUID, featType, level) {
   if (FeatHelpers.isArchetypeFeat(feat)) {
     const archetypeName = FeatHelpers.getArchetypeFromFeat(feat.slug);
 
-    if (archetypeName && !FeatHelpers.hasArchetypeDedication(actor, archetypeName)) {
+    if (archetypeName && !FeatHelpers.hasArchetypeDedication(projected, archetypeName)) {
       errors.push(`Requires ${archetypeName} dedication`);
     }
   }
 
+  // Check the dedication rule (two other archetype feats before another dedication)
+  if (FeatHelpers.isDedication(feat) && !feat.system.traits?.value?.includes('mythic')) {
+    const block = FeatHelpers.getDedicationBlock(projected);
+    if (block) {
+      errors.push(block.reason);
+    }
+  }
+
   // Check if feat is already taken (unless maxTakable > 1)
-  const existingFeat = actor.items.find(i =>
+  const existingFeat = projected.items.find(i =>
     i.type === 'feat' && i.name.toLowerCase() === feat.name.toLowerCase()
   );
 
@@ -189,6 +207,43 @@ export async function validateFeatChoice(actor, featUUID, featType, level) {
   };
 }
 
+/**
+ * Check the prerequisites of the feats planned for a level against the plan's projected state
+ * Planned dedications are also checked against the dedication rule.
+ * @param {Actor} actor - The actor
+ * @param {Object} plan - Build plan
+ * @param {number} level - Level to check
+ * @returns {Promise<Array<string>>} Warnings for feats with unmet prerequisites or blocked dedications
+ */
+export async function validatePlannedFeatPrerequisites(actor, plan, level) {
+  const warnings = [];
+  const choices = plan?.levels?.[level]?.choices;
+  if (!choices || plan.levels[level].applied) return warnings;
+
+  const projected = await projectActorFromPlan(actor, plan, level);
+
+  for (const key of FEAT_CHOICE_KEYS) {
+    if (!choices[key]) continue;
+
+    const feat = await fromUuid(choices[key]).catch(() => null);
+    if (!feat) continue;
+
+    const prereqCheck = FeatHelpers.checkPrerequisites(projected, feat);
+    if (prereqCheck.meets === false) {
+      warnings.push(`${feat.name}: missing ${prereqCheck.missing.join(', ')}`);
+    }
+
+    if (FeatHelpers.isDedication(feat) && !feat.system.traits?.value?.includes('mythic')) {
+      const block = FeatHelpers.getDedicationBlock(projected);
+      if (block) {
+        warnings.push(`${feat.name}: ${block.reason}`);
+      }
+    }
+  }
+
+  return warnings;
+}
+
 /**
  * Validate spell choice
  * @param {Actor} actor - The actor
@@ -378,6 +433,102 @@ export function validateBuildPlan(actor, plan) {
   };
 }
 
+/**
+ * Validate one step of a multi-level catch-up against the state projected from earlier steps
+ * Earlier steps have not been written to the actor yet, so their choices are layered on top of it
+ * @param {Actor} actor - The actor
+ * @param {number} level - Level of this step
+ * @param {Object} choices - Choices for this step
+ * @param {Array<Object>} previousSteps - Earlier steps as { level, choices }, in order
+ * @returns {Promise<Object>} Validation result { valid: boolean, errors: Array, warnings: Array }
+ */
+export async function validateCatchUpStep(actor, level, choices, previousSteps = []) {
+  const errors = [];
+  const warnings = [];
+
+  // Feats can't be taken twice across the catch-up
+  const earlierFeats = new Map();
+  for (const step of previousSteps) {
+    for (const [key, value] of Object.entries(step.choices)) {
+      if (key.endsWith('Feats') && typeof value === 'string') {
+        earlierFeats.set(value, step.level);
+      }
+    }
+  }
+
+  for (const [key, value] of Object.entries(choices)) {
+    if (key.endsWith('Feats') && typeof value === 'string' && earlierFeats.has(value)) {
+      errors.push(`${key.replace(/Feats$/, '')} feat was already selected at level ${earlierFeats.get(value)}`);
+    }
+  }
+
+  // Feats pre-filled from the build plan never went through the feat selector, so the step's feats are checked here
+  const steps = [...previousSteps, { level, choices }];
+  const stepPlan = { levels: Object.fromEntries(steps.map(step => [step.level, { choices: step.choices }])) };
+  errors.push(...await validatePlannedFeatPrerequisites(actor, stepPlan, level));
+
+  // Skill increases build on the ranks reached by earlier steps
+  const maxRank = SkillsHelpers.getMaxSkillRankForLevel(level);
+  const projectedRanks = {};
+  for (const step of previousSteps) {
+    for (const skillKey of step.choices.skillIncreases || []) {
+      projectedRanks[skillKey] = (projectedRanks[skillKey] ?? (actor.system.skills[skillKey]?.rank || 0)) + 1;
+    }
+  }
+
+  for (const skillKey of choices.skillIncreases || []) {
+    const rank = (projectedRanks[skillKey] ?? (actor.system.skills[skillKey]?.rank || 0)) + 1;
+    projectedRanks[skillKey] = rank;
+    if (rank > maxRank) {
+      errors.push(`${SkillsHelpers.getSkillTranslation(skillKey)} can't reach ${SkillsHelpers.getRankName(rank)} at level ${level}`);
+    }
+  }
+
+  // A repertoire spell can only be swapped out once
+  const swapRemove = choices.spellSwap?.remove;
+  const earlierSwap = swapRemove && previousSteps.find(step => step.choices.spellSwap?.remove === swapRemove);
+  if (earlierSwap) {
+    errors.push(`That spell was already swapped out of the repertoire at level ${earlierSwap.level}`);
+  }
+
+  // A gate can only be opened once, and each of its junctions only gained once
+  const gateValue = KineticistHelpers.encodeGateThreshold(choices.gateThreshold);
+  const earlierGate = gateValue && previousSteps.find(step => KineticistHelpers.encodeGateThreshold(step.choices.gateThreshold) === gateValue);
+  if (earlierGate) {
+    errors.push(`${KineticistHelpers.describeGateThreshold(choices.gateThreshold)} was already chosen at level ${earlierGate.level}`);
+  }
+
+  // A rune can only be added to the runic repertoire once
+  for (const uuid of choices.runes || []) {
+    const earlierRune = previousSteps.find(step => step.choices.runes?.includes(uuid));
+    if (earlierRune) {
+      errors.push(`That rune was already added to the runic repertoire at level ${earlierRune.level}`);
+    }
+  }
+
+  // With gradual boosts, an attribute can only be boosted once per boost set
+  if (VariantRulesHelpers.isGradualBoostsEnabled()) {
+    const boostSet = BuildPlanApplicator.getBoostSetForLevel(level);
+    const boostedInSet = new Set(
+      previousSteps
+        .filter(step => BuildPlanApplicator.getBoostSetForLevel(step.level) === boostSet)
+        .flatMap(step => step.choices.abilityBoosts || [])
+    );
+
+    for (const ability of choices.abilityBoosts || []) {
+      if (boostedInSet.has(ability)) {
+        errors.push(`${ability.toUpperCase()} was already boosted earlier in this boost set`);
+      }
+    }
+  }
+
+  return {
+    valid: errors.length === 0,
+    errors,
+    warnings
+  };
+}
+
 /**
  * Check if level choices are complete
  * @param {Actor} actor - The actor